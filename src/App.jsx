@@ -9,9 +9,17 @@ import {
 import { useQueryClient } from '@tanstack/react-query'; // Import useQueryClient
 
 import ChatProvider, { useChat } from './contexts/ChatContext.jsx';
+import { StagedFilesProvider } from './contexts/StagedFilesContext.jsx';
 import ChatList from './ChatList.jsx';
 import PromptBuilder from './PromptBuilder.jsx';
 import ChatArea from './components/ChatArea.jsx';
+import ModelSelect from './components/ModelSelect.jsx';
+import ProviderSettings from './components/ProviderSettings.jsx';
+import ThinkingSettings from './components/ThinkingSettings.jsx';
+import SystemPromptSettings from './components/SystemPromptSettings.jsx';
+import UsageSummary from './components/UsageSummary.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import AuditPanel from './components/AuditPanel.jsx';
 import Toast from './components/Toast.jsx';
 import { supabase } from './lib/supabase.js';
 import { debounce } from './lib/utils.js';
@@ -20,15 +28,24 @@ import {
     IMAGE_TOKEN_ESTIMATE,
     USER_FACING_TOKEN_LIMIT,
     MAX_ABSOLUTE_TOKEN_LIMIT,
+    LLM_PROVIDERS,
+    CONTEXT_CACHE_MIN_CHARS,
     LOCALSTORAGE_PANE_WIDTH_KEY,
     TOKEN_COUNT_DEBOUNCE_MS
 } from './config.js';
 
 import { useSettings } from './contexts/SettingsContext.jsx';
 import { usePromptBuilder } from './hooks/usePromptBuilder.js';
+import usePromptTemplates from './hooks/usePromptTemplates.js';
+import useStructuredOutput from './hooks/useStructuredOutput.js';
 import { useScrollNavigation } from './hooks/useScrollNavigation.js';
 import { useTokenizableContent } from './hooks/useTokenizableContent.js';
-import { countTokensWithGemini, initTokenWorker } from './lib/tokenWorkerClient.js';
+import { countTokens, initTokenWorker } from './lib/tokenWorkerClient.js';
+import { getPinnedContext, markPinnedSent, sentOnPath } from './lib/pinnedContextStore.js';
+import { getContextFiles } from './lib/contextFilesStore.js';
+import { planContextSend, contextNote, summarizePlan, textsOf } from './codeImporter/contextPolicy.js';
+import { AUDIT_FINDINGS_SCHEMA, tagSchema } from './lib/structuredOutput.js';
+import { commitSchema, commitRange, commitScopeNote } from './lib/commitMessage.js';
 
 // FIX: Add a component to handle post-checkout redirects and proactively refetch subscription status.
 function CheckoutStatusHandler() {
@@ -66,7 +83,8 @@ function MainLayout() {
     isApiKeyLoading,
     handleApiKeyChangeAndSave,
     handleManageSubscription,
-    model,
+    defaultModel,
+    setDefaultModel,
   } = useSettings();
 
   const {
@@ -83,6 +101,14 @@ function MainLayout() {
     isResendingMessage,
     hasLastSendFailed,
     isBusy,
+    isChatLoading,
+    streamingText,
+    cancelGeneration,
+    isCancelling,
+    currentModel,
+    updateChatModel,
+    chatCredentials,
+    lastCommitMessageId,
   } = useChat();
   
   const [isResizing, setIsResizing] = useState(false);
@@ -93,21 +119,41 @@ function MainLayout() {
   
   const [stagedCodeFiles, setStagedCodeFiles] = useState([]);
 
-  const clearCodebaseImporterRef = useRef(null);
+  const resyncCodebaseRef = useRef(null);
+  // set from the click until sendMessage() takes over (live re-read, pinned
+  // context lookups), so a second click can't send the same turn twice
+  const preparingSendRef = useRef(false);
+  const [isPreparingSend, setIsPreparingSend] = useState(false);
+
+  const promptTemplates = usePromptTemplates();
+  const structuredOutput = useStructuredOutput();
+  const [showFindings, setShowFindings] = useState(false);
+  const commitScope = useMemo(
+    () => commitScopeNote(commitRange(messages, lastCommitMessageId)),
+    [messages, lastCommitMessageId]
+  );
 
   const {
     form,
     setForm,
     mode,
     setMode,
+    activeTemplate,
+    includesFiles,
     pendingImages,
     addPendingImage,
     removePendingImage,
     pendingPDFs,
     addPendingPDF,
-    userPromptText,
+    formText,
+    userPromptText: stagedPromptText,
+    composePrompt,
     resetPrompt,
-  } = usePromptBuilder(stagedCodeFiles);
+  } = usePromptBuilder(
+    stagedCodeFiles,
+    promptTemplates.isLoaded ? promptTemplates.templates : null,
+    commitScope
+  );
 
   const {
     scrollContainerRef,
@@ -177,7 +223,7 @@ function MainLayout() {
 
   const itemsForApiCount = useTokenizableContent(
     messages,
-    userPromptText,
+    stagedPromptText,
     null,
     pendingPDFs,
     isAwaitingApiResponse
@@ -207,7 +253,7 @@ function MainLayout() {
       if (tokenCountVersionRef.current === currentVersion) setIsCountingApiTokens(true);
       else return;
 
-      countTokensWithGemini(modelToUse, currentItemsForApi)
+      countTokens(modelToUse, currentItemsForApi)
         .then(count => {
           if (tokenCountVersionRef.current === currentVersion) setTotalApiTokenCount(count);
         })
@@ -226,13 +272,14 @@ function MainLayout() {
     if (!debouncedApiCallRef.current) {
       debouncedApiCallRef.current = debounce(callWorkerForTotalTokenCount, TOKEN_COUNT_DEBOUNCE_MS);
     }
-    if (apiKey) {
-      debouncedApiCallRef.current(itemsForApiCount, model);
+    // the Gemini worker needs a Gemini key; other providers are estimated locally
+    if (apiKey || chatCredentials.provider !== 'gemini') {
+      debouncedApiCallRef.current(itemsForApiCount, currentModel);
     } else {
       setTotalApiTokenCount(0);
       setIsCountingApiTokens(false);
     }
-  }, [itemsForApiCount, apiKey, model, callWorkerForTotalTokenCount]);
+  }, [itemsForApiCount, apiKey, currentModel, chatCredentials.provider, callWorkerForTotalTokenCount]);
 
 
   const currentTotalPromptTokens = useMemo(() => {
@@ -258,21 +305,24 @@ function MainLayout() {
   const isHardTokenLimitReached = currentTotalPromptTokens >= MAX_ABSOLUTE_TOKEN_LIMIT;
 
   const sendButtonDisplayInfo = useMemo(() => {
+    if (isPreparingSend) return { text: 'Preparing…', disabled: true };
     if (isBusy) {
       if (isResendingMessage) return { text: 'Resending…', disabled: true };
       if (isSendingMessage) return { text: 'Sending…', disabled: true };
       if (isForking) return { text: 'Forking…', disabled: true };
       if (isCreatingChat) return { text: 'Creating Task…', disabled: true };
       if (isApiKeyLoading) return { text: 'Loading Key...', disabled: true };
+      if (isChatLoading) return { text: 'Loading Task…', disabled: true };
       return { text: 'Processing…', disabled: true };
     }
-    if (!apiKey) return { text: 'Set API Key', disabled: false };
+    if (!chatCredentials.ready) return { text: 'Set API Key', disabled: false };
     if (!currentChatId) return { text: 'Select Task', disabled: false };
     if (isHardTokenLimitReached) return { text: 'Memory Limit Exceeded', disabled: true };
     return { text: 'Send', disabled: false };
   }, [
     isBusy, isResendingMessage, isSendingMessage, isForking, isCreatingChat,
-    apiKey, currentChatId, isHardTokenLimitReached, isApiKeyLoading,
+    chatCredentials.ready, currentChatId, isHardTokenLimitReached, isApiKeyLoading, isChatLoading,
+    isPreparingSend,
   ]);
 
   useEffect(() => {
@@ -287,6 +337,15 @@ function MainLayout() {
     }
   }, [messages, editingId, scrollToBottom, scrollContainerRef, currentChatId]);
 
+  // keep the view pinned to a streaming answer while the user is at the bottom
+  useEffect(() => {
+    if (!streamingText) return;
+    const box = scrollContainerRef.current;
+    if (box && (box.scrollHeight - box.scrollTop - box.clientHeight < 150)) {
+      scrollToBottom('auto');
+    }
+  }, [streamingText, scrollToBottom, scrollContainerRef]);
+
   useEffect(() => {
     if (currentChatId !== previousChatIdRef.current) {
       const cleanupRaf = requestAnimationFrame(() => {
@@ -306,17 +365,57 @@ function MainLayout() {
   }, [currentChatId, editingId, cancelEdit, scrollToBottom]);
 
 
+  // CODE CHECK answers are structured findings, kept as the task's audits;
+  // COMMIT answers are commit fields. Other modes use the JSON output picker.
+  const responseSchemaFor = (sendMode) => {
+    if (sendMode === 'CODE CHECK') return tagSchema(AUDIT_FINDINGS_SCHEMA, 'audit');
+    if (sendMode === 'COMMIT') return commitSchema(form.commitConventional);
+    return tagSchema(structuredOutput.schema, 'json') ?? undefined;
+  };
+
   async function handleSend() {
+    if (preparingSendRef.current) return;
+    preparingSendRef.current = true;
+    setIsPreparingSend(true);
+    try {
+      await prepareAndSend();
+    } finally {
+      preparingSendRef.current = false;
+      setIsPreparingSend(false);
+    }
+  }
+
+  async function prepareAndSend() {
     if (isBusy) { Toast("An operation is already in progress.", 3000); return; }
     if (isHardTokenLimitReached) { Toast(`Memory limit exceeded (max ${MAX_ABSOLUTE_TOKEN_LIMIT.toLocaleString()}).`, 8000); return; }
     if (!currentChatId) { Toast('Please select or create a task first.', 3000); return; }
     
-    if (!apiKey || String(apiKey).trim() === '') {
-      Toast('Gemini API Key missing. Please set it in settings.', 5000);
+    if (!chatCredentials.ready) {
+      const providerLabel = LLM_PROVIDERS[chatCredentials.provider]?.label ?? 'Provider';
+      Toast(`${providerLabel} API Key missing. Please set it in settings.`, 5000);
       setDisplaySettings((s) => ({ ...s, showSettings: true }));
       return;
     }
 
+    // live mode: send what is on disk now
+    let liveFiles = null;
+    if (includesFiles && resyncCodebaseRef.current) {
+      try {
+        liveFiles = await resyncCodebaseRef.current();
+      } catch (err) {
+        Toast(`Could not re-read staged files: ${err.message}`, 6000);
+        return;
+      }
+    }
+    const files = liveFiles ?? stagedCodeFiles;
+    const chatId = currentChatId;
+
+    // pinned context: the task's policy decides which staged files travel,
+    // measured against what this branch has already carried
+    const pinned = includesFiles && files.length ? await getPinnedContext(chatId) : null;
+    const seen = pinned && sentOnPath(pinned, messages, (await getContextFiles(chatId))?.messageId ?? null);
+    const plan = pinned && planContextSend(files, seen?.sent ?? null, pinned.policy, seen?.sentTexts ?? null);
+
     const userMessageContentBlocks = [];
     pendingPDFs.forEach((p) =>
       userMessageContentBlocks.push({
@@ -334,17 +433,54 @@ function MainLayout() {
       });
     }
 
-    if (userPromptText?.trim()) {
-      userMessageContentBlocks.push({ type: 'text', text: userPromptText });
+    // large codebases go to a Gemini context cache instead of the message;
+    // the cache always holds the full set, and is reused while unchanged
+    const fullPrompt = composePrompt(files);
+    const cacheFiles =
+      displaySettings.contextCaching &&
+      chatCredentials.provider === 'gemini' &&
+      includesFiles &&
+      (!plan || plan.isDirty || pinned.policy === 'every') &&
+      fullPrompt.fileText.length >= CONTEXT_CACHE_MIN_CHARS;
+    const { fileText, userPromptText } = cacheFiles || !plan
+      ? fullPrompt
+      : composePrompt(plan.send, contextNote(plan));
+    const promptText = cacheFiles
+      ? [formText, `[Staged codebase: ${files.length} files, supplied via context cache]`]
+          .filter(Boolean).join('\n\n')
+      : userPromptText;
+
+    if (promptText?.trim()) {
+      userMessageContentBlocks.push({ type: 'text', text: promptText });
     }
     if (userMessageContentBlocks.length === 0) { Toast('Cannot send an empty message.', 3000); return; }
 
-    sendMessage({ userMessageContentBlocks, existingMessages: messages, apiKey: apiKey });
-    
+    const filesInline = !cacheFiles && files.length > 0 && (!plan || plan.send.length === files.length);
+
+    sendMessage({
+      userMessageContentBlocks,
+      existingMessages: messages,
+      apiKey: chatCredentials.apiKey,
+      contextFiles: cacheFiles ? { text: fileText, fileCount: files.length } : undefined,
+      // the whole staged set is in the message – an older snapshot would repeat it
+      filesInline,
+      responseSchema: responseSchemaFor(mode),
+    }, {
+      // only an answered turn counts as "sent" for the next delta
+      onSuccess: (userRow) => {
+        if (!plan) return;
+        markPinnedSent(chatId, {
+          messageId : userRow.id,
+          sent      : plan.snapshot,
+          sentTexts : pinned.policy === 'delta' ? textsOf(files) : null,
+          snapshotId: cacheFiles ? userRow.id : filesInline ? null : seen?.snapshotId ?? null,
+        });
+      },
+    });
+
+    const summary = plan && !cacheFiles && summarizePlan(plan);
+    if (summary) Toast(`${summary}.`, 4000);
     resetPrompt();
-    if (clearCodebaseImporterRef.current) {
-        clearCodebaseImporterRef.current();
-    }
   }
 
   const handleCopyAll = () => {
@@ -378,18 +514,21 @@ function MainLayout() {
           </span>
           <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.5em', alignItems: 'center', }} >
             {isAwaitingApiResponse && (
-              <div style={{
+              <button
+                className="button"
+                onClick={cancelGeneration}
+                disabled={isCancelling}
+                title="Stop the current generation and roll the chat back"
+                style={{
                   color: '#ffffff',
                   backgroundColor: '#000000',
-                  padding: 'var(--space-xs) var(--space-sm)',
-                  borderRadius: 'var(--radius)',
-                  border: '1px solid var(--border)',
                   fontWeight: 'bold',
                   fontSize: '0.85em',
                   marginRight: 'var(--space-md)'
-              }}>
-                  Press F5 to Cancel
-              </div>
+                }}
+              >
+                {isCancelling ? 'Cancelling…' : 'Cancel'}
+              </button>
             )}
             {isSoftMemoryLimitReached && (
               <div style={{ color: isHardTokenLimitReached ? 'var(--error)' : 'var(--warning)', fontWeight: 'bold', padding: 'var(--space-xs) var(--space-sm)', border: `1px solid ${ isHardTokenLimitReached ? 'var(--error)' : 'var(--warning)' }`, borderRadius: 'var(--radius)', marginRight: 'var(--space-sm)', }} >
@@ -405,9 +544,18 @@ function MainLayout() {
               {USER_FACING_TOKEN_LIMIT.toLocaleString()}
               {isHardTokenLimitReached && ( <span style={{ marginLeft: 4 }}> {' '} (Max&nbsp; {MAX_ABSOLUTE_TOKEN_LIMIT.toLocaleString()}) </span> )}
             </div>
+            <button
+              className={showFindings ? 'button active' : 'button'}
+              onClick={() => setShowFindings(v => !v)}
+              disabled={!currentChatId}
+              title="CODE CHECK findings of this task"
+            >
+              Findings
+            </button>
             <button className="button" onClick={handleCopyAll} disabled={!messages || messages.length === 0} >
               Copy All Text
             </button>
+            <ExportMenu disabled={isBusy} />
           </div>
         </div>
 
@@ -430,8 +578,50 @@ function MainLayout() {
                   />
                 </div>
                 <div className="form-group">
-                  <label htmlFor="modelInputApp">Model:</label>
-                  <input id="modelInputApp" className="form-input" value={model} readOnly />
+                  <label htmlFor="defaultModelSelectApp">Default model (new tasks):</label>
+                  <ModelSelect id="defaultModelSelectApp" value={defaultModel} onChange={setDefaultModel} />
+                </div>
+                {currentChatId && (
+                  <div className="form-group">
+                    <label htmlFor="chatModelSelectApp">Model for this task:</label>
+                    <ModelSelect
+                      id="chatModelSelectApp"
+                      value={currentModel}
+                      onChange={updateChatModel}
+                      disabled={isBusy}
+                    />
+                  </div>
+                )}
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={displaySettings.contextCaching}
+                      onChange={(e) => setDisplaySettings((s) => ({ ...s, contextCaching: e.target.checked }))}
+                    />
+                    {' '}Cache large codebases (Gemini context caching)
+                  </label>
+                </div>
+                <div className="form-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={displaySettings.autoTitle}
+                      onChange={(e) => setDisplaySettings((s) => ({ ...s, autoTitle: e.target.checked }))}
+                    />
+                    {' '}Name new tasks automatically after the first answer
+                  </label>
+                </div>
+                {currentChatId && (
+                  <div className="form-group">
+                    <label htmlFor="thinkingModeSelectApp">Thinking for this task:</label>
+                    <ThinkingSettings disabled={isBusy} />
+                  </div>
+                )}
+                <ProviderSettings />
+                <div className="form-group">
+                  <label>System prompt:</label>
+                  <SystemPromptSettings disabled={isBusy} />
                 </div>
                  <a
                   href="https://aistudio.google.com/app/apikey"
@@ -448,18 +638,25 @@ function MainLayout() {
                 <button className="button" style={{ marginLeft: 'var(--space-sm)' }} onClick={() => supabase.auth.signOut()}>Sign Out</button>
               </div>
             </div>
+            <UsageSummary />
           </div>
         )}
 
+        {showFindings && currentChatId && (
+          <AuditPanel key={currentChatId} chatId={currentChatId} onClose={() => setShowFindings(false)} />
+        )}
+
         <div className="content-container">
           <div className="chat-container" style={{ flexBasis: 'var(--left-pane-width, 50%)' }}>
             <div className="chat-messages-scroll-area" ref={scrollContainerRef}>
               {currentChatId ? (
-                <ChatArea
-                  key={currentChatId}
-                  actionsDisabled={isBusy}
-                  scrollParentRef={scrollContainerRef}
-                />
+                <StagedFilesProvider value={stagedCodeFiles}>
+                  <ChatArea
+                    key={currentChatId}
+                    actionsDisabled={isBusy}
+                    scrollParentRef={scrollContainerRef}
+                  />
+                </StagedFilesProvider>
               ) : ( <div className="chat-empty-placeholder"> Select or create a task to begin. </div> )}
             </div>
             <div className="chat-nav-rail">
@@ -471,16 +668,20 @@ function MainLayout() {
           <div className="prompt-builder-area">
             <PromptBuilder
               mode={mode} setMode={setMode} form={form} setForm={setForm}
+              activeTemplate={activeTemplate} includesFiles={includesFiles}
+              promptTemplates={promptTemplates}
               sendDisabled={sendButtonDisplayInfo.disabled} sendButtonText={sendButtonDisplayInfo.text}
               handleSend={handleSend} showToast={Toast}
               imagePreviews={pendingImages} pdfPreviews={pendingPDFs}
               onRemoveImage={removePendingImage} onAddImage={addPendingImage} onAddPDF={addPendingPDF}
-              settings={{ apiKey, model }}
+              settings={{ apiKey, model: currentModel }}
               hasLastSendFailed={hasLastSendFailed}
               importedCodeFiles={stagedCodeFiles}
               onCodeFilesChange={setStagedCodeFiles}
-              onClearCodebase={clearCodebaseImporterRef}
+              onResyncCodebase={resyncCodebaseRef}
               currentChatId={currentChatId}
+              promptTokenCount={currentTotalPromptTokens}
+              structuredOutput={structuredOutput}
             />
           </div>
         </div>
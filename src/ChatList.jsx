@@ -4,19 +4,43 @@ import { useInfiniteQuery } from '@tanstack/react-query';
 import { fetchChats } from './api/supabaseApi.js';
 import { GEMINI_MODEL_NAME, LOCALSTORAGE_LAST_CHAT_ID_KEY } from './config.js';
 import ChatPaneLayout from './ChatPaneLayout.jsx';
+import MessageSearch from './components/MessageSearch.jsx';
 import { useSettings } from './contexts/SettingsContext.jsx';
 import { useChat } from './contexts/ChatContext.jsx';
+import { parseChatImport } from './lib/chatImport.js';
+import Toast from './components/Toast.jsx';
 
 export default function ChatList({ appDisabled }) {
-  const { collapsed, handleToggleCollapse } = useSettings();
+  const { collapsed, handleToggleCollapse, defaultModel } = useSettings();
   const { 
     currentChatId, 
     setCurrentChatId, 
     createChat, 
     deleteChat, 
-    updateChatTitle 
+    updateChatTitle,
+    jumpToMessage,
+    importChat,
+    isImportingChat,
   } = useChat();
   const initialLogicRan = useRef(false);
+  const importInputRef = useRef(null);
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // picking the same file again must fire onChange
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = parseChatImport(JSON.parse(await file.text()));
+    } catch (err) {
+      Toast(`Cannot import ${file.name}: ${err instanceof SyntaxError ? 'not valid JSON' : err.message}`, 6000);
+      return;
+    }
+    if (parsed.skipped) {
+      Toast(`${parsed.skipped} system/tool message(s) skipped.`, 3000);
+    }
+    importChat(parsed);
+  }, [importChat]);
 
   const {
     data,
@@ -39,7 +63,7 @@ export default function ChatList({ appDisabled }) {
     if (isSuccess && !initialLogicRan.current && data) {
       const allChatsFlat = data.pages.flatMap(p => p.chats || []);
       if (allChatsFlat.length === 0) {
-        createChat({ title: 'First Task', model: GEMINI_MODEL_NAME });
+        createChat({ title: 'First Task', model: defaultModel });
       } else {
         const lastChatId = localStorage.getItem(LOCALSTORAGE_LAST_CHAT_ID_KEY);
         const lastChatIsValid = allChatsFlat.some(c => String(c.id) === lastChatId);
@@ -52,7 +76,7 @@ export default function ChatList({ appDisabled }) {
       }
       initialLogicRan.current = true;
     }
-  }, [isSuccess, data, createChat, setCurrentChatId]);
+  }, [isSuccess, data, createChat, setCurrentChatId, defaultModel]);
 
   const allChats = useMemo(() => {
     if (!data) return [];
@@ -115,20 +139,37 @@ export default function ChatList({ appDisabled }) {
           >
             New Task
           </button>
+          <button
+            className="button"
+            disabled={appDisabled}
+            onClick={() => importInputRef.current?.click()}
+            title="Import a task from a Konzuko, OpenAI or Gemini JSON transcript"
+          >
+            {isImportingChat ? 'Importing…' : 'Import'}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleImportFile}
+          />
         </div>
       )}
 
-      <ChatPaneLayout
-        chats={allChats}
-        currentChatId={currentChatId}
-        onSelectChat={setCurrentChatId}
-        onTitleUpdate={updateChatTitle}
-        onDeleteChat={deleteChat}
-        disabled={appDisabled || isFetching}
-        hasMoreChatsToFetch={hasNextPage}
-        onLoadMoreChats={handleLoadMore}
-        isLoadingMoreChats={isFetchingNextPage}
-      />
+      <MessageSearch onSelectHit={jumpToMessage} disabled={appDisabled}>
+        <ChatPaneLayout
+          chats={allChats}
+          currentChatId={currentChatId}
+          onSelectChat={setCurrentChatId}
+          onTitleUpdate={updateChatTitle}
+          onDeleteChat={deleteChat}
+          disabled={appDisabled || isFetching}
+          hasMoreChatsToFetch={hasNextPage}
+          onLoadMoreChats={handleLoadMore}
+          isLoadingMoreChats={isFetchingNextPage}
+        />
+      </MessageSearch>
     </div>
   );
 }
@@ -1,48 +1,149 @@
 // file: src/CodebaseImporter.jsx
-import { useState, useCallback, useEffect, useReducer, useRef } from 'preact/hooks';
+import { useState, useCallback, useEffect, useMemo, useReducer, useRef } from 'preact/hooks';
 import { useQuery } from '@tanstack/react-query';
 import { GoogleGenAI } from '@google/genai';
 import { supabase } from './lib/supabase.js';
 import { isTextLike, MAX_TEXT_FILE_SIZE, MAX_CHAR_LEN } from './lib/fileTypeGuards.js';
-import { FILE_LIMIT, MAX_CUMULATIVE_FILE_SIZE } from './config.js';
+import {
+  FILE_LIMIT, MAX_CUMULATIVE_FILE_SIZE, LOCALSTORAGE_LIVE_SYNC_KEY, DEFAULT_IGNORE_PATTERNS, USER_FACING_TOKEN_LIMIT,
+  PINNED_CONTEXT_DEFAULT_POLICY
+} from './config.js';
 import { compressImageToWebP } from './lib/imageUtils.js';
 import { imagePathFor } from './lib/pathUtils.js';
 import { reducer, initialState, makeStagedFile } from './codeImporter/state.js';
-import { saveRoot, clearRoot as clearIDBRoot } from './lib/fsRoot.js';
+import {
+  buildFileTree, filesUnder, filesMatchingGlob, formatBytes, loadTreeSelection, saveTreeSelection
+} from './codeImporter/fileTree.js';
+import { tokensByFolder, planTrim } from './codeImporter/tokenBudget.js';
+import { CONTEXT_POLICIES } from './codeImporter/contextPolicy.js';
+import FileTree from './components/FileTree.jsx';
+import useFileTokenCounts from './hooks/useFileTokenCounts.js';
+import {
+  saveRoot, clearRoot as clearIDBRoot, rememberProjectRoot, loadProjectRoots
+} from './lib/fsRoot.js';
+import { getPinnedContext, savePinnedFiles, setPinnedPolicy } from './lib/pinnedContextStore.js';
+import { dropContextFiles } from './api/contextCache.js';
+import { loadIgnorePatterns, saveIgnorePatterns, CUSTOM_RULE_SOURCE } from './lib/ignoreRules.js';
 import {
   formatRejectionMessage,
   scanDirectoryForMinimalMetadata,
-  processAndStageSelectedFiles
+  processAndStageSelectedFiles,
+  resyncStagedFiles
 } from './lib/fileSystem.js';
 
-function DirectorySelector({ scanData, onStageFiles, onCancel, toastFn }) {
-  const [selected, setSelected] = useState(new Set());
+const parsePatterns = (text) => text.split('\n').map(l => l.trim()).filter(Boolean);
+
+/* which rules excluded how many entries, plus the editable custom list */
+function IgnoreRulesPanel({ ignored, patterns, onChange, disabled }) {
+  const [draft, setDraft] = useState(patterns.join('\n'));
+  useEffect(() => { setDraft(patterns.join('\n')); }, [patterns]);
+
+  const total = ignored.reduce((n, r) => n + r.count, 0);
+  const dirty = parsePatterns(draft).join('\n') !== patterns.join('\n');
+
+  return (
+    <details className="ignore-rules">
+      <summary>
+        Ignore rules – {total.toLocaleString()} {total === 1 ? 'entry' : 'entries'} excluded
+      </summary>
+      {ignored.length > 0 ? (
+        <ul className="ignore-rules-stats">
+          {ignored.map(r => (
+            <li key={`${r.source}:${r.pattern}`}>
+              <code>{r.pattern}</code>
+              <span className="ignore-rules-source">{r.source === CUSTOM_RULE_SOURCE ? 'custom list' : r.source}</span>
+              <span className="ignore-rules-count">{r.count.toLocaleString()}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="ignore-rules-empty">Nothing was excluded.</p>
+      )}
+      <label className="ignore-rules-label" htmlFor="ignore-rules-input">
+        Custom patterns for this project (.gitignore syntax, one per line)
+      </label>
+      <textarea
+        id="ignore-rules-input"
+        className="form-textarea ignore-rules-input"
+        rows={4}
+        value={draft}
+        onInput={e => setDraft(e.target.value)}
+        disabled={disabled}
+        spellcheck={false}
+      />
+      <div className="ignore-rules-actions">
+        <button className="button" disabled={disabled || !dirty} onClick={() => onChange(parsePatterns(draft))}>
+          Save &amp; Rescan
+        </button>
+        <button className="button" disabled={disabled} onClick={() => onChange(DEFAULT_IGNORE_PATTERNS)}>
+          Reset to Defaults
+        </button>
+      </div>
+    </details>
+  );
+}
+
+function DirectorySelector({ scanData, onStageFiles, onCancel, toastFn, ignorePatterns, onIgnorePatternsChange }) {
+  const rootName = scanData.root.name;
+  const tree = useMemo(() => buildFileTree(scanData.meta), [scanData.meta]);
+  // file paths only; restored from the last visit to this root
+  const [selected, setSelected] = useState(() => new Set(loadTreeSelection(rootName)));
+  const [glob, setGlob] = useState('');
   const [isStaging, setIsStaging] = useState(false);
 
-  const handleCheckboxChange = (path, isChecked) => {
+  // drop remembered paths that no longer exist (or are now ignored)
+  const liveSelected = useMemo(() => {
+    const kept = [...selected].filter(p => tree.nodes.get(p)?.kind === 'file');
+    return kept.length === selected.size ? selected : new Set(kept);
+  }, [selected, tree]);
+
+  useEffect(() => {
+    saveTreeSelection(rootName, [...liveSelected]);
+  }, [rootName, liveSelected]);
+
+  const totalFiles = useMemo(() => tree.roots.reduce((n, r) => n + r.fileCount, 0), [tree]);
+  const selectedBytes = useMemo(
+    () => [...liveSelected].reduce((n, p) => n + (tree.nodes.get(p)?.size ?? 0), 0),
+    [liveSelected, tree]
+  );
+
+  const handleToggle = useCallback((paths, isChecked) => {
     setSelected(prev => {
       const next = new Set(prev);
-      if (isChecked) next.add(path);
-      else next.delete(path);
+      paths.forEach(p => (isChecked ? next.add(p) : next.delete(p)));
       return next;
     });
-  };
+  }, []);
 
   const handleBulkSelect = (shouldSelect) => {
     if (shouldSelect) {
-      setSelected(new Set(scanData.tops.map(t => t.name)));
+      setSelected(new Set(tree.roots.flatMap(filesUnder)));
     } else {
       setSelected(new Set());
     }
   };
 
+  const handleGlob = (shouldSelect) => {
+    let matches;
+    try {
+      matches = filesMatchingGlob(tree, glob);
+    } catch (e) {
+      toastFn?.(e.message, 4000);
+      return;
+    }
+    if (!matches.length) { toastFn?.(`No files match '${glob}'.`, 3000); return; }
+    handleToggle(matches, shouldSelect);
+    toastFn?.(`${shouldSelect ? 'Selected' : 'Deselected'} ${matches.length} file(s).`, 2000);
+  };
+
   const handleStage = async () => {
     setIsStaging(true);
     try {
       const { stagedFiles, rejectionStats } = await processAndStageSelectedFiles({
         root: scanData.root,
         meta: scanData.meta,
-        selected,
+        rulesByDir: scanData.rulesByDir,
+        selected: liveSelected,
       });
       onStageFiles(stagedFiles, scanData.root);
       const msg = formatRejectionMessage(rejectionStats, "file staging");
@@ -56,23 +157,37 @@ function DirectorySelector({ scanData, onStageFiles, onCancel, toastFn }) {
 
   return (
     <div style={{ border: '1px solid var(--border)', padding: 'var(--space-md)', borderRadius: 'var(--radius)', marginTop: '1rem' }}>
-      <h3>Select entries to include from '{scanData.root.name}'</h3>
-      <div style={{ maxHeight: '200px', overflowY: 'auto', padding: '4px 0', border: '1px solid var(--border)', borderRadius: '4px', marginBottom: '8px' }}>
-        {scanData.tops.map((t) => (
-          <label key={t.name} style={{ display: 'block', margin: '4px 8px', cursor: 'pointer' }}>
-            <input
-              type="checkbox"
-              checked={selected.has(t.name)}
-              onChange={e => handleCheckboxChange(t.name, e.target.checked)}
-              style={{ marginRight: '8px' }}
-              disabled={isStaging}
-            />
-            {t.kind === 'directory' ? '📁' : '📄'} <strong>{t.name}</strong>
-          </label>
-        ))}
+      <h3>Select files to include from '{rootName}'</h3>
+      <div className="file-tree-glob">
+        <input
+          className="form-input"
+          placeholder="Glob, e.g. src/**/*.ts *.md"
+          value={glob}
+          onInput={e => setGlob(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && glob.trim()) handleGlob(true); }}
+          disabled={isStaging}
+        />
+        <button className="button" disabled={isStaging || !glob.trim()} onClick={() => handleGlob(true)}>Select</button>
+        <button className="button" disabled={isStaging || !glob.trim()} onClick={() => handleGlob(false)}>Deselect</button>
       </div>
+      <FileTree
+        root={scanData.root}
+        tree={tree}
+        selected={liveSelected}
+        onToggle={handleToggle}
+        disabled={isStaging}
+      />
+      <p className="file-tree-summary">
+        {liveSelected.size.toLocaleString()} of {totalFiles.toLocaleString()} file(s) selected · {formatBytes(selectedBytes)}
+      </p>
+      <IgnoreRulesPanel
+        ignored={scanData.ignored}
+        patterns={ignorePatterns}
+        onChange={onIgnorePatternsChange}
+        disabled={isStaging}
+      />
       <div style={{display: 'flex', gap: '8px', marginTop: '8px'}}>
-        <button className="button button-accent button-glow" disabled={isStaging || selected.size === 0} onClick={handleStage}>
+        <button className="button button-accent button-glow" disabled={isStaging || liveSelected.size === 0} onClick={handleStage}>
           {isStaging ? 'Processing...' : 'Pick these Files'}
         </button>
         <button className="button" style={{background: '#000', color: '#fff'}} disabled={isStaging} onClick={() => handleBulkSelect(true)}>
@@ -88,30 +203,199 @@ function DirectorySelector({ scanData, onStageFiles, onCancel, toastFn }) {
 }
 
 
+const SORTS = {
+  added : null,
+  tokens: (counts) => (a, b) => (counts.get(b.id) ?? -1) - (counts.get(a.id) ?? -1),
+  path  : () => (a, b) => a.path.localeCompare(b.path),
+};
+
+/* staged files with their token cost; by file or by folder, and
+   "trim to budget" against USER_FACING_TOKEN_LIMIT */
+function StagedFileList({ files, dispatch, settings, promptTokenCount, toastFn }) {
+  const [sortBy, setSortBy] = useState('added');
+  const [view, setView] = useState('files');
+  const { counts, total, isCounting } = useFileTokenCounts(files, settings?.model, settings?.apiKey);
+
+  // the MEMORY total includes these files; the rest is history and prompt
+  const otherTokens = Math.max(0, promptTokenCount - total);
+  const budget = Math.max(0, USER_FACING_TOKEN_LIMIT - otherTokens);
+  const overBudget = total > budget;
+
+  const sorted = useMemo(
+    () => (SORTS[sortBy] ? [...files].sort(SORTS[sortBy](counts)) : files),
+    [files, counts, sortBy]
+  );
+  const folders = useMemo(() => (view === 'folders' ? tokensByFolder(files, counts) : []), [view, files, counts]);
+
+  const handleTrim = () => {
+    const drop = planTrim(files, counts, budget);
+    if (!drop.length) { toastFn?.('Nothing to trim – only pinned files are left.', 4000); return; }
+    const freed = drop.reduce((n, f) => n + (counts.get(f.id) ?? 0), 0);
+    if (!confirm(`Unstage ${drop.length} file(s) (${freed.toLocaleString()} tokens) to fit the ${budget.toLocaleString()}-token budget?`)) return;
+    dispatch({ type: 'REMOVE_FILES', ids: drop.map(f => f.id) });
+    toastFn?.(
+      `Unstaged ${drop.length} file(s), ${freed.toLocaleString()} tokens.`,
+      8000,
+      () => dispatch({ type: 'ADD_FILES', files: drop, root: null }),
+      'Undo'
+    );
+  };
+
+  return (
+    <>
+      <div className="staged-tokens-bar">
+        <span className={overBudget ? 'staged-tokens-total staged-tokens-total--over' : 'staged-tokens-total'}>
+          {total.toLocaleString()} tokens{isCounting ? ' (counting…)' : ''}
+        </span>
+        <select className="form-select" value={view} onChange={e => setView(e.target.value)} aria-label="Group staged files">
+          <option value="files">By file</option>
+          <option value="folders">By folder</option>
+        </select>
+        {view === 'files' && (
+          <select className="form-select" value={sortBy} onChange={e => setSortBy(e.target.value)} aria-label="Sort staged files">
+            <option value="added">Order added</option>
+            <option value="tokens">Most tokens</option>
+            <option value="path">Path</option>
+          </select>
+        )}
+        <button
+          className="button"
+          disabled={!overBudget || isCounting}
+          onClick={handleTrim}
+          title={`Unstage the largest low-priority files until staged files fit ${budget.toLocaleString()} tokens. Pinned files are kept.`}
+        >
+          Trim to Budget
+        </button>
+      </div>
+      {view === 'folders' ? (
+        <ul className="file-pane-filelist">
+          {folders.map(d => (
+            <li key={d.folder} title={d.folder} style={{ display: 'flex', alignItems: 'center' }}>
+              <span style={{ flex: '1 1 auto', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginRight: '1rem' }}>
+                📁 {d.folder.length > 50 ? `...${d.folder.slice(-47)}` : d.folder}
+              </span>
+              <span className="staged-file-tokens">{d.files} file(s) · {d.tokens.toLocaleString()} tok</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <ul className="file-pane-filelist">
+          {sorted.map((f) => (
+            <li key={f.id} title={`${f.path} (${f.charCount.toLocaleString()} chars)`} style={{ display: 'flex', alignItems: 'center' }}>
+              <span style={{ flex: '1 1 auto', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginRight: '1rem' }}>
+                {f.changed && <span className="staged-file-changed" title="Changed on disk since the last send">● </span>}
+                {f.path.length > 50 ? `...${f.path.slice(-47)}` : f.path}
+              </span>
+              <span className="staged-file-tokens">
+                {counts.has(f.id) ? `${counts.get(f.id).toLocaleString()} tok` : `${f.charCount.toLocaleString()} chars`}
+              </span>
+              <button
+                className={`staged-file-pin${f.pinned ? ' staged-file-pin--on' : ''}`}
+                onClick={() => dispatch({ type: 'TOGGLE_PIN', id: f.id })}
+                title={f.pinned ? 'Pinned – kept by Trim to Budget' : 'Pin to keep when trimming'}
+                aria-pressed={!!f.pinned}
+              >
+                📌
+              </button>
+              <button
+                onClick={() => dispatch({type: 'REMOVE_STAGED_FILE', id: f.id})}
+                title={`Remove ${f.name}`}
+                style={{
+                  marginLeft: '4px', cursor: 'pointer', color: 'var(--error)',
+                  background: 'none', border: 'none', fontSize: '1.2rem',
+                  lineHeight: '1', padding: '0 4px'
+                }}
+              >
+                &times;
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+
 export default function CodebaseImporter({
-  onFilesChange, toastFn, onAddImage, onAddPDF, settings, onClearAll
+  chatId, onFilesChange, toastFn, onAddImage, onAddPDF, settings, onResync, promptTokenCount = 0
 }) {
   const [adding, setAdding] = useState(false);
   const [impState, dispatch] = useReducer(reducer, initialState);
   const [directoryHandle, setDirectoryHandle] = useState(null);
+  const [ignorePatterns, setIgnorePatterns] = useState(DEFAULT_IGNORE_PATTERNS);
+  // rootName → handle of every staged project, for live re-reads; also
+  // kept in IndexedDB so pinned files can be re-read after a reload
+  const rootsRef = useRef(new Map());
+  const [liveSync, setLiveSync] = useState(() => {
+    try { return localStorage.getItem(LOCALSTORAGE_LIVE_SYNC_KEY) === 'true'; } catch { return false; }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem(LOCALSTORAGE_LIVE_SYNC_KEY, String(liveSync)); } catch {}
+  }, [liveSync]);
 
   useEffect(() => {
     onFilesChange(impState.files);
   }, [impState.files, onFilesChange]);
 
+  /* Pinned context: staged files belong to the task and survive sends
+     and reloads. Saves go to the task the files were loaded for, so a
+     task switch can't write one task's files into another. */
+  const [policy, setPolicy] = useState(PINNED_CONTEXT_DEFAULT_POLICY);
+  useEffect(() => {
+    let cancelled = false;
+    getPinnedContext(chatId).then(entry => {
+      if (cancelled) return;
+      dispatch({ type: 'LOAD_PINNED', chatId, files: entry.files });
+      setPolicy(entry.policy);
+    });
+    return () => { cancelled = true; };
+  }, [chatId]);
+
+  useEffect(() => {
+    if (impState.chatId) savePinnedFiles(impState.chatId, impState.files);
+  }, [impState.chatId, impState.files]);
+
+  /* unstaging everything (Clear All or the last ×) also drops the task's
+     cached files snapshot, so later turns stop carrying it */
+  const loadedRef = useRef({ chatId: null, count: 0 });
+  const geminiKey = settings?.apiKey;
+  useEffect(() => {
+    const { chatId: loadedFor, count } = loadedRef.current;
+    loadedRef.current = { chatId: impState.chatId, count: impState.files.length };
+    if (impState.chatId && impState.chatId === loadedFor && count > 0 && impState.files.length === 0) {
+      dropContextFiles({ apiKey: geminiKey, chatId: impState.chatId })
+        .catch(err => console.warn('[CodebaseImporter] could not drop cached files:', err));
+    }
+  }, [impState.chatId, impState.files, geminiKey]);
+
+  const handlePolicyChange = useCallback((next) => {
+    setPolicy(next);
+    setPinnedPolicy(chatId, next);
+  }, [chatId]);
+
   const {
     data: scanData,
     isLoading: isScanning,
     isError: scanError,
     error: scanErrorMessage,
   } = useQuery({
-    queryKey: ['directoryScan', directoryHandle?.name],
+    queryKey: ['directoryScan', directoryHandle?.name, ignorePatterns],
     queryFn: async () => {
       toastFn?.(`Scanning '${directoryHandle.name}'...`, 2000);
-      const { tops, meta, rejectionStats } = await scanDirectoryForMinimalMetadata(directoryHandle);
+      const { tops, meta, rejectionStats, ignored, invalidRules, rulesByDir } =
+        await scanDirectoryForMinimalMetadata(directoryHandle, { ignorePatterns });
       const msg = formatRejectionMessage(rejectionStats, `folder scan`);
       if (msg) toastFn?.(msg, 15000);
-      return { root: directoryHandle, tops, meta };
+      if (invalidRules.length) {
+        toastFn?.(
+          'Skipped invalid ignore pattern(s):\n' +
+            invalidRules.map(r => `${r.source}: ${r.pattern}`).join('\n'),
+          10000
+        );
+      }
+      return { root: directoryHandle, tops, meta, ignored, rulesByDir };
     },
     enabled: !!directoryHandle,
     staleTime: 5 * 60 * 1000,
@@ -125,6 +409,7 @@ export default function CodebaseImporter({
     try {
       const dirHandle = await window.showDirectoryPicker();
       await saveRoot(dirHandle);
+      setIgnorePatterns(loadIgnorePatterns(dirHandle.name));
       setDirectoryHandle(dirHandle);
     } catch (e) {
       if (e.name !== 'AbortError') toastFn?.('Folder pick error: ' + e.message, 4000);
@@ -133,27 +418,79 @@ export default function CodebaseImporter({
     }
   }, [toastFn]);
 
+  const handleIgnorePatternsChange = useCallback((patterns) => {
+    if (!directoryHandle) return;
+    saveIgnorePatterns(directoryHandle.name, patterns);
+    setIgnorePatterns(patterns);
+  }, [directoryHandle]);
+
   const handleStageFiles = useCallback((files, root) => {
+    if (root) {
+      rootsRef.current.set(root.name, root);
+      rememberProjectRoot(root).catch(err => console.warn('[CodebaseImporter] could not save project root:', err));
+    }
     dispatch({ type: 'ADD_FILES', files, root });
     setDirectoryHandle(null);
   }, []);
 
   const clearAllStates = useCallback(() => {
     dispatch({ type: 'CLEAR_ALL' });
+    rootsRef.current.clear();
     setDirectoryHandle(null);
     clearIDBRoot().catch(err => console.error("Error clearing root from IDB:", err));
   }, []);
 
-  // FIX: Pass the clear function up to the parent (App.jsx)
-  // so it can be called when a message is sent.
-  useEffect(() => {
-    if (onClearAll) {
-      onClearAll.current = clearAllStates;
+  /* Live mode: re-read every staged project file right before a send.
+     Resolves to the fresh file list, or null when live mode is off (the
+     caller then sends what is staged). */
+  const filesRef = useRef(impState.files);
+  filesRef.current = impState.files;
+  const resyncFromDisk = useCallback(async () => {
+    if (!liveSync) return null;
+    const files = filesRef.current;
+    const missing = [...new Set(
+      files.filter(f => f.insideProject && !rootsRef.current.has(f.rootName)).map(f => f.rootName)
+    )];
+    if (missing.length) {
+      const restored = await loadProjectRoots(missing).catch(() => new Map());
+      restored.forEach((h, name) => rootsRef.current.set(name, h));
     }
-  }, [onClearAll, clearAllStates]);
+    const result = await resyncStagedFiles(rootsRef.current, files);
+    dispatch({ type: 'RESYNC_FILES', updates: result.updates, deletedIds: result.deletedIds });
+
+    if (result.deleted.length) {
+      toastFn?.(`${result.deleted.length} staged file(s) no longer exist and were dropped: ${result.deleted.join(', ')}`, 8000);
+    }
+    if (result.unreadable.length) {
+      toastFn?.(`Could not re-read ${result.unreadable.join(', ')} – sending the previous version.`, 8000);
+    }
+    if (result.noRoot.length) {
+      toastFn?.(
+        `No access to the project folder of ${result.noRoot.join(', ')} – sending the previous version. ` +
+          'Add the folder again to re-read them.',
+        10000
+      );
+    }
+    if (result.overLimit.length) {
+      toastFn?.(
+        `Re-reading ${result.overLimit.join(', ')} would exceed the ` +
+          `cumulative size limit of ${MAX_CUMULATIVE_FILE_SIZE / (1024 * 1024)}MB – sending the previous version.`,
+        10000
+      );
+    }
+    const removed = new Set(result.deletedIds);
+    return files
+      .filter(f => !removed.has(f.id))
+      .map(f => (result.updates[f.id] ? { ...f, ...result.updates[f.id] } : f));
+  }, [liveSync, toastFn]);
+
+  useEffect(() => {
+    if (onResync) onResync.current = resyncFromDisk;
+    return () => { if (onResync?.current === resyncFromDisk) onResync.current = null; };
+  }, [onResync, resyncFromDisk]);
 
   const handleManualClear = () => {
-    if (confirm('Remove all selected files and clear project root?')) {
+    if (confirm('Remove all staged files from this task and clear project root?')) {
         clearAllStates();
     }
   }
@@ -356,7 +693,17 @@ export default function CodebaseImporter({
         </div>
       )}
 
-      {scanData && <DirectorySelector scanData={scanData} onStageFiles={handleStageFiles} onCancel={() => setDirectoryHandle(null)} toastFn={toastFn} />}
+      {scanData && (
+        <DirectorySelector
+          key={scanData.root.name}
+          scanData={scanData}
+          onStageFiles={handleStageFiles}
+          onCancel={() => setDirectoryHandle(null)}
+          toastFn={toastFn}
+          ignorePatterns={ignorePatterns}
+          onIgnorePatternsChange={handleIgnorePatternsChange}
+        />
+      )}
 
       {impState.files.length > 0 && (
         <>
@@ -371,30 +718,24 @@ export default function CodebaseImporter({
               ))}
             </div>
           )}
-          <p style={{ marginBottom: '8px', fontSize: '0.9em' }}> {impState.files.length} file(s) staged for context. </p>
-          <ul className="file-pane-filelist">
-            {impState.files.map((f) => (
-              <li key={f.id} title={`${f.path} (${f.charCount.toLocaleString()} chars)`} style={{ display: 'flex', alignItems: 'center' }}> 
-                <span style={{ flex: '1 1 auto', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginRight: '1rem' }}>
-                  {f.path.length > 50 ? `...${f.path.slice(-47)}` : f.path}
-                </span>
-                <span style={{ color: 'var(--text-secondary)', fontSize: '0.8em', flexShrink: 0 }}>
-                  {f.charCount.toLocaleString()}
-                </span>
-                <button
-                  onClick={() => dispatch({type: 'REMOVE_STAGED_FILE', id: f.id})}
-                  title={`Remove ${f.name}`}
-                  style={{ 
-                    marginLeft: '10px', cursor: 'pointer', color: 'var(--error)', 
-                    background: 'none', border: 'none', fontSize: '1.2rem',
-                    lineHeight: '1', padding: '0 4px'
-                  }}
-                >
-                  &times;
-                </button>
-              </li>
-            ))}
-          </ul>
+          <p style={{ marginBottom: '8px', fontSize: '0.9em' }}> {impState.files.length} file(s) pinned to this task. </p>
+          <label className="pinned-policy" title="Staged files stay with the task across sends and reloads">
+            Send them
+            <select className="form-select" value={policy} onChange={e => handlePolicyChange(e.target.value)}>
+              {CONTEXT_POLICIES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          </label>
+          <label className="live-sync-toggle" title="Re-read staged project files from disk before each send">
+            <input type="checkbox" checked={liveSync} onChange={e => setLiveSync(e.target.checked)} />
+            Live: re-read from disk before each send
+          </label>
+          <StagedFileList
+            files={impState.files}
+            dispatch={dispatch}
+            settings={settings}
+            promptTokenCount={promptTokenCount}
+            toastFn={toastFn}
+          />
         </>
       )}
     </div>
@@ -1,12 +1,19 @@
 // file: src/PromptBuilder.jsx
-import { useEffect, useRef, useMemo } from 'preact/hooks';
+import { useEffect, useRef, useMemo, useState } from 'preact/hooks';
 import CodebaseImporter from './CodebaseImporter.jsx';
+import PromptTemplatesPanel from './components/PromptTemplatesPanel.jsx';
+import StructuredOutputSettings from './components/StructuredOutputSettings.jsx';
+import { BUILTIN_MODES, templateMode, missingRequiredFields } from './lib/promptTemplates.js';
+import { CONVENTIONAL_TYPES } from './lib/commitMessage.js';
 import { autoResizeTextarea } from './lib/domUtils.js';
 import { LOCALSTORAGE_FORM_KEY } from './config.js';
 import { useSignedUrl } from './hooks/useSignedUrl.js';
 
 const MAX_PROMPT_TEXTAREA_HEIGHT = 250;
 
+// modes whose answer has a fixed JSON shape – the JSON output picker doesn't apply
+const FIXED_SCHEMA_MODES = ['CODE CHECK', 'COMMIT'];
+
 const placeholders = {
   developGoal: '', // No example for goal
   developFeatures: 'e.g. frameworks, required API endpoints or response schemas, state changes',
@@ -30,6 +37,9 @@ function ImagePreview({ image, onRemove }) {
 export default function PromptBuilder({
   mode,
   setMode,
+  activeTemplate,
+  includesFiles,
+  promptTemplates,
   form,
   setForm,
   sendDisabled,
@@ -45,11 +55,14 @@ export default function PromptBuilder({
   hasLastSendFailed,
   importedCodeFiles,
   onCodeFilesChange,
-  onClearCodebase,
+  onResyncCodebase,
   currentChatId,
+  promptTokenCount,
+  structuredOutput,
 }) {
   const formRef = useRef(form);
   const textareaRefs = useRef({});
+  const [showTemplates, setShowTemplates] = useState(false);
 
   useEffect(() => {
     formRef.current = form;
@@ -97,13 +110,32 @@ export default function PromptBuilder({
       showToast?.('GOAL is required', 3000);
       return;
     }
+    if (activeTemplate) {
+      const missing = missingRequiredFields(activeTemplate, form.templateValues?.[activeTemplate.id]);
+      if (missing.length) {
+        showToast?.(`${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`, 3000);
+        return;
+      }
+    }
+    if (!FIXED_SCHEMA_MODES.includes(mode) && structuredOutput?.error) {
+      showToast?.(`JSON output: ${structuredOutput.error}`, 5000);
+      return;
+    }
     handleSend();
   }
 
+  const setTemplateValue = (key, value) => setForm(f => ({
+    ...f,
+    templateValues: {
+      ...f.templateValues,
+      [activeTemplate.id]: { ...f.templateValues?.[activeTemplate.id], [key]: value },
+    },
+  }));
+
   return (
     <div className="template-container">
       <div className="mode-selector form-group" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '8px' }}>
-        {['DEVELOP', 'CODE CHECK', 'COMMIT'].map((m) => (
+        {BUILTIN_MODES.map((m) => (
           <button
             key={m}
             className={mode === m ? 'button active' : 'button'}
@@ -112,8 +144,48 @@ export default function PromptBuilder({
             {m}
           </button>
         ))}
+        {promptTemplates?.templates.map((t) => (
+          <button
+            key={t.id}
+            className={mode === templateMode(t) ? 'button active' : 'button'}
+            onClick={() => setMode(templateMode(t))}
+          >
+            {t.name}
+          </button>
+        ))}
+        <button
+          className={showTemplates ? 'button active' : 'button'}
+          onClick={() => setShowTemplates(v => !v)}
+          title="Create, edit, import or export custom modes"
+        >
+          ⚙ Modes
+        </button>
       </div>
 
+      {showTemplates && promptTemplates && (
+        <PromptTemplatesPanel promptTemplates={promptTemplates} onClose={() => setShowTemplates(false)} />
+      )}
+
+      {activeTemplate?.fields.map((field) => (
+        <div key={`${activeTemplate.id}:${field.key}`} className="form-group">
+          <label htmlFor={`tpl-${field.key}`} className="input-with-prefix-container">
+            <strong className="input-prefix">{field.label}{field.required ? ' *' : ''}</strong>
+            <textarea
+              id={`tpl-${field.key}`}
+              rows={field.rows}
+              className="input-textarea-naked"
+              style={{ maxHeight: `${MAX_PROMPT_TEXTAREA_HEIGHT}px` }}
+              value={form.templateValues?.[activeTemplate.id]?.[field.key] ?? ''}
+              onInput={(e) => {
+                setTemplateValue(field.key, e.target.value);
+                autoResizeTextarea(e.target, MAX_PROMPT_TEXTAREA_HEIGHT);
+              }}
+              placeholder={field.placeholder}
+            />
+          </label>
+        </div>
+      ))}
+
       {mode === 'COMMIT' && (
         <div style={{
           padding: 'var(--space-md)',
@@ -130,6 +202,46 @@ export default function PromptBuilder({
         </div>
       )}
 
+      {mode === 'COMMIT' && (
+        <div className="commit-options">
+          <label>
+            <input
+              type="checkbox"
+              checked={form.commitConventional}
+              onChange={e => setForm(f => ({ ...f, commitConventional: e.target.checked }))}
+            />
+            {' '}Conventional Commits
+          </label>
+          {form.commitConventional && (
+            <>
+              <select
+                className="form-select"
+                value={form.commitType}
+                onChange={e => setForm(f => ({ ...f, commitType: e.target.value }))}
+                aria-label="Commit type"
+              >
+                <option value="">Type: let the model pick</option>
+                {CONVENTIONAL_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+              <input
+                className="form-input"
+                placeholder="Scope (optional)"
+                value={form.commitScope}
+                onInput={e => setForm(f => ({ ...f, commitScope: e.target.value }))}
+              />
+              <label>
+                <input
+                  type="checkbox"
+                  checked={form.commitBreaking}
+                  onChange={e => setForm(f => ({ ...f, commitBreaking: e.target.checked }))}
+                />
+                {' '}Breaking change
+              </label>
+            </>
+          )}
+        </div>
+      )}
+
       {mode === 'DEVELOP' &&
         fields.map(([label, key, rows]) => {
           if (key === 'developReturnFormat_custom') {
@@ -198,14 +310,26 @@ export default function PromptBuilder({
           );
         })}
 
-      {mode === 'DEVELOP' && (
+      {mode === 'CODE CHECK' && (
+        <p className="form-hint" style={{ marginBottom: 'var(--space-md)' }}>
+          Audit answers come back as structured findings (severity, category, file, line,
+          description, fix) and are listed under Findings.
+        </p>
+      )}
+      {!FIXED_SCHEMA_MODES.includes(mode) && structuredOutput && (
+        <StructuredOutputSettings structured={structuredOutput} />
+      )}
+
+      {includesFiles && (
         <CodebaseImporter
+          chatId={currentChatId}
           onFilesChange={onCodeFilesChange}
           toastFn={showToast}
           onAddImage={onAddImage}
           onAddPDF={onAddPDF}
           settings={settings}
-          onClearAll={onClearCodebase}
+          onResync={onResyncCodebase}
+          promptTokenCount={promptTokenCount}
         />
       )}
 
@@ -0,0 +1,136 @@
+// ────────────────────────────────────────────────────────────────
+// src/api/contextCache.js
+// Decides, per turn, how a chat's staged-files section reaches the
+// model: by Gemini cache name, or inlined into the first message.
+// ────────────────────────────────────────────────────────────────
+import {
+  CONTEXT_CACHE_TTL_SECONDS,
+  CONTEXT_CACHE_MIN_CHARS,
+  CONTEXT_CACHE_REFRESH_AFTER,
+} from '../config.js';
+import { fetchChat, updateChatContextCache } from './supabaseApi.js';
+import {
+  contextCacheKey,
+  createContextCache,
+  refreshContextCache,
+  deleteContextCache,
+} from './geminiApi.js';
+import { parseModelId } from './llmApi.js';
+import { getContextFiles, setContextFiles, clearContextFiles } from '../lib/contextFilesStore.js';
+import { getPinnedContext, carrierOnPath } from '../lib/pinnedContextStore.js';
+
+const msUntil = (iso) => (iso ? new Date(iso).getTime() - Date.now() : -1);
+
+/* a cancelled send stops between steps, with the reason it was aborted for */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw signal.reason;
+};
+
+/**
+ * resolveContextFiles – call before every generation in a chat.
+ *   • filesText given → new snapshot staged by `path`'s last turn: stored,
+ *     cache rebuilt if it changed
+ *   • filesText empty → reuse this chat's last snapshot, if the branch
+ *     (`path`, the messages being sent) still builds on it
+ * `signal` cancels the lookups and any cache upload in between.
+ * @returns {Promise<{ cachedContent?: string, inlineText?: string, fileCount?: number }>}
+ *          empty object when the chat has no snapshot for this branch.
+ */
+export async function resolveContextFiles({
+  apiKey, model, chatId, filesText, fileCount, systemPrompt, path = [], signal,
+}) {
+  const entry = filesText
+    ? await setContextFiles(chatId, filesText, fileCount, path[path.length - 1]?.id ?? null)
+    : await getContextFiles(chatId);
+  throwIfAborted(signal);
+  if (!entry?.text) return {};
+  if (!filesText && entry.messageId) {
+    const carrier = carrierOnPath(await getPinnedContext(chatId), path);
+    throwIfAborted(signal);
+    if (carrier?.snapshotId !== entry.messageId) return {};
+  }
+
+  const inline = { inlineText: entry.text, fileCount: entry.fileCount };
+  if (parseModelId(model).provider !== 'gemini' || entry.text.length < CONTEXT_CACHE_MIN_CHARS) {
+    return inline;
+  }
+
+  const chat = await fetchChat(chatId);
+  throwIfAborted(signal);
+  const key = contextCacheKey(model, entry.checksum, systemPrompt);
+  const ttlMs = CONTEXT_CACHE_TTL_SECONDS * 1000;
+
+  if (chat?.context_cache_name && chat.context_cache_key === key) {
+    const left = msUntil(chat.context_cache_expires_at);
+    if (left > ttlMs * (1 - CONTEXT_CACHE_REFRESH_AFTER)) {
+      return { cachedContent: chat.context_cache_name, fileCount: entry.fileCount };
+    }
+    if (left > 0) {
+      try {
+        const info = await refreshContextCache({ apiKey, name: chat.context_cache_name, signal });
+        await updateChatContextCache(chatId, { ...info, key });
+        throwIfAborted(signal);
+        return { cachedContent: info.name, fileCount: entry.fileCount };
+      } catch (err) {
+        throwIfAborted(signal);
+        console.warn('[contextCache] refresh failed, rebuilding:', err.message);
+      }
+    }
+  }
+
+  // stale (files, model or system prompt changed) or expired → replace
+  if (chat?.context_cache_name) {
+    await deleteContextCache({ apiKey, name: chat.context_cache_name });
+    throwIfAborted(signal);
+  }
+
+  try {
+    const info = await createContextCache({ apiKey, model, filesText: entry.text, systemPrompt, signal });
+    await updateChatContextCache(chatId, { ...info, key });
+    throwIfAborted(signal);
+    return { cachedContent: info.name, fileCount: entry.fileCount };
+  } catch (err) {
+    throwIfAborted(signal);
+    // e.g. model without caching support – the turn still works, uncached
+    console.warn('[contextCache] create failed, sending inline:', err.message);
+    await updateChatContextCache(chatId, {}).catch(() => {});
+    return inline;
+  }
+}
+
+/**
+ * Drops a chat's files snapshot and its Gemini cache – when its files are
+ * unstaged or the task is deleted. Without a Gemini `apiKey` the cache is
+ * only forgotten and expires with its TTL. Resolves to the snapshot that
+ * was dropped (null if none), so a deleted task's can be put back on undo.
+ */
+export async function dropContextFiles({ apiKey, chatId }) {
+  const entry = await getContextFiles(chatId);
+  if (!entry) return null;
+  await clearContextFiles(chatId);
+  const chat = await fetchChat(chatId).catch(() => null);
+  if (chat?.context_cache_name) {
+    if (apiKey) await deleteContextCache({ apiKey, name: chat.context_cache_name });
+    await updateChatContextCache(chatId, {}).catch(() => {});
+  }
+  return entry;
+}
+
+/** Puts back a snapshot returned by dropContextFiles; the cache is rebuilt on the next turn. */
+export function restoreContextFiles(chatId, entry) {
+  if (!entry) return Promise.resolve();
+  return setContextFiles(chatId, entry.text, entry.fileCount, entry.messageId)
+    .catch(err => console.warn('[contextCache] restore failed:', err));
+}
+
+/** Drops a cache the API no longer recognises so the next turn rebuilds it. */
+export function forgetContextCache(chatId) {
+  return updateChatContextCache(chatId, {}).catch(() => {});
+}
+
+/* Uncached path: the files section goes first, as its own user turn
+   (block indexes of stored messages must not shift – see geminiApi §3). */
+export function withInlineFiles(messages, text) {
+  if (!text) return messages;
+  return [{ role: 'user', content: [{ type: 'text', text }] }, ...messages];
+}
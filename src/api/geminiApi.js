@@ -3,26 +3,21 @@
 // Robust Gemini bridge – image upload, retry, optimism-lock safe
 // ────────────────────────────────────────────────────────────────
 import { supabase } from '../lib/supabase.js';
+import { checksum32 } from '../lib/checksum.js';
 import {
-  GEMINI_API_TIMEOUT_MS,
+  LLM_API_TIMEOUT_MS,
   GEMINI_MODEL_NAME,
+  CONTEXT_CACHE_TTL_SECONDS,
 } from '../config.js';
-import HARDCODED_GEMINI_SYSTEM_PROMPT from '../system-prompt.md?raw';
+import { DEFAULT_SYSTEM_PROMPT } from '../lib/systemPrompt.js';
+import { toGeminiSchema } from '../lib/structuredOutput.js';
 import { GoogleGenAI } from '@google/genai';
+import { ApiError, withRetries, downloadStoredBlob, makeUsage, requestTimer } from './llmCommon.js';
 
-/* =================================================================
-   1. Error class
-   ===============================================================*/
-export class ApiError extends Error {
-  constructor(code = 'UNKNOWN', message = 'Unspecified error', cause) {
-    super(message);
-    this.code = code;
-    this.cause = cause;
-  }
-}
+export { ApiError };
 
 /* =================================================================
-   2. Helpers – validation & retries
+   1. Helpers – validation
    ===============================================================*/
 function validateKey(raw = '') {
   const key = raw ? raw.trim() : '';
@@ -36,57 +31,8 @@ function validateKey(raw = '') {
   return key;
 }
 
-function isRetryable(err) {
-  if (!err) return false;
-  const code = err.code ?? err.status ?? '';
-  return (
-    code === 429 ||
-    code === 500 ||
-    code === 502 ||
-    code === 503 ||
-    code === 504 ||
-    code === 408 ||
-    code === 'UNAVAILABLE' ||
-    code === 'ABORTED' ||
-    err.name === 'FetchError' ||
-    err.message?.includes('network') ||
-    err.message?.includes('timeout') ||
-    err.message?.includes('ECONNRESET') ||
-    err.message?.includes('ETIMEDOUT')
-  );
-}
-
-async function withRetries(fn, wait = [0, 500, 1000, 2000, 4000]) {
-  let lastErr;
-  for (let i = 0; i < wait.length; i++) {
-    if (i) await new Promise((r) => setTimeout(r, wait[i]));
-    try {
-      return await fn();
-    } catch (e) {
-      lastErr = e;
-      if (!isRetryable(e)) break;
-    }
-  }
-  throw lastErr;
-}
-
-/* =================================================================
-   3. Storage – signed URL (15 min)
-   ===============================================================*/
-async function getSignedUrl(path) {
-  const { data, error } = await supabase.functions.invoke(
-    'get-signed-urls',
-    { body: { paths: [path], expiresIn: 900 } }
-  );
-  if (error)
-    throw new ApiError('SIGNED_URL', 'Failed to create signed URL', error);
-  if (data.error)
-    throw new ApiError('SIGNED_URL', data.error, new Error(data.error));
-  return data.urlMap?.[path] ?? null;
-}
-
 /* =================================================================
-   4. Optimistic concurrency safe update
+   2. Optimistic concurrency safe update
    ===============================================================*/
 async function updateMessageSafely(id, newContent, attempt = 0) {
   if (attempt > 2) {
@@ -130,7 +76,7 @@ async function updateMessageSafely(id, newContent, attempt = 0) {
 }
 
 /* =================================================================
-   5. Upload image to Gemini Files API
+   3. Upload image to Gemini Files API
    ===============================================================*/
 async function uploadAndCacheFileUri({
   apiKey,
@@ -144,18 +90,7 @@ async function uploadAndCacheFileUri({
   }
 
   // download blob from Supabase
-  const blob = await withRetries(async () => {
-    const url = await getSignedUrl(path);
-    if (!url)
-      throw new ApiError('SIGNED_URL', 'Signed URL not returned by function');
-    const res = await fetch(url);
-    if (!res.ok)
-      throw new ApiError(
-        'FETCH_BLOB',
-        `HTTP ${res.status} while downloading image`
-      );
-    return res.blob();
-  });
+  const blob = await downloadStoredBlob(path);
 
   // single-try upload (avoid duplicates)
   const genAI = new GoogleGenAI({ apiKey });
@@ -201,12 +136,80 @@ async function uploadAndCacheFileUri({
 }
 
 /* =================================================================
-   6. Public helper
+   4. Streaming – accumulate chunks, report running text
+   ===============================================================*/
+/* thought-summary parts (part.thought === true) never join the answer */
+function splitParts(parts = []) {
+  let text = '';
+  let thoughts = '';
+  for (const p of parts) {
+    if (!p.text) continue;
+    if (p.thought) thoughts += p.text;
+    else text += p.text;
+  }
+  return { text, thoughts };
+}
+
+const toUsage = (meta) => meta && makeUsage({
+  prompt   : meta.promptTokenCount,
+  candidate: meta.candidatesTokenCount,
+  cached   : meta.cachedContentTokenCount,
+  thinking : meta.thoughtsTokenCount,
+});
+
+async function streamContent(ai, payload, onChunk) {
+  onChunk('', '');      // a retried attempt starts from scratch
+  const stream = await ai.models.generateContentStream(payload);
+
+  let text = '';
+  let thoughts = '';
+  let finishReason;
+  let usageMetadata;
+  let sawCandidate = false;
+  for await (const chunk of stream) {
+    // running totals – the last chunk carries the final counts
+    if (chunk?.usageMetadata) usageMetadata = chunk.usageMetadata;
+    const cand = chunk?.candidates?.[0];
+    if (!cand) continue;
+    sawCandidate = true;
+    if (cand.finishReason) finishReason = cand.finishReason;
+    const piece = splitParts(cand.content?.parts);
+    if (piece.text || piece.thoughts) {
+      text += piece.text;
+      thoughts += piece.thoughts;
+      onChunk(text, thoughts);
+    }
+  }
+  return { text, thoughts, finishReason, usageMetadata, sawCandidate };
+}
+
+/* thinking = { budget, includeThoughts }; budget -1 = dynamic, 0 = off */
+function toThinkingConfig(thinking) {
+  if (!thinking) return undefined;
+  const { budget, includeThoughts } = thinking;
+  const cfg = {};
+  if (Number.isInteger(budget)) cfg.thinkingBudget = budget;
+  if (includeThoughts && budget !== 0) cfg.includeThoughts = true;
+  return Object.keys(cfg).length ? cfg : undefined;
+}
+
+/* =================================================================
+   5. Public helper
+      • onChunk(textSoFar, thoughtsSoFar) → stream via generateContentStream
+      • no onChunk                        → single generateContent round-trip
+      Resolves { content, thoughts?, usage? } – thoughts only when
+      requested, usage whenever the API reports it (see makeUsage).
    ===============================================================*/
 export async function callApiForText({
   messages = [],
   apiKey = '',
+  model = GEMINI_MODEL_NAME,
+  thinking,
+  systemPrompt = DEFAULT_SYSTEM_PROMPT,
+  responseSchema,
+  cachedContent,
   signal,
+  onChunk,
 } = {}) {
   const key = validateKey(apiKey);
   const ai = new GoogleGenAI({ apiKey: key });
@@ -273,15 +276,24 @@ export async function callApiForText({
     }
   }
 
+  // role:'system' messages add to the chosen prompt, they don't replace it
   const systemInstruction = [
-    HARDCODED_GEMINI_SYSTEM_PROMPT,
+    systemPrompt.trim(),
     extraSystem.trim(),
   ]
     .filter(Boolean)
     .join('\n\n');
 
+  // timeout + abort chaining
+  const ctrl = new AbortController();
+  if (signal) {
+    if (signal.aborted) ctrl.abort(signal.reason);
+    else signal.addEventListener('abort', () => ctrl.abort(signal.reason));
+  }
+
+  const thinkingConfig = toThinkingConfig(thinking);
   const payload = {
-    model: GEMINI_MODEL_NAME,
+    model,
     contents,
     config: {
       temperature: 0,
@@ -292,45 +304,74 @@ export async function callApiForText({
         { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
         { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
       ],
-      ...(systemInstruction && { systemInstruction }),
+      // a cache already carries the system prompt; the API rejects both
+      ...(cachedContent
+        ? { cachedContent }
+        : systemInstruction && { systemInstruction }),
+      ...(thinkingConfig && { thinkingConfig }),
+      ...(responseSchema && {
+        responseMimeType: 'application/json',
+        responseSchema  : toGeminiSchema(responseSchema),
+      }),
+      abortSignal: ctrl.signal,
     },
   };
 
-  // timeout + abort chaining
-  const ctrl = new AbortController();
-  if (signal) signal.addEventListener('abort', () => ctrl.abort());
-
-  const t = setTimeout(
-    () => ctrl.abort(new ApiError('TIMEOUT', 'Gemini request timed out')),
-    GEMINI_API_TIMEOUT_MS
-  );
+  // streaming: the timeout counts from the last chunk, not the request
+  const timer = requestTimer(ctrl, LLM_API_TIMEOUT_MS, 'Gemini request timed out');
+  const onStreamChunk = onChunk && ((text, thoughts) => {
+    timer.touch();
+    onChunk(text, thoughts);
+  });
 
   try {
-    const resp = await withRetries(() =>
-      ai.models.generateContent(payload, { signal: ctrl.signal })
-    );
+    let text, thoughts, finishReason, usageMetadata;
 
-    clearTimeout(t);
+    if (onChunk) {
+      const res = await withRetries(
+        () => streamContent(ai, payload, onStreamChunk),
+        undefined,
+        ctrl.signal
+      );
+      if (!res.sawCandidate)
+        throw new ApiError('NO_RESPONSE', 'Model returned no candidates');
+      ({ text, thoughts, finishReason, usageMetadata } = res);
+    } else {
+      const resp = await withRetries(
+        () => ai.models.generateContent(payload),
+        undefined,
+        ctrl.signal
+      );
+      const cand = resp?.candidates?.[0];
+      if (!cand)
+        throw new ApiError('NO_RESPONSE', 'Model returned no candidates');
+      finishReason = cand.finishReason;
+      usageMetadata = resp.usageMetadata;
+      ({ text, thoughts } = splitParts(cand.content?.parts));
+    }
 
-    const cand = resp?.candidates?.[0];
-    if (!cand)
-      throw new ApiError('NO_RESPONSE', 'Model returned no candidates');
+    timer.clear();
 
-    if (cand.finishReason === 'SAFETY') {
+    if (finishReason === 'SAFETY') {
       throw new ApiError(
         'SAFETY',
         'Generation stopped by safety filters'
       );
     }
 
-    const text = cand.content?.parts?.map((p) => p.text).join('');
     if (!text) throw new ApiError('EMPTY', 'Model returned empty text');
-    return { content: text };
+    const usage = toUsage(usageMetadata);
+    return {
+      content: text,
+      ...(thoughts && { thoughts }),
+      ...(usage && { usage }),
+    };
   } catch (err) {
-    clearTimeout(t);
+    timer.clear();
+    if (ctrl.signal.reason instanceof ApiError) throw ctrl.signal.reason;
     if (!(err instanceof ApiError)) {
       throw new ApiError(
-        err.code ?? 'ERROR',
+        err.code ?? err.status ?? 'ERROR',
         err.message ?? String(err),
         err
       );
@@ -338,3 +379,73 @@ export async function callApiForText({
     throw err;
   }
 }
+
+/* =================================================================
+   6. Explicit context cache – staged files + system prompt
+   ===============================================================*/
+/** Identity of a cache's contents; a different key means "rebuild". */
+export function contextCacheKey(model, filesChecksum, systemPrompt = DEFAULT_SYSTEM_PROMPT) {
+  return `${model}:${checksum32(systemPrompt.trim())}:${filesChecksum}`;
+}
+
+const toCacheInfo = (cache) => ({
+  name     : cache.name,
+  expiresAt: cache.expireTime
+    ?? new Date(Date.now() + CONTEXT_CACHE_TTL_SECONDS * 1000).toISOString(),
+});
+
+export async function createContextCache({
+  apiKey,
+  model = GEMINI_MODEL_NAME,
+  filesText,
+  systemPrompt = DEFAULT_SYSTEM_PROMPT,
+  ttlSeconds = CONTEXT_CACHE_TTL_SECONDS,
+  signal,
+}) {
+  const ai = new GoogleGenAI({ apiKey: validateKey(apiKey) });
+  try {
+    const cache = await ai.caches.create({
+      model,
+      config: {
+        contents: [{ role: 'user', parts: [{ text: filesText }] }],
+        ...(systemPrompt.trim() && { systemInstruction: systemPrompt.trim() }),
+        ttl: `${ttlSeconds}s`,
+        displayName: 'konzuko-staged-files',
+        ...(signal && { abortSignal: signal }),
+      },
+    });
+    if (!cache?.name) throw new ApiError('CACHE', 'Cache response missing "name"');
+    return toCacheInfo(cache);
+  } catch (e) {
+    if (e instanceof ApiError) throw e;
+    throw new ApiError(e.status ?? 'CACHE', e.message, e);
+  }
+}
+
+export async function refreshContextCache({
+  apiKey,
+  name,
+  ttlSeconds = CONTEXT_CACHE_TTL_SECONDS,
+  signal,
+}) {
+  const ai = new GoogleGenAI({ apiKey: validateKey(apiKey) });
+  try {
+    const cache = await ai.caches.update({
+      name,
+      config: { ttl: `${ttlSeconds}s`, ...(signal && { abortSignal: signal }) },
+    });
+    return toCacheInfo({ ...cache, name });
+  } catch (e) {
+    throw new ApiError(e.status ?? 'CACHE', e.message, e);
+  }
+}
+
+/* best effort – an orphaned cache still dies at its TTL */
+export async function deleteContextCache({ apiKey, name }) {
+  try {
+    const ai = new GoogleGenAI({ apiKey: validateKey(apiKey) });
+    await ai.caches.delete({ name });
+  } catch (e) {
+    console.warn('[geminiApi] could not delete context cache', name, e?.message);
+  }
+}
@@ -0,0 +1,53 @@
+// ────────────────────────────────────────────────────────────────
+// src/api/llmApi.js
+// Provider dispatch – picks the bridge for a stored model id.
+// Every bridge exposes the same callApiForText contract:
+//   ({ messages, apiKey, model, systemPrompt, responseSchema, signal, onChunk, … }) → { content }
+// ────────────────────────────────────────────────────────────────
+import { LLM_PROVIDERS, GEMINI_MODEL_NAME } from '../config.js';
+import { ApiError } from './llmCommon.js';
+import { callApiForText as callGemini } from './geminiApi.js';
+import { callApiForText as callOpenAiCompat } from './openaiCompatApi.js';
+
+const BRIDGES = {
+  gemini: callGemini,
+  openai: callOpenAiCompat,
+  local : callOpenAiCompat,
+};
+
+/**
+ * parseModelId('local:llama3.1:8b') → { provider: 'local', model: 'llama3.1:8b' }
+ * Bare ids (and unknown prefixes) are Gemini models.
+ * @param {string} id
+ * @returns {{ provider: string, model: string }}
+ */
+export function parseModelId(id = GEMINI_MODEL_NAME) {
+  const sep = id.indexOf(':');
+  if (sep > 0) {
+    const prefix = id.slice(0, sep);
+    if (prefix !== 'gemini' && LLM_PROVIDERS[prefix]) {
+      return { provider: prefix, model: id.slice(sep + 1) };
+    }
+  }
+  return { provider: 'gemini', model: id };
+}
+
+/**
+ * Sends the conversation to whichever provider owns `model`.
+ * @param {object} opts
+ * @param {string} opts.model    – stored model id (maybe provider-prefixed)
+ * @param {string} [opts.baseUrl] – endpoint for OpenAI-compatible providers
+ */
+export function callLlmForText({ model, baseUrl, ...rest } = {}) {
+  const { provider, model: providerModel } = parseModelId(model);
+  const bridge = BRIDGES[provider];
+  if (!bridge) {
+    return Promise.reject(new ApiError('BAD_PROVIDER', `No bridge for provider "${provider}"`));
+  }
+  return bridge({
+    ...rest,
+    model      : providerModel,
+    baseUrl    : baseUrl || LLM_PROVIDERS[provider].defaultBaseUrl,
+    requiresKey: LLM_PROVIDERS[provider].requiresKey,
+  });
+}
@@ -0,0 +1,126 @@
+// ────────────────────────────────────────────────────────────────
+// src/api/llmCommon.js
+// Provider-agnostic pieces shared by every LLM bridge:
+// error class, retry policy, signed-URL download, usage shape,
+// request timeout.
+// ────────────────────────────────────────────────────────────────
+import { supabase } from '../lib/supabase.js';
+
+/* =================================================================
+   1. Error class
+   ===============================================================*/
+export class ApiError extends Error {
+  constructor(code = 'UNKNOWN', message = 'Unspecified error', cause) {
+    super(message);
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/* =================================================================
+   2. Retries
+   ===============================================================*/
+export function isRetryable(err) {
+  if (!err) return false;
+  const code = err.code ?? err.status ?? '';
+  return (
+    code === 429 ||
+    code === 500 ||
+    code === 502 ||
+    code === 503 ||
+    code === 504 ||
+    code === 408 ||
+    code === 'UNAVAILABLE' ||
+    code === 'ABORTED' ||
+    err.name === 'FetchError' ||
+    err.message?.includes('network') ||
+    err.message?.includes('timeout') ||
+    err.message?.includes('ECONNRESET') ||
+    err.message?.includes('ETIMEDOUT')
+  );
+}
+
+export async function withRetries(fn, wait = [0, 500, 1000, 2000, 4000], signal) {
+  let lastErr;
+  for (let i = 0; i < wait.length; i++) {
+    if (i) await new Promise((r) => setTimeout(r, wait[i]));
+    if (signal?.aborted) break;
+    try {
+      return await fn();
+    } catch (e) {
+      lastErr = e;
+      // never retry once the caller (or the timeout) pulled the plug
+      if (signal?.aborted || !isRetryable(e)) break;
+    }
+  }
+  throw lastErr ?? signal?.reason;
+}
+
+/* =================================================================
+   3. Storage – signed URL (15 min)
+   ===============================================================*/
+export async function getSignedUrl(path) {
+  const { data, error } = await supabase.functions.invoke(
+    'get-signed-urls',
+    { body: { paths: [path], expiresIn: 900 } }
+  );
+  if (error)
+    throw new ApiError('SIGNED_URL', 'Failed to create signed URL', error);
+  if (data.error)
+    throw new ApiError('SIGNED_URL', data.error, new Error(data.error));
+  return data.urlMap?.[path] ?? null;
+}
+
+/* downloads a stored image through a fresh signed URL */
+export async function downloadStoredBlob(path) {
+  return withRetries(async () => {
+    const url = await getSignedUrl(path);
+    if (!url)
+      throw new ApiError('SIGNED_URL', 'Signed URL not returned by function');
+    const res = await fetch(url);
+    if (!res.ok)
+      throw new ApiError(
+        'FETCH_BLOB',
+        `HTTP ${res.status} while downloading image`
+      );
+    return res.blob();
+  });
+}
+
+/* =================================================================
+   4. Token usage – one shape for every provider
+   ===============================================================*/
+/**
+ * @typedef {{ promptTokens: number, candidateTokens: number,
+ *             cachedTokens: number, thinkingTokens: number }} TurnUsage
+ * cachedTokens is a subset of promptTokens; thinkingTokens is billed
+ * like output but not included in candidateTokens.
+ */
+export function makeUsage({ prompt, candidate, cached, thinking } = {}) {
+  const n = (v) => (Number.isFinite(v) && v > 0 ? v : 0);
+  return {
+    promptTokens   : n(prompt),
+    candidateTokens: n(candidate),
+    cachedTokens   : n(cached),
+    thinkingTokens : n(thinking),
+  };
+}
+
+/* =================================================================
+   5. Request timeout
+   ===============================================================*/
+/**
+ * Aborts `ctrl` with a TIMEOUT ApiError after `ms`. Streaming calls
+ * touch() it on every chunk, which makes it an idle timeout: a stream
+ * that keeps producing tokens is never cut off mid-answer.
+ * @returns {{ touch: () => void, clear: () => void }}
+ */
+export function requestTimer(ctrl, ms, message) {
+  let t;
+  const touch = () => {
+    clearTimeout(t);
+    t = setTimeout(() => ctrl.abort(new ApiError('TIMEOUT', message)), ms);
+  };
+  touch();
+  return { touch, clear: () => clearTimeout(t) };
+}
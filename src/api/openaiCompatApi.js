@@ -0,0 +1,278 @@
+// ────────────────────────────────────────────────────────────────
+// src/api/openaiCompatApi.js
+// OpenAI-compatible bridge – /chat/completions (OpenAI, OpenRouter,
+// Ollama, llama.cpp server …), streaming via SSE
+// ────────────────────────────────────────────────────────────────
+import { LLM_API_TIMEOUT_MS } from '../config.js';
+import { DEFAULT_SYSTEM_PROMPT } from '../lib/systemPrompt.js';
+import { toJsonSchema } from '../lib/structuredOutput.js';
+import { ApiError, withRetries, downloadStoredBlob, makeUsage, requestTimer } from './llmCommon.js';
+
+/* =================================================================
+   1. Content blocks → OpenAI message parts
+   ===============================================================*/
+const dataUrlCache = new Map();   // storage path → data: URL
+const DATA_URL_CACHE_MAX = 50;
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(String(r.result));
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+/* Images are inlined as data URLs: local servers cannot reach our
+   signed Supabase URLs, and the 15-min expiry would break retries. */
+async function imageBlockToPart(block) {
+  const path = block.image_url?.path;
+  if (!path) throw new ApiError('NO_PATH', 'Image block missing storage path');
+
+  let url = dataUrlCache.get(path);
+  if (!url) {
+    url = await blobToDataUrl(await downloadStoredBlob(path));
+    if (dataUrlCache.size >= DATA_URL_CACHE_MAX) {
+      dataUrlCache.delete(dataUrlCache.keys().next().value);
+    }
+    dataUrlCache.set(path, url);
+  }
+  return {
+    type: 'image_url',
+    image_url: { url, detail: block.image_url.detail || 'auto' },
+  };
+}
+
+async function toOpenAiMessages(messages, systemPrompt) {
+  const out = [];
+  let extraSystem = '';
+
+  for (const msg of messages) {
+    const blocks = Array.isArray(msg.content)
+      ? msg.content
+      : [{ type: 'text', text: String(msg.content ?? '') }];
+
+    const parts = [];
+    for (const block of blocks) {
+      if (block.type === 'text') {
+        if (block.text?.trim()) parts.push({ type: 'text', text: block.text });
+        continue;
+      }
+      if (block.type === 'image_url' && block.image_url) {
+        parts.push(await imageBlockToPart(block));
+        continue;
+      }
+      // Gemini Files API uploads (PDFs) cannot be forwarded – say so
+      // instead of silently dropping them.
+      if (block.type === 'file' && block.file) {
+        const name = block.file.original_name || block.file.file_id;
+        parts.push({
+          type: 'text',
+          text: `[Attachment "${name}" omitted: not supported by this provider]`,
+        });
+      }
+    }
+
+    if (!parts.length) continue;
+
+    if (msg.role === 'system') {
+      const firstText = parts.find((p) => p.type === 'text')?.text;
+      if (firstText) extraSystem += (extraSystem ? '\n' : '') + firstText;
+      continue;
+    }
+
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    // assistant turns must be plain strings for most servers
+    const onlyText = parts.every((p) => p.type === 'text');
+    out.push({
+      role,
+      content: onlyText ? parts.map((p) => p.text).join('\n\n') : parts,
+    });
+  }
+
+  const systemInstruction = [systemPrompt.trim(), extraSystem.trim()]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return systemInstruction
+    ? [{ role: 'system', content: systemInstruction }, ...out]
+    : out;
+}
+
+/* =================================================================
+   2. HTTP helpers
+   ===============================================================*/
+async function postCompletion({ baseUrl, apiKey, body, signal }) {
+  let res;
+  try {
+    res = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body  : JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // fetch only rejects on network failure (server down, CORS, DNS)
+    throw new ApiError('UNAVAILABLE', `Cannot reach ${baseUrl}: ${err.message}`, err);
+  }
+
+  if (!res.ok) {
+    const txt = await res.text().catch(() => '');
+    let message = txt;
+    try { message = JSON.parse(txt)?.error?.message || txt; } catch { /* plain text */ }
+    throw new ApiError(res.status, `HTTP ${res.status}: ${message || res.statusText}`);
+  }
+  return res;
+}
+
+const toUsage = (u) => u && makeUsage({
+  prompt   : u.prompt_tokens,
+  // reasoning tokens are part of completion_tokens here; split them out
+  candidate: (u.completion_tokens ?? 0) - (u.completion_tokens_details?.reasoning_tokens ?? 0),
+  cached   : u.prompt_tokens_details?.cached_tokens,
+  thinking : u.completion_tokens_details?.reasoning_tokens,
+});
+
+async function readSse(res, onChunk) {
+  onChunk('');          // a retried attempt starts from scratch
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+
+  let buf = '';
+  let text = '';
+  let finishReason;
+  let usage;
+  let sawChoice = false;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return { text, finishReason, usage, sawChoice };
+
+      let json;
+      try { json = JSON.parse(data); } catch { continue; }
+      if (json.error) throw new ApiError('ERROR', json.error.message || 'Stream error');
+      if (json.usage) usage = json.usage;   // final chunk, empty `choices`
+
+      const choice = json.choices?.[0];
+      if (!choice) continue;
+      sawChoice = true;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+      const piece = choice.delta?.content;
+      if (piece) {
+        text += piece;
+        onChunk(text);
+      }
+    }
+  }
+  return { text, finishReason, usage, sawChoice };
+}
+
+/* =================================================================
+   3. Public helper – same contract as geminiApi.callApiForText
+   ===============================================================*/
+export async function callApiForText({
+  messages = [],
+  apiKey = '',
+  model,
+  baseUrl,
+  requiresKey = true,
+  systemPrompt = DEFAULT_SYSTEM_PROMPT,
+  responseSchema,
+  signal,
+  onChunk,
+} = {}) {
+  const key = (apiKey || '').trim();
+  if (requiresKey && !key) {
+    throw new ApiError('BAD_KEY', 'API key missing for this provider – add it in Settings');
+  }
+  if (!/^https?:\/\//.test(baseUrl || '')) {
+    throw new ApiError('BAD_URL', 'Provider base URL missing or invalid – check Settings');
+  }
+
+  const body = {
+    model,
+    messages: await toOpenAiMessages(messages, systemPrompt),
+    temperature: 0,
+    top_p: 0.95,
+    ...(responseSchema && {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: toJsonSchema(responseSchema) },
+      },
+    }),
+    ...(onChunk && { stream: true, stream_options: { include_usage: true } }),
+  };
+
+  // timeout + abort chaining
+  const ctrl = new AbortController();
+  if (signal) {
+    if (signal.aborted) ctrl.abort(signal.reason);
+    else signal.addEventListener('abort', () => ctrl.abort(signal.reason));
+  }
+
+  // streaming: the timeout counts from the last chunk, not the request
+  const timer = requestTimer(ctrl, LLM_API_TIMEOUT_MS, 'Model request timed out');
+  const onStreamChunk = onChunk && ((text) => {
+    timer.touch();
+    onChunk(text);
+  });
+
+  try {
+    let text, finishReason, rawUsage;
+
+    if (onChunk) {
+      const res = await withRetries(async () => {
+        const r = await postCompletion({ baseUrl, apiKey: key, body, signal: ctrl.signal });
+        return readSse(r, onStreamChunk);
+      }, undefined, ctrl.signal);
+      if (!res.sawChoice)
+        throw new ApiError('NO_RESPONSE', 'Model returned no choices');
+      ({ text, finishReason, usage: rawUsage } = res);
+    } else {
+      const json = await withRetries(async () => {
+        const r = await postCompletion({ baseUrl, apiKey: key, body, signal: ctrl.signal });
+        return r.json();
+      }, undefined, ctrl.signal);
+      const choice = json?.choices?.[0];
+      if (!choice)
+        throw new ApiError('NO_RESPONSE', 'Model returned no choices');
+      finishReason = choice.finish_reason;
+      text = choice.message?.content;
+      rawUsage = json.usage;
+    }
+
+    timer.clear();
+
+    if (finishReason === 'content_filter') {
+      throw new ApiError('SAFETY', 'Generation stopped by content filter');
+    }
+    if (!text) throw new ApiError('EMPTY', 'Model returned empty text');
+    const usage = toUsage(rawUsage);
+    return { content: text, ...(usage && { usage }) };
+  } catch (err) {
+    timer.clear();
+    if (ctrl.signal.reason instanceof ApiError) throw ctrl.signal.reason;
+    if (!(err instanceof ApiError)) {
+      throw new ApiError(
+        err.code ?? 'ERROR',
+        err.message ?? String(err),
+        err
+      );
+    }
+    throw err;
+  }
+}
@@ -1,7 +1,7 @@
 // file: src/api/supabaseApi.js
 /* src/api/supabaseApi.js */
 import { supabase } from '../lib/supabase.js';
-import { GEMINI_MODEL_NAME } from '../config.js';
+import { GEMINI_MODEL_NAME, DEFAULT_CHAT_TITLES } from '../config.js';
 
 export const CHATS_PAGE_LIMIT = 20;
 
@@ -45,6 +45,90 @@ export async function createChat({ title = 'New Task', model = GEMINI_MODEL_NAME
   return data;
 }
 
+export async function fetchChat(id) {
+  if (!id) return null;
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/* `thinkingBudget` – the chat's budget clamped for the new model, if it changed */
+export async function updateChatModel(id, model, thinkingBudget) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({ code_type: model, ...(thinkingBudget !== undefined && { thinking_budget: thinkingBudget }) })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updateChatThinking(id, { thinkingBudget, includeThoughts }) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({ thinking_budget: thinkingBudget, include_thoughts: includeThoughts })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/* Gemini context cache bookkeeping – all three null when there is none */
+export async function updateChatContextCache(id, { name = null, key = null, expiresAt = null } = {}) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({
+      context_cache_name      : name,
+      context_cache_key       : key,
+      context_cache_expires_at: expiresAt,
+    })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/* which branch the chat shows – null = newest */
+export async function updateChatActiveLeaf(id, leafId) {
+  const user = await getCurrentUser();
+  const { error } = await supabase
+    .from('chats')
+    .update({ active_leaf_id: leafId })
+    .eq('id', id)
+    .eq('user_id', user.id);
+  if (error) throw error;
+  return { success: true, id };
+}
+
+/* COMMIT answer the user last committed with – null = none yet */
+export async function updateChatLastCommit(id, messageId) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({ last_commit_message_id: messageId })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
 export async function updateChatTitle(id, newTitle) {
   const user = await getCurrentUser();
   const { data, error } = await supabase
@@ -58,6 +142,37 @@ export async function updateChatTitle(id, newTitle) {
   return data;
 }
 
+/* only while the title is still a placeholder – a rename in between wins;
+   resolves null when nothing was changed */
+export async function updateChatTitleIfDefault(id, newTitle) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({ title: newTitle })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .in('title', DEFAULT_CHAT_TITLES)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/* usage of the call that named the task; recorded even when the task was
+   renamed meanwhile, since the tokens were spent either way */
+export async function updateChatTitleUsage(id, usage) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('chats')
+    .update({ title_usage: usage })
+    .eq('id', id)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
 export async function deleteChat(id) {
   const user = await getCurrentUser();
   const { error } = await supabase
@@ -82,28 +197,84 @@ export async function undoDeleteChat(id) {
   return data;
 }
 
-export async function fetchMessages(chat_id) {
+/* Every row of the chat, soft-deleted ones included: they still carry the
+   branch structure (see lib/messageTree.js), but are never displayed.
+   For callers that need the whole tree (the message cache, the JSON
+   export); what is shown comes from pathTo(). */
+export async function fetchMessageTree(chat_id) {
   if (!chat_id) return [];
   const { data, error } = await supabase
     .from('messages')
     .select('*')
     .eq('chat_id', chat_id)
-    .is('deleted_at', null)
     .order('created_at', { ascending: true });
   if (error) throw error;
   return data || [];
 }
 
-export async function createMessage({ chat_id, role, content }) {
+/* `thoughts` (Gemini thought summaries) live beside `content`, never in it,
+   so they stay out of Copy and out of the context sent on later turns. */
+export async function createMessage({
+  chat_id, role, content, parent_id = null, thoughts, usage, system_prompt_id, response_schema,
+}) {
   const { data, error } = await supabase
     .from('messages')
-    .insert({ chat_id, role, content })
+    .insert({
+      chat_id, role, content, parent_id,
+      ...(thoughts && { thoughts }),
+      ...(usage && { usage }),
+      ...(system_prompt_id && { system_prompt_id }),
+      ...(response_schema && { response_schema }),
+    })
     .select()
     .single();
   if (error) throw error;
   return data;
 }
 
+/* usage of every assistant turn in [fromIso, toIso), across all chats,
+   plus the title calls made in that range. Deleted answers and chats
+   still count – their tokens were paid for. */
+export async function fetchUsageBetween(fromIso, toIso) {
+  const user = await getCurrentUser();
+  const [turns, titles] = await Promise.all([
+    supabase
+      .from('messages')
+      .select('usage, chats!inner(user_id)')
+      .eq('chats.user_id', user.id)
+      .eq('role', 'assistant')
+      .not('usage', 'is', null)
+      .gte('created_at', fromIso)
+      .lt('created_at', toIso),
+    supabase
+      .from('chats')
+      .select('title_usage')
+      .eq('user_id', user.id)
+      .not('title_usage', 'is', null)
+      .gte('title_usage->>at', fromIso)
+      .lt('title_usage->>at', toIso),
+  ]);
+  if (turns.error) throw turns.error;
+  if (titles.error) throw titles.error;
+  return [
+    ...(turns.data || []).map(r => r.usage),
+    ...(titles.data || []).map(r => r.title_usage),
+  ];
+}
+
+/* ranked hits across the user's live chats; snippet marks matches with
+   \u0002…\u0003 (see search_messages in the migrations) */
+export async function searchMessages(query, limit = 50) {
+  const q = (query ?? '').trim();
+  if (!q) return [];
+  const { data, error } = await supabase.rpc('search_messages', {
+    p_query: q,
+    p_limit: limit,
+  });
+  if (error) throw error;
+  return data || [];
+}
+
 export async function updateMessage(id, newContent) {
   const { data, error } = await supabase
     .from('messages')
@@ -115,39 +286,128 @@ export async function updateMessage(id, newContent) {
   return data;
 }
 
-export async function archiveMessagesAfter(chat_id, anchorCreatedAt) {
+export async function deleteMessage(id) {
   const { error } = await supabase
     .from('messages')
     .update({ deleted_at: isoNow() })
-    .eq('chat_id', chat_id)
-    .gt('created_at', anchorCreatedAt);
+    .eq('id', id);
   if (error) throw error;
-  return { success: true };
+  return { success: true, id };
 }
 
-export async function performUndoFork({ messageId, originalContent, chatId, anchorCreatedAt }) {
-  const { data, error } = await supabase.functions.invoke('undo-fork', {
-    body: { messageId, originalContent, chatId, anchorCreatedAt },
-  });
+export async function undoDeleteMessage(id) {
+  const { data, error } = await supabase
+    .from('messages')
+    .update({ deleted_at: null })
+    .eq('id', id)
+    .select()
+    .single();
   if (error) throw error;
-  if (data.error) throw new Error(data.error);
   return data;
 }
 
-export async function deleteMessage(id) {
+/* ─── prompt templates (custom modes) ─── */
+export async function fetchPromptTemplates() {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function createPromptTemplate({ name, fields, template, include_files }) {
+  const user = await getCurrentUser();
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .insert({ user_id: user.id, name, fields, template, include_files })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function updatePromptTemplate(id, { name, fields, template, include_files }) {
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .update({ name, fields, template, include_files, updated_at: isoNow() })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function deletePromptTemplate(id) {
   const { error } = await supabase
-    .from('messages')
-    .update({ deleted_at: isoNow() })
+    .from('prompt_templates')
+    .delete()
     .eq('id', id);
   if (error) throw error;
   return { success: true, id };
 }
 
-export async function undoDeleteMessage(id) {
+/* ───────── System prompt versions ─────────
+   chatId null = account default. Rows are append-only; content null
+   means "reset to the next scope". */
+export async function fetchSystemPrompts(chatId = null) {
+  const user = await getCurrentUser();
+  let query = supabase
+    .from('system_prompts')
+    .select('*')
+    .eq('user_id', user.id);
+  query = chatId ? query.eq('chat_id', chatId) : query.is('chat_id', null);
+  const { data, error } = await query.order('version', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function fetchSystemPromptById(id) {
   const { data, error } = await supabase
-    .from('messages')
-    .update({ deleted_at: null })
+    .from('system_prompts')
+    .select('*')
     .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function saveSystemPrompt({ chatId = null, content }) {
+  const user = await getCurrentUser();
+  const [latest] = await fetchSystemPrompts(chatId);
+  const { data, error } = await supabase
+    .from('system_prompts')
+    .insert({
+      user_id: user.id,
+      chat_id: chatId,
+      version: (latest?.version ?? 0) + 1,
+      content,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/* ───────── CODE CHECK audits ───────── */
+// oldest first; audits of deleted answers are left out
+export async function fetchAudits(chatId) {
+  const { data, error } = await supabase
+    .from('code_audits')
+    .select('id, chat_id, message_id, summary, findings, created_at, messages!inner(deleted_at)')
+    .eq('chat_id', chatId)
+    .is('messages.deleted_at', null)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(({ messages, ...audit }) => audit);
+}
+
+export async function createAudit({ chat_id, message_id, summary, findings }) {
+  const { data, error } = await supabase
+    .from('code_audits')
+    .insert({ chat_id, message_id, summary, findings })
     .select()
     .single();
   if (error) throw error;
@@ -0,0 +1,104 @@
+/* src/codeImporter/contextPolicy.js */
+import { checksum32 } from '../lib/checksum.js';
+import { unifiedDiff } from '../lib/lineDiff.js';
+import { fenceFor } from '../lib/textUtils.js';
+
+/*
+  Which pinned files travel with a turn. `sent` is the snapshot
+  ({ fileKey: checksum }) recorded by the newest turn on the current
+  branch that carried the files (sentOnPath in lib/pinnedContextStore.js),
+  or null when this branch hasn't carried any yet; `sentTexts` holds the
+  contents as of that turn, so changed files can go as diffs.
+*/
+
+export const CONTEXT_POLICIES = [
+  { id: 'every',   label: 'in full, every turn' },
+  { id: 'changed', label: 'in full, only when files change' },
+  { id: 'delta',   label: 'as changes since the last send' },
+];
+
+// a diff larger than this share of the file is sent as the full file
+const MAX_DIFF_RATIO = 0.6;
+
+export const fileKey = (f) => [f.rootName, f.path].filter(Boolean).join('/');
+
+export const snapshotOf = (files) =>
+  Object.fromEntries(files.map(f => [fileKey(f), checksum32(f.text)]));
+
+export const textsOf = (files) =>
+  Object.fromEntries(files.map(f => [fileKey(f), f.text]));
+
+/**
+ * @returns {{ send: object[], diffs: { file: object, diff: string }[], added: object[],
+ *             changed: object[], removed: string[], unchanged: object[], snapshot: object,
+ *             isDirty: boolean, isDelta: boolean }}
+ *   `send` – files to include in full; `diffs` – changed files sent as diffs
+ */
+export function planContextSend(files, sent, policy, sentTexts = null) {
+  const snapshot = snapshotOf(files);
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  for (const f of files) {
+    const prev = sent?.[fileKey(f)];
+    if (prev === undefined) added.push(f);
+    else if (prev !== snapshot[fileKey(f)]) changed.push(f);
+    else unchanged.push(f);
+  }
+  const removed = sent ? Object.keys(sent).filter(k => !(k in snapshot)) : [];
+  const isDirty = !sent || added.length > 0 || changed.length > 0 || removed.length > 0;
+  const isDelta = policy === 'delta' && !!sent;
+
+  let send = files;
+  const diffs = [];
+  if (isDelta) {
+    send = [...added];
+    for (const f of changed) {
+      const before = sentTexts?.[fileKey(f)];
+      const diff = before != null && unifiedDiff(before, f.text, fileKey(f));
+      if (diff && diff.length <= f.text.length * MAX_DIFF_RATIO) diffs.push({ file: f, diff });
+      else send.push(f);
+    }
+  } else if (policy !== 'every' && !isDirty) {
+    send = [];
+  }
+
+  return { send, diffs, added, changed, removed, unchanged, snapshot, isDirty, isDelta };
+}
+
+/** One line for the outgoing message and the send toast, or '' for a plain full send. */
+export function summarizePlan(plan) {
+  if (!plan.isDelta && plan.send.length) return '';
+  const parts = [];
+  const full = plan.send.length;
+  if (full) parts.push(`${full} file(s) in full`);
+  if (plan.diffs.length) parts.push(`${plan.diffs.length} as diffs`);
+  if (plan.unchanged.length) parts.push(`${plan.unchanged.length} unchanged (paths only)`);
+  if (plan.removed.length) parts.push(`${plan.removed.length} removed`);
+  return `Staged codebase: ${parts.join(', ') || 'no files'}`;
+}
+
+/**
+ * Text that precedes the full files: summary, unchanged paths, removed
+ * paths and diffs. '' when the whole set is sent as usual.
+ */
+export function contextNote(plan) {
+  const summary = summarizePlan(plan);
+  if (!summary) return '';
+  const out = [`[${summary}]`];
+  if (plan.unchanged.length) {
+    out.push('Unchanged since they were last sent (not repeated):');
+    plan.unchanged.forEach(f => out.push(`- ${fileKey(f)}`));
+  }
+  if (plan.removed.length) {
+    out.push('Removed from the staged codebase:');
+    plan.removed.forEach(k => out.push(`- ${k}`));
+  }
+  plan.diffs.forEach(({ diff }) => {
+    const fence = fenceFor(diff);
+    out.push(`${fence}diff`);
+    out.push(diff);
+    out.push(fence);
+  });
+  return out.join('\n');
+}
@@ -0,0 +1,137 @@
+/* src/codeImporter/fileTree.js */
+import { LOCALSTORAGE_TREE_SELECTION_KEY } from '../config.js';
+import { compileIgnoreRules, matchIgnore } from '../lib/ignoreRules.js';
+
+/*
+  Tree model over the flat scan metadata ({ path, kind, size }).
+  Selection is a Set of *file* paths; folder checkboxes are derived from it.
+*/
+
+const byKindThenName = (a, b) =>
+  a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'directory' ? -1 : 1;
+
+/** nodes: Map path → { path, name, kind, size, depth, children, fileCount } */
+export function buildFileTree(meta) {
+  const nodes = new Map();
+  const roots = [];
+
+  for (const m of meta) {
+    const slash = m.path.lastIndexOf('/');
+    nodes.set(m.path, {
+      path: m.path,
+      name: m.path.slice(slash + 1),
+      kind: m.kind,
+      size: m.kind === 'file' ? m.size ?? null : 0,
+      depth: m.path.split('/').length - 1,
+      parent: slash > 0 ? m.path.slice(0, slash) : null,
+      children: [],
+      fileCount: m.kind === 'file' ? 1 : 0,
+    });
+  }
+
+  for (const node of nodes.values()) {
+    const parent = node.parent != null && nodes.get(node.parent);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  // folder totals, deepest first so children are done before parents
+  const dirs = [...nodes.values()].filter(n => n.kind === 'directory').sort((a, b) => b.depth - a.depth);
+  for (const dir of dirs) {
+    dir.children.sort(byKindThenName);
+    for (const c of dir.children) {
+      dir.fileCount += c.fileCount;
+      dir.size += c.size ?? 0;
+    }
+  }
+  roots.sort(byKindThenName);
+  return { nodes, roots };
+}
+
+/** The rows currently shown: roots plus the children of expanded folders. */
+export function flattenTree(tree, expanded) {
+  const rows = [];
+  const visit = (node) => {
+    rows.push(node);
+    if (node.kind === 'directory' && expanded.has(node.path)) node.children.forEach(visit);
+  };
+  tree.roots.forEach(visit);
+  return rows;
+}
+
+/** Every file path at or below `node`. */
+export function filesUnder(node) {
+  if (node.kind === 'file') return [node.path];
+  const out = [];
+  const stack = [node];
+  while (stack.length) {
+    const n = stack.pop();
+    if (n.kind === 'file') out.push(n.path);
+    else stack.push(...n.children);
+  }
+  return out;
+}
+
+/** Map folderPath → number of selected files below it. */
+export function countSelectedByFolder(tree, selected) {
+  const counts = new Map();
+  for (const path of selected) {
+    let parent = tree.nodes.get(path)?.parent;
+    while (parent != null) {
+      counts.set(parent, (counts.get(parent) || 0) + 1);
+      parent = tree.nodes.get(parent)?.parent;
+    }
+  }
+  return counts;
+}
+
+/**
+ * File paths matching any of the space- or comma-separated globs, with
+ * .gitignore semantics: a pattern with a slash is anchored to the root,
+ * `*.md` matches at any depth, `**` spans folders, and a pattern naming a
+ * folder (`src/`, `docs`) takes every file in it. Throws when a glob
+ * can't be compiled, naming it.
+ */
+export function filesMatchingGlob(tree, globText) {
+  const invalid = [];
+  const rules = compileIgnoreRules(String(globText).split(/[\s,]+/).join('\n'), '', 'glob', invalid);
+  if (invalid.length) throw new Error(`Invalid pattern: ${invalid.map(r => r.pattern).join(', ')}`);
+  if (!rules.length) return [];
+  const hit = (node) => {
+    for (let n = node; n; n = n.parent != null ? tree.nodes.get(n.parent) : null) {
+      if (matchIgnore(rules, n.path, n.kind === 'directory')) return true;
+    }
+    return false;
+  };
+  const out = [];
+  for (const node of tree.nodes.values()) {
+    if (node.kind === 'file' && hit(node)) out.push(node.path);
+  }
+  return out;
+}
+
+export function formatBytes(bytes) {
+  if (bytes == null) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/* ─── remembered selection per root folder name ─── */
+function readAll() {
+  try { return JSON.parse(localStorage.getItem(LOCALSTORAGE_TREE_SELECTION_KEY) || '{}'); }
+  catch { return {}; }
+}
+
+export function loadTreeSelection(rootName) {
+  const list = readAll()[rootName];
+  return Array.isArray(list) ? list : [];
+}
+
+export function saveTreeSelection(rootName, paths) {
+  const all = readAll();
+  if (paths.length) all[rootName] = paths;
+  else delete all[rootName];
+  try { localStorage.setItem(LOCALSTORAGE_TREE_SELECTION_KEY, JSON.stringify(all)); }
+  catch (e) { console.warn('[fileTree] could not save selection:', e); }
+}
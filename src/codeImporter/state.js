@@ -7,7 +7,9 @@ export function makeStagedFile(path, size, mime, text, insideProject, name, root
 
 // The state is now dramatically simplified. It only tracks the final list of staged files.
 // All intermediate states (scanning, filtering) are handled by the component's local state and useQuery.
+// `chatId` is the task the files are pinned to (null until loaded).
 export const initialState = {
+  chatId: null,
   files: [],
 };
 
@@ -37,8 +39,44 @@ export function reducer(state, ev) {
       };
     }
 
+    // "trim to budget" and its undo toast
+    case 'REMOVE_FILES': {
+      const ids = new Set(ev.ids);
+      return {
+        ...state,
+        files: state.files.filter(f => !ids.has(f.id)),
+      };
+    }
+
+    // pinned files are never picked by "trim to budget"
+    case 'TOGGLE_PIN': {
+      return {
+        ...state,
+        files: state.files.map(f => (f.id === ev.id ? { ...f, pinned: !f.pinned } : f)),
+      };
+    }
+
+    // live mode: apply a resyncStagedFiles() result; `changed` flags the
+    // files that differ from the previous send
+    case 'RESYNC_FILES': {
+      const removed = new Set(ev.deletedIds || []);
+      return {
+        ...state,
+        files: state.files
+          .filter(f => !removed.has(f.id))
+          .map(f => {
+            const u = ev.updates?.[f.id];
+            return u ? { ...f, ...u, changed: true } : (f.changed ? { ...f, changed: false } : f);
+          }),
+      };
+    }
+
+    // the task's pinned files, read back from IndexedDB
+    case 'LOAD_PINNED':
+      return { chatId: ev.chatId, files: ev.files || [] };
+
     case 'CLEAR_ALL':
-      return { files: [] };
+      return { ...state, files: [] };
 
     default:
       return state;
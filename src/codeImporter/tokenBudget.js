@@ -0,0 +1,62 @@
+/* src/codeImporter/tokenBudget.js */
+
+/*
+  Per-folder totals and "trim to budget" for staged files. Token counts
+  come from useFileTokenCounts as a Map id → tokens.
+*/
+
+// generated, vendored, test and doc files go first when trimming
+const LOW_PRIORITY = [
+  /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|composer\.lock|Gemfile\.lock)$/,
+  /\.(min|bundle)\.(js|css)$/,
+  /\.(map|snap|lock|svg|csv|tsv)$/,
+  /(^|\/)(dist|build|out|vendor|third_party|coverage|__snapshots__|fixtures?|mocks?)\//,
+  /(^|\/)(tests?|__tests__|spec|e2e)\//,
+  /\.(test|spec)\.[^/]+$/,
+  /(^|\/)(docs?|examples?)\//,
+  /\.(md|mdx|rst|txt)$/i,
+];
+
+export const isLowPriorityPath = (path = '') => LOW_PRIORITY.some(re => re.test(path));
+
+export function folderOf(file) {
+  const slash = file.path.lastIndexOf('/');
+  const dir = slash > 0 ? file.path.slice(0, slash) : '';
+  return [file.rootName, dir].filter(Boolean).join('/') || '(root)';
+}
+
+/** [{ folder, tokens, files }] for each folder that directly holds files, largest first. */
+export function tokensByFolder(files, counts) {
+  const byFolder = new Map();
+  for (const f of files) {
+    const folder = folderOf(f);
+    const entry = byFolder.get(folder) ?? { folder, tokens: 0, files: 0 };
+    entry.tokens += counts.get(f.id) ?? 0;
+    entry.files += 1;
+    byFolder.set(folder, entry);
+  }
+  return [...byFolder.values()].sort((a, b) => b.tokens - a.tokens);
+}
+
+/**
+ * Files to unstage so the staged total fits `budget`: pinned files are
+ * never picked; low-priority files go first, largest first within each
+ * group. May not reach the budget if only pinned files are left.
+ */
+export function planTrim(files, counts, budget) {
+  let total = files.reduce((n, f) => n + (counts.get(f.id) ?? 0), 0);
+  if (total <= budget) return [];
+
+  const candidates = files
+    .filter(f => !f.pinned && counts.has(f.id))
+    .map(f => ({ file: f, tokens: counts.get(f.id), low: isLowPriorityPath(f.path) }))
+    .sort((a, b) => (a.low === b.low ? b.tokens - a.tokens : a.low ? -1 : 1));
+
+  const drop = [];
+  for (const c of candidates) {
+    if (total <= budget) break;
+    drop.push(c.file);
+    total -= c.tokens;
+  }
+  return drop;
+}
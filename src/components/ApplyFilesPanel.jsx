@@ -0,0 +1,84 @@
+// src/components/ApplyFilesPanel.jsx
+import { useState } from 'preact/hooks';
+import DiffView from './DiffView.jsx';
+import Toast from './Toast.jsx';
+import { commitFileWrites } from '../lib/projectWrites.js';
+
+const STATUS_LABEL = {
+  new      : 'new file',
+  changed  : 'changed',
+  unchanged: 'unchanged',
+  invalid  : 'path outside the project',
+  error    : 'unreadable',
+};
+
+/**
+ * ApplyFilesPanel – previews writes from prepareFileWrites() as diffs and
+ * writes the checked files into the project folder.
+ */
+export default function ApplyFilesPanel({ session, onClose }) {
+  const [items, setItems] = useState(session.items);
+  const [isWriting, setIsWriting] = useState(false);
+  const single = items.length === 1;
+  const selectedCount = items.filter(i => i.selected).length;
+
+  const toggle = (path) => setItems(list =>
+    list.map(i => (i.path === path ? { ...i, selected: !i.selected } : i))
+  );
+
+  const handleWrite = async () => {
+    setIsWriting(true);
+    try {
+      const { written, failed } = await commitFileWrites(session.root, items);
+      if (failed.length) {
+        console.error('[ApplyFilesPanel] write failures:', failed);
+        Toast(`${written.length} file(s) written, ${failed.length} failed: ${failed.map(f => f.path).join(', ')}`, 8000);
+      } else {
+        Toast(`${written.length} file(s) written to ${session.root.name}/.`, 3000);
+      }
+      onClose();
+    } catch (err) {
+      Toast(`Write failed: ${err.message}`, 6000);
+    } finally {
+      setIsWriting(false);
+    }
+  };
+
+  return (
+    <div className="apply-files-panel">
+      <div className="apply-files-header">
+        <strong>Apply to {session.root.name}/</strong>
+        <button className="button icon-button" onClick={onClose} disabled={isWriting} title="Close">×</button>
+      </div>
+      {items.map(item => (
+        <details key={item.path} className="apply-file" open={single}>
+          <summary>
+            {!single && (
+              <input
+                type="checkbox"
+                checked={item.selected}
+                disabled={isWriting || item.newText == null}
+                onClick={e => e.stopPropagation()}
+                onChange={() => toggle(item.path)}
+              />
+            )}
+            <code>{item.path}</code>
+            <span className={`apply-file-status apply-file-status--${item.status}`}>
+              {STATUS_LABEL[item.status]}
+              {item.stats && (item.stats.added || item.stats.removed) ? ` +${item.stats.added} −${item.stats.removed}` : ''}
+            </span>
+          </summary>
+          {item.rows
+            ? <DiffView rows={item.rows} />
+            : <div className="form-hint">{item.error || 'Not written.'}</div>}
+        </details>
+      ))}
+      <div className="apply-files-actions">
+        <button className="button" onClick={handleWrite} disabled={isWriting || selectedCount === 0}>
+          {isWriting ? 'Writing…' : single ? 'Write file' : `Write ${selectedCount} file(s)`}
+        </button>
+        <button className="button" onClick={onClose} disabled={isWriting}>Cancel</button>
+      </div>
+    </div>
+  );
+}
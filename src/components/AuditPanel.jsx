@@ -0,0 +1,186 @@
+// src/components/AuditPanel.jsx
+import { useMemo, useState } from 'preact/hooks';
+import { useQuery } from '@tanstack/react-query';
+import { fetchAudits } from '../api/supabaseApi.js';
+import { useChat } from '../contexts/ChatContext.jsx';
+import { SEVERITIES, countBySeverity, diffAudits } from '../lib/auditFindings.js';
+
+const formatWhen = (iso) => new Date(iso).toLocaleString();
+const location = (f) => (f.line != null ? `${f.file}:${f.line}` : f.file);
+
+function SeverityBadge({ severity }) {
+  return <span className={`audit-severity audit-severity--${severity}`}>{severity}</span>;
+}
+
+function FindingRow({ finding, status }) {
+  return (
+    <li className={`audit-finding ${status ? `audit-finding--${status}` : ''}`}>
+      <div className="audit-finding-head">
+        <SeverityBadge severity={finding.severity} />
+        {status && <span className="audit-status">{status}</span>}
+        <span className="audit-category">{finding.category}</span>
+        <code className="audit-location">{location(finding)}</code>
+      </div>
+      <div className="audit-description">{finding.description}</div>
+      {finding.fix && (
+        <details className="audit-fix">
+          <summary>Suggested fix</summary>
+          <div>{finding.fix}</div>
+        </details>
+      )}
+    </li>
+  );
+}
+
+/**
+ * AuditPanel – the task's CODE CHECK findings: filter by severity,
+ * category or text, and compare an audit with an earlier one to see
+ * what was resolved.
+ */
+export default function AuditPanel({ chatId, onClose }) {
+  const { jumpToMessage } = useChat();
+  const { data: audits = [], isLoading, error } = useQuery({
+    queryKey: ['audits', chatId],
+    queryFn: () => fetchAudits(chatId),
+    enabled: !!chatId,
+  });
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(undefined); // undefined = the audit before
+  const [severities, setSeverities] = useState(() => new Set(SEVERITIES));
+  const [category, setCategory] = useState('');
+  const [query, setQuery] = useState('');
+
+  const index = selectedId ? audits.findIndex(a => a.id === selectedId) : audits.length - 1;
+  const audit = audits[index] ?? null;
+  const baseline = compareId === undefined
+    ? audits[index - 1] ?? null
+    : audits.find(a => a.id === compareId) ?? null;
+
+  const diff = useMemo(
+    () => (audit && baseline ? diffAudits(baseline.findings, audit.findings) : null),
+    [audit, baseline]
+  );
+  const statusOf = useMemo(() => {
+    const m = new Map();
+    diff?.added.forEach(f => m.set(f, 'new'));
+    diff?.persisting.forEach(({ finding }) => m.set(finding, 'persisting'));
+    return m;
+  }, [diff]);
+
+  const categories = useMemo(
+    () => [...new Set((audit?.findings ?? []).map(f => f.category).filter(Boolean))].sort(),
+    [audit]
+  );
+
+  const q = query.trim().toLowerCase();
+  const matches = (f) =>
+    severities.has(f.severity) &&
+    (!category || f.category === category) &&
+    (!q || `${f.file} ${f.description} ${f.fix}`.toLowerCase().includes(q));
+
+  const toggleSeverity = (s) => setSeverities(prev => {
+    const next = new Set(prev);
+    next.has(s) ? next.delete(s) : next.add(s);
+    return next;
+  });
+
+  const counts = countBySeverity(audit?.findings ?? []);
+  const visible = (audit?.findings ?? []).filter(matches);
+  const resolved = (diff?.resolved ?? []).filter(matches);
+
+  return (
+    <div className="audit-panel">
+      <div className="audit-panel-header">
+        <strong>Code audits</strong>
+        {audits.length > 0 && (
+          <>
+            <select
+              className="form-select"
+              value={audit?.id ?? ''}
+              onChange={e => { setSelectedId(e.target.value); setCompareId(undefined); }}
+              aria-label="Audit"
+            >
+              {audits.map((a, i) => (
+                <option key={a.id} value={a.id}>#{i + 1} · {formatWhen(a.created_at)} · {a.findings.length} finding(s)</option>
+              ))}
+            </select>
+            <select
+              className="form-select"
+              value={compareId === undefined ? (baseline?.id ?? '') : (compareId ?? '')}
+              onChange={e => setCompareId(e.target.value || null)}
+              aria-label="Compare with"
+            >
+              <option value="">No comparison</option>
+              {audits.slice(0, Math.max(index, 0)).map((a, i) => (
+                <option key={a.id} value={a.id}>vs #{i + 1} · {formatWhen(a.created_at)}</option>
+              ))}
+            </select>
+            {audit && (
+              <button className="button" onClick={() => jumpToMessage(chatId, audit.message_id)}>
+                Open Answer
+              </button>
+            )}
+          </>
+        )}
+        <button className="button icon-button" onClick={onClose} title="Close" style={{ marginLeft: 'auto' }}>×</button>
+      </div>
+
+      {isLoading && <p className="form-hint">Loading audits…</p>}
+      {error && <p className="audit-error">Could not load audits: {error.message}</p>}
+      {!isLoading && !error && audits.length === 0 && (
+        <p className="form-hint">No audits yet – send a message in CODE CHECK mode.</p>
+      )}
+
+      {audit && (
+        <>
+          {audit.summary && <p className="audit-summary">{audit.summary}</p>}
+          {diff && (
+            <p className="audit-diff-summary">
+              Since the earlier audit: <strong>{diff.resolved.length}</strong> resolved ·{' '}
+              <strong>{diff.added.length}</strong> new · <strong>{diff.persisting.length}</strong> persisting
+            </p>
+          )}
+          <div className="audit-filters">
+            {SEVERITIES.map(s => (
+              <button
+                key={s}
+                className={severities.has(s) ? 'button active' : 'button'}
+                onClick={() => toggleSeverity(s)}
+              >
+                {s} ({counts[s] ?? 0})
+              </button>
+            ))}
+            <select className="form-select" value={category} onChange={e => setCategory(e.target.value)} aria-label="Category">
+              <option value="">All categories</option>
+              {categories.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+            <input
+              className="form-input"
+              placeholder="Filter by file or text…"
+              value={query}
+              onInput={e => setQuery(e.target.value)}
+            />
+          </div>
+
+          {visible.length === 0
+            ? <p className="form-hint">No findings match the filters.</p>
+            : (
+              <ul className="audit-findings">
+                {visible.map((f, i) => <FindingRow key={i} finding={f} status={statusOf.get(f)} />)}
+              </ul>
+            )}
+
+          {resolved.length > 0 && (
+            <details className="audit-resolved" open>
+              <summary>Resolved since the earlier audit ({resolved.length})</summary>
+              <ul className="audit-findings">
+                {resolved.map((f, i) => <FindingRow key={i} finding={f} status="resolved" />)}
+              </ul>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,12 @@
 // file: src/components/ChatArea.jsx
 import { useEffect, useRef, useState } from 'preact/hooks';
+import { useQuery } from '@tanstack/react-query';
 import MessageItem from './MessageItem.jsx';
-import ConfirmationModal from './ConfirmationModal.jsx';
 import useCopyToClipboard from '../hooks/useCopyToClipboard.js';
 import { autoResizeTextarea } from '../lib/domUtils.js';
+import { costOfTurn, formatUsd } from '../lib/usageCost.js';
+import { describeSystemPrompt } from '../lib/systemPrompt.js';
+import { fetchSystemPromptById } from '../api/supabaseApi.js';
 import { useChat } from '../contexts/ChatContext.jsx';
 import { useSettings } from '../contexts/SettingsContext.jsx';
 
@@ -12,6 +15,52 @@ const flatten = c =>
     ? c.filter(b => b.type === 'text').map(b => b.text).join('')
     : String(c ?? '');
 
+function TurnUsage({ usage, priceTable }) {
+  const cost = costOfTurn(usage, priceTable);
+  const out = usage.candidateTokens + usage.thinkingTokens;
+  const details = [
+    `Model: ${usage.model}`,
+    `Prompt: ${usage.promptTokens.toLocaleString()} (cached ${usage.cachedTokens.toLocaleString()})`,
+    `Output: ${usage.candidateTokens.toLocaleString()}`,
+    `Thinking: ${usage.thinkingTokens.toLocaleString()}`,
+  ].join('\n');
+  return (
+    <span className="turn-usage" title={details}>
+      {usage.promptTokens.toLocaleString()} in · {out.toLocaleString()} out
+      {cost != null && ` · ${formatUsd(cost)}`}
+    </span>
+  );
+}
+
+/* which system prompt version produced an answer; versions never change */
+function SystemPromptBadge({ id }) {
+  const { data: row } = useQuery({
+    queryKey: ['systemPrompt', id],
+    queryFn: () => fetchSystemPromptById(id),
+    staleTime: Infinity,
+  });
+  if (!row) return null;
+  return (
+    <span className="turn-usage" title={row.content ?? ''}>
+      · {describeSystemPrompt(row)}
+    </span>
+  );
+}
+
+/* ‹ 2/3 › – flips between alternative continuations at this position */
+function BranchSwitcher({ siblings, currentId, onSelect, disabled }) {
+  if (siblings.length < 2) return null;
+  const idx = siblings.findIndex(s => s.id === currentId);
+  const go = (delta) => onSelect(siblings[idx + delta].id);
+  return (
+    <span className="branch-switcher">
+      <button className="button icon-button" disabled={disabled || idx <= 0} onClick={() => go(-1)} title="Previous branch">‹</button>
+      <span>{idx + 1}/{siblings.length}</span>
+      <button className="button icon-button" disabled={disabled || idx >= siblings.length - 1} onClick={() => go(1)} title="Next branch">›</button>
+    </span>
+  );
+}
+
 export default function ChatArea({ actionsDisabled }) {
   const {
     messages,
@@ -27,19 +76,30 @@ export default function ChatArea({ actionsDisabled }) {
     isSendingMessage,
     hasLastSendFailed,
     isForking,
+    streamingText,
+    streamingThoughts,
+    chatCredentials,
+    currentChatId,
+    jumpTarget,
+    clearJumpTarget,
+    isResendingMessage,
+    branchesOf,
+    selectBranch,
   } = useChat();
-  
-  const { apiKey } = useSettings();
+
+  const { apiKey } = chatCredentials;
+  const { priceTable } = useSettings();
 
   const [copyMessage] = useCopyToClipboard();
   const editingTextareaRef = useRef(null);
-  const [forkingMessage, setForkingMessage] = useState(null);
-  const [visualForkAnchor, setVisualForkAnchor] = useState(null);
   const [highlightedId, setHighlightedId] = useState(null);
+  const [searchHitId, setSearchHitId] = useState(null);
   const chatAreaRef = useRef(null);
 
   const MAX_EDIT_TEXTAREA_HEIGHT = 200;
-  const showThinkingSpinner = isSendingMessage && messages.length > 0 && messages[messages.length - 1].role === 'user' && !editingId;
+  const isStreaming = !!streamingText || !!streamingThoughts;
+  const isGenerating = isSendingMessage || isForking || isResendingMessage;
+  const showThinkingSpinner = !isStreaming && isGenerating && messages.length > 0 && messages[messages.length - 1].role === 'user' && !editingId;
 
   useEffect(() => {
     if (editingId && editingTextareaRef.current) {
@@ -47,16 +107,7 @@ export default function ChatArea({ actionsDisabled }) {
     }
   }, [editingId, editText]);
 
-  // When the underlying message list changes (e.g., after a successful fork),
-  // reset the visual anchor to show the new, correct state.
-  useEffect(() => {
-    setVisualForkAnchor(null);
-  }, [messages]);
-
-  const handleCancelEdit = () => {
-    cancelEdit();
-    setVisualForkAnchor(null); // Also reset visual state on cancel
-  };
+  const handleCancelEdit = () => cancelEdit();
 
   useEffect(() => {
     const area = chatAreaRef.current;
@@ -74,6 +125,33 @@ export default function ChatArea({ actionsDisabled }) {
     return () => area.removeEventListener('konzuko:copy', handleCopyEvent);
   }, []);
 
+  // search jump: wait until the target row is rendered, then scroll to it.
+  // Two frames so we land after MainLayout's scroll-to-bottom on task switch.
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.chatId !== currentChatId || isLoadingMessages) return;
+    if (!messages.some(m => String(m.id) === String(jumpTarget.messageId))) {
+      // on another branch → switch to it and come back on the next render;
+      // unknown → deleted since it was indexed
+      if (!selectBranch(jumpTarget.messageId) && messages.length) clearJumpTarget();
+      return;
+    }
+    let raf = requestAnimationFrame(() => {
+      raf = requestAnimationFrame(() => {
+        const el = chatAreaRef.current?.querySelector(`[data-message-id="${CSS.escape(String(jumpTarget.messageId))}"]`);
+        el?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        setSearchHitId(String(jumpTarget.messageId));
+        clearJumpTarget();
+      });
+    });
+    return () => cancelAnimationFrame(raf);
+  }, [jumpTarget, currentChatId, messages, isLoadingMessages, clearJumpTarget, selectBranch]);
+
+  useEffect(() => {
+    if (!searchHitId) return;
+    const t = setTimeout(() => setSearchHitId(null), 2500);
+    return () => clearTimeout(t);
+  }, [searchHitId]);
+
   if (isLoadingMessages) {
     return <div className="chat-loading-placeholder">Loading messages...</div>;
   }
@@ -88,11 +166,6 @@ export default function ChatArea({ actionsDisabled }) {
   return (
     <div ref={chatAreaRef}>
       {messages.map((m, idx) => {
-        // When forking, visually hide all messages after the fork point.
-        if (visualForkAnchor && new Date(m.created_at) > new Date(visualForkAnchor.created_at)) {
-          return null;
-        }
-
         const isUser = m.role === 'user';
         const isAsst = m.role === 'assistant';
 
@@ -110,7 +183,7 @@ export default function ChatArea({ actionsDisabled }) {
         const currentMessageIsBeingEdited = m.id === editingId;
 
         return (
-          <div key={m.id} data-message-id={m.id} className={`message message-${m.role} ${m.id === highlightedId ? 'highlight-on-copy' : ''}`}>
+          <div key={m.id} data-message-id={m.id} className={`message message-${m.role} ${m.id === highlightedId ? 'highlight-on-copy' : ''} ${String(m.id) === searchHitId ? 'message-search-hit' : ''}`}>
             <div className="floating-controls">
               {isAsst && !actionsDisabled && (
                 <button
@@ -125,6 +198,14 @@ export default function ChatArea({ actionsDisabled }) {
             <div className="message-header">
               <span className="message-role">
                 {isAsst ? ( <><span className="assistant-message-number">#{assistantNumber}</span> assistant</> ) : m.role }
+                {isAsst && m.usage && <TurnUsage usage={m.usage} priceTable={priceTable} />}
+                {isAsst && m.system_prompt_id && <SystemPromptBadge id={m.system_prompt_id} />}
+                <BranchSwitcher
+                  siblings={branchesOf(m.id)}
+                  currentId={m.id}
+                  onSelect={selectBranch}
+                  disabled={actionsDisabled || isGenerating || !!editingId}
+                />
               </span>
               <div className="message-actions">
                 {currentMessageIsBeingEdited ? (
@@ -165,8 +246,8 @@ export default function ChatArea({ actionsDisabled }) {
                            <button
                             className="button icon-button"
                             disabled={isSendingMessage || actionsDisabled}
-                            onClick={() => setForkingMessage(m)}
-                            title="Fork/Edit conversation from this point"
+                            onClick={() => startEdit(m)}
+                            title="Edit this message as a new branch (the current one is kept)"
                           >
                             Fork/Edit
                           </button>
@@ -229,7 +310,7 @@ export default function ChatArea({ actionsDisabled }) {
           </div>
         );
       })}
-      {visualForkAnchor && (
+      {showThinkingSpinner && (
         <div className="message message-assistant message-thinking">
           <div className="message-content-inner">
             <div className="thinking-spinner">
@@ -240,36 +321,25 @@ export default function ChatArea({ actionsDisabled }) {
           </div>
         </div>
       )}
-      {showThinkingSpinner && (
-        <div className="message message-assistant message-thinking">
-          <div className="message-content-inner">
-            <div className="thinking-spinner">
-              <span></span>
-              <span></span>
-              <span></span>
-            </div>
+      {isStreaming && (
+        <div className="message message-assistant message-streaming">
+          <div className="message-header">
+            <span className="message-role">
+              <span className="assistant-message-number">#{assistantCounter + 1}</span> assistant
+            </span>
+          </div>
+          <div className="message-content">
+            <MessageItem
+              m={{
+                id: 'streaming',
+                role: 'assistant',
+                content: [{ type: 'text', text: streamingText ?? '' }],
+                thoughts: streamingThoughts,
+              }}
+            />
           </div>
         </div>
       )}
-      <ConfirmationModal
-        isOpen={!!forkingMessage}
-        onClose={() => setForkingMessage(null)}
-        onConfirm={() => {
-          setVisualForkAnchor(forkingMessage);
-          startEdit(forkingMessage);
-          setForkingMessage(null);
-        }}
-        title="Fork Conversation?"
-        confirmationText="fork"
-        confirmButtonText="Fork"
-      >
-        <p>
-          Forking will KEEP this current message but REMOVE all messages after it.
-        </p>
-        <p>
-          This action is destructive and can be undone for a short time via the notification that will appear.
-        </p>
-      </ConfirmationModal>
     </div>
   );
 }
@@ -1,15 +1,25 @@
 // file: src/components/CodeBlock.jsx
-import { useRef } from 'preact/hooks';
+import { useRef, useState } from 'preact/hooks';
 import useCopyToClipboard from '../hooks/useCopyToClipboard.js';
+import useApplyFiles from '../hooks/useApplyFiles.js';
+import ApplyFilesPanel from './ApplyFilesPanel.jsx';
+import DiffView from './DiffView.jsx';
+import { useStagedFiles } from '../contexts/StagedFilesContext.jsx';
+import { matchStagedFile } from '../lib/codeTargets.js';
 import 'highlight.js/styles/atom-one-dark.css';
 
 /**
  * CodeBlock – wraps a <pre> and injects a copy button.
  * The button sits OUTSIDE the <pre> so its text is never copied.
+ * With a `target` ({ path, code }) it can also be written to that file,
+ * and compared with the staged copy of it when one is staged.
  */
-export default function CodeBlock({ preProps, children }) {
+export default function CodeBlock({ preProps, children, target }) {
   const preRef = useRef(null);
   const [copy, copied] = useCopyToClipboard();
+  const apply = useApplyFiles();
+  const staged = matchStagedFile(target?.path, useStagedFiles());
+  const [diffMode, setDiffMode] = useState(null); // null = code, 'unified' | 'split'
 
   function handleCopy(e) {
     e.stopPropagation();
@@ -29,10 +39,37 @@ export default function CodeBlock({ preProps, children }) {
       >
         {copied ? 'Copied!' : 'Copy'}
       </button>
+      {target && (
+        <button
+          className="copy-snippet apply-snippet"
+          onClick={() => apply.open([target])}
+          disabled={apply.isPreparing || !!apply.session}
+          title={`Diff against and write ${target.path}`}
+        >
+          {apply.isPreparing ? 'Reading…' : `Apply → ${target.path}`}
+        </button>
+      )}
 
-      <pre ref={preRef} {...preProps} style={{ margin: 0 }}>
+      {/* stays mounted while the diff shows so Copy still copies the code */}
+      <pre ref={preRef} {...preProps} style={{ margin: 0, display: staged && diffMode ? 'none' : undefined }}>
         {children}
       </pre>
+      {staged && diffMode && <DiffView oldText={staged.text} newText={target.code} mode={diffMode} />}
+      {staged && (
+        <div className="diff-toggle">
+          <span>vs staged <code>{staged.path}</code>:</span>
+          {[[null, 'Code'], ['unified', 'Unified'], ['split', 'Split']].map(([mode, label]) => (
+            <button
+              key={label}
+              className={`button ${diffMode === mode ? 'active' : ''}`}
+              onClick={() => setDiffMode(mode)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {apply.session && <ApplyFilesPanel session={apply.session} onClose={apply.close} />}
     </div>
   );
 }
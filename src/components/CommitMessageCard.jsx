@@ -0,0 +1,101 @@
+// src/components/CommitMessageCard.jsx
+import { useState } from 'preact/hooks';
+import useCopyToClipboard from '../hooks/useCopyToClipboard.js';
+import { useChat } from '../contexts/ChatContext.jsx';
+import { COMMIT_HEADER_MAX_CHARS } from '../config.js';
+import {
+  CONVENTIONAL_TYPES,
+  isConventional,
+  commitHeader,
+  formatCommitMessage,
+  validateCommit,
+  gitCommitCommand,
+} from '../lib/commitMessage.js';
+
+/**
+ * CommitMessageCard – a COMMIT answer as editable subject / body / footer
+ * fields. Edits stay local to the card; only "Mark as Committed" records
+ * this answer as the task's last commit.
+ */
+export default function CommitMessageCard({ messageId, fields: initial }) {
+  const { lastCommitMessageId, markCommitted } = useChat();
+  const [fields, setFields] = useState(initial);
+  const [copyMessage, messageCopied] = useCopyToClipboard();
+  const [copyCommand, commandCopied] = useCopyToClipboard();
+
+  const set = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setFields(f => ({ ...f, [key]: value }));
+  };
+
+  const conventional = isConventional(fields);
+  const headerLength = commitHeader(fields).length;
+  const problems = validateCommit(fields);
+  const message = formatCommitMessage(fields);
+  const isLastCommit = lastCommitMessageId === messageId;
+
+  return (
+    <div className="commit-card">
+      {conventional && (
+        <div className="commit-card-row">
+          <select className="form-select" value={fields.type} onChange={set('type')} aria-label="Type">
+            {!CONVENTIONAL_TYPES.includes(fields.type) && <option value={fields.type}>{fields.type}</option>}
+            {CONVENTIONAL_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <input className="form-input" placeholder="scope" value={fields.scope} onInput={set('scope')} aria-label="Scope" />
+          <label>
+            <input type="checkbox" checked={fields.breaking} onChange={set('breaking')} />
+            {' '}Breaking
+          </label>
+        </div>
+      )}
+      <label className="commit-card-field">
+        <span>
+          Subject{' '}
+          <span className={headerLength > COMMIT_HEADER_MAX_CHARS ? 'commit-card-count over' : 'commit-card-count'}>
+            {headerLength}/{COMMIT_HEADER_MAX_CHARS}
+          </span>
+        </span>
+        <input className="form-input" value={fields.subject} onInput={set('subject')} />
+      </label>
+      <label className="commit-card-field">
+        <span>Body</span>
+        <textarea className="form-textarea" rows={8} value={fields.body} onInput={set('body')} />
+      </label>
+      <label className="commit-card-field">
+        <span>Footer</span>
+        <textarea className="form-textarea" rows={2} value={fields.footer} onInput={set('footer')} />
+      </label>
+
+      {problems.length > 0 && (
+        <ul className="commit-card-problems">
+          {problems.map(p => <li key={p}>{p}</li>)}
+        </ul>
+      )}
+
+      <pre className="commit-card-preview">{message}</pre>
+
+      <div className="commit-card-row">
+        <button className="button" onClick={() => copyMessage(message)}>
+          {messageCopied ? 'Copied!' : 'Copy Message'}
+        </button>
+        <button
+          className="button button-accent"
+          onClick={() => copyCommand(gitCommitCommand(message))}
+          title="Copies git commit -F - with the message as a heredoc"
+        >
+          {commandCopied ? 'Copied!' : 'Copy git commit Command'}
+        </button>
+        <button
+          className={isLastCommit ? 'button active' : 'button'}
+          onClick={() => markCommitted(isLastCommit ? null : messageId)}
+          title={isLastCommit
+            ? 'The next COMMIT request describes only the turns after this one. Click to unmark.'
+            : 'Record this as the last commit – the next COMMIT request starts after it'}
+        >
+          {isLastCommit ? '✓ Last Commit' : 'Mark as Committed'}
+        </button>
+      </div>
+    </div>
+  );
+}
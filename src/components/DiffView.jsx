@@ -0,0 +1,81 @@
+// src/components/DiffView.jsx
+import { useMemo } from 'preact/hooks';
+import { diffLines, toHunks } from '../lib/lineDiff.js';
+
+const SIGN = { equal: ' ', del: '-', add: '+' };
+
+/* side-by-side rows: a run of removals is paired line by line with the
+   additions that replace it */
+function pairRows(rows) {
+  const pairs = [];
+  let dels = [];
+  let adds = [];
+  const flush = () => {
+    for (let i = 0; i < Math.max(dels.length, adds.length); i++) {
+      pairs.push({ left: dels[i] ?? null, right: adds[i] ?? null });
+    }
+    dels = [];
+    adds = [];
+  };
+  for (const r of rows) {
+    if (r.type === 'equal') { flush(); pairs.push({ left: r, right: r }); }
+    else if (r.type === 'del') dels.push(r);
+    else adds.push(r);
+  }
+  flush();
+  return pairs;
+}
+
+function SplitHalf({ row, side }) {
+  if (!row) return <><span className="diff-line-no" /><span className="diff-line-text diff-line--blank" /></>;
+  const type = row.type === 'equal' ? 'equal' : side === 'left' ? 'del' : 'add';
+  return (
+    <>
+      <span className="diff-line-no">{side === 'left' ? row.oldNo : row.newNo}</span>
+      <span className={`diff-line-text diff-line--${type}`}>{row.text}</span>
+    </>
+  );
+}
+
+/**
+ * DiffView – line diff of `oldText` → `newText` (or precomputed `rows`),
+ * changed hunks only, `mode` 'unified' or 'split'. `oldText` null means
+ * the file doesn't exist yet.
+ */
+export default function DiffView({ oldText, newText, rows: givenRows, context = 3, mode = 'unified' }) {
+  const rows = useMemo(
+    () => givenRows ?? diffLines(oldText ?? '', newText ?? ''),
+    [givenRows, oldText, newText]
+  );
+  const hunks = useMemo(() => toHunks(rows, context), [rows, context]);
+
+  if (hunks.length === 0) {
+    return <div className="diff-view diff-view--empty">No changes.</div>;
+  }
+
+  return (
+    <div className="diff-view">
+      {hunks.map((h, i) => (
+        <div key={i} className="diff-hunk">
+          <div className="diff-hunk-header">
+            @@ -{h.oldStart},{h.oldLines} +{h.newStart},{h.newLines} @@
+          </div>
+          {mode === 'split'
+            ? pairRows(h.rows).map((p, j) => (
+              <div key={j} className="diff-line diff-line--split">
+                <SplitHalf row={p.left} side="left" />
+                <SplitHalf row={p.right} side="right" />
+              </div>
+            ))
+            : h.rows.map((r, j) => (
+              <div key={j} className={`diff-line diff-line--${r.type}`}>
+                <span className="diff-line-no">{r.oldNo ?? ''}</span>
+                <span className="diff-line-no">{r.newNo ?? ''}</span>
+                <span className="diff-line-text">{SIGN[r.type]} {r.text}</span>
+              </div>
+            ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+// src/components/DraftInput.jsx
+import { useState, useEffect } from 'preact/hooks';
+
+/**
+ * DraftInput – an input that keeps a local draft and commits it on blur /
+ * Enter only; the draft follows `value` whenever the saved value changes.
+ * `onCommit` returning false rejects the draft and restores `value`.
+ */
+export default function DraftInput({ value, onCommit, ...props }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => { setDraft(value); }, [value]);
+
+  const commit = () => {
+    if (String(draft) === String(value)) return;
+    if (onCommit(draft) === false) setDraft(value);
+  };
+
+  return (
+    <input
+      {...props}
+      value={draft}
+      onInput={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); commit(); } }}
+    />
+  );
+}
@@ -0,0 +1,46 @@
+// src/components/ExportMenu.jsx
+import { useState } from 'preact/hooks';
+import { useChat } from '../contexts/ChatContext.jsx';
+import { fetchMessageTree } from '../api/supabaseApi.js';
+import { exportChat, EXPORT_FORMATS } from '../lib/chatExport.js';
+import Toast from './Toast.jsx';
+
+/**
+ * ExportMenu – downloads the current task as Markdown, JSON or a
+ * self-contained HTML file.
+ */
+export default function ExportMenu({ disabled }) {
+  const { currentChat, currentChatId, messages } = useChat();
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    if (!format || !currentChatId) return;
+    setIsExporting(true);
+    try {
+      // JSON is lossless: every row of the chat, not just the visible branch
+      const rows = format === 'json' ? await fetchMessageTree(currentChatId) : null;
+      await exportChat(format, { chat: currentChat, messages, rows });
+      Toast(`Exported as ${EXPORT_FORMATS[format].label}.`, 2000);
+    } catch (err) {
+      console.error('Export failed:', err);
+      Toast(`Export failed: ${err.message}`, 5000);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <select
+      className="form-select export-menu"
+      value=""
+      disabled={disabled || isExporting || !messages?.length}
+      onChange={(e) => { const f = e.target.value; e.target.value = ''; handleExport(f); }}
+      title="Download this task"
+    >
+      <option value="">{isExporting ? 'Exporting…' : 'Export…'}</option>
+      {Object.entries(EXPORT_FORMATS).map(([key, spec]) => (
+        <option key={key} value={key}>{spec.label}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,137 @@
+// src/components/FileTree.jsx
+import { useEffect, useMemo, useRef, useState } from 'preact/hooks';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import { getRootFile } from '../lib/fsRoot.js';
+import { isTextLike, MAX_TEXT_FILE_SIZE } from '../lib/fileTypeGuards.js';
+import { flattenTree, filesUnder, countSelectedByFolder, formatBytes } from '../codeImporter/fileTree.js';
+
+const ROW_HEIGHT = 26;
+const INDENT = 16;
+
+function TriStateCheckbox({ state, onChange, disabled }) {
+  return (
+    <input
+      type="checkbox"
+      ref={el => { if (el) el.indeterminate = state === 'partial'; }}
+      checked={state === 'all'}
+      onChange={e => onChange(e.target.checked)}
+      disabled={disabled}
+    />
+  );
+}
+
+/* character counts need the file contents, so they are read only for
+   rows that scroll into view; null = not text or unreadable */
+function useVisibleCharCounts(root, paths) {
+  const [counts, setCounts] = useState(() => new Map());
+  const requested = useRef(new Set());
+  const key = paths.join('\n');
+
+  useEffect(() => {
+    const todo = (key ? key.split('\n') : []).filter(p => !requested.current.has(p));
+    if (!todo.length) return;
+    todo.forEach(p => requested.current.add(p));
+    (async () => {
+      const found = [];
+      for (const p of todo) {
+        let chars = null;
+        try {
+          const file = await getRootFile(root, p);
+          if (file && file.size <= MAX_TEXT_FILE_SIZE && isTextLike(file)) chars = (await file.text()).length;
+        } catch { /* shown as unknown */ }
+        found.push([p, chars]);
+      }
+      setCounts(prev => new Map([...prev, ...found]));
+    })();
+  }, [root, key]);
+
+  return counts;
+}
+
+/**
+ * FileTree – expandable, virtualized tree over buildFileTree() output.
+ * `selected` is a Set of file paths; `onToggle(paths, checked)` receives
+ * every file under a ticked folder.
+ */
+export default function FileTree({ root, tree, selected, onToggle, disabled }) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const rows = useMemo(() => flattenTree(tree, expanded), [tree, expanded]);
+  const selectedByFolder = useMemo(() => countSelectedByFolder(tree, selected), [tree, selected]);
+
+  const parentRef = useRef(null);
+  const virtualizer = useVirtualizer({
+    count: rows.length,
+    getScrollElement: () => parentRef.current,
+    estimateSize: () => ROW_HEIGHT,
+    overscan: 10,
+  });
+  const virtualItems = virtualizer.getVirtualItems();
+
+  const visibleFiles = virtualItems
+    .map(v => rows[v.index])
+    .filter(n => n?.kind === 'file')
+    .map(n => n.path);
+  const charCounts = useVisibleCharCounts(root, visibleFiles);
+
+  const toggleExpanded = (path) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+
+  const stateOf = (node) => {
+    if (node.kind === 'file') return selected.has(node.path) ? 'all' : 'none';
+    const n = selectedByFolder.get(node.path) || 0;
+    return n === 0 ? 'none' : n === node.fileCount ? 'all' : 'partial';
+  };
+
+  if (!rows.length) {
+    return <div className="file-tree file-tree--empty">No files found.</div>;
+  }
+
+  return (
+    <div ref={parentRef} className="file-tree">
+      <div style={{ height: `${virtualizer.getTotalSize()}px`, position: 'relative' }}>
+        {virtualItems.map(v => {
+          const node = rows[v.index];
+          const isDir = node.kind === 'directory';
+          const chars = charCounts.get(node.path);
+          return (
+            <div
+              key={node.path}
+              className="file-tree-row"
+              style={{ height: `${ROW_HEIGHT}px`, transform: `translateY(${v.start}px)`, paddingLeft: `${node.depth * INDENT + 4}px` }}
+              title={node.path}
+            >
+              {isDir ? (
+                <button className="file-tree-caret" onClick={() => toggleExpanded(node.path)} aria-label={expanded.has(node.path) ? 'Collapse' : 'Expand'}>
+                  {expanded.has(node.path) ? '▾' : '▸'}
+                </button>
+              ) : <span className="file-tree-caret" />}
+              <TriStateCheckbox
+                state={stateOf(node)}
+                onChange={checked => onToggle(filesUnder(node), checked)}
+                disabled={disabled || (isDir && node.fileCount === 0)}
+              />
+              <span
+                className={`file-tree-name${isDir ? ' file-tree-name--dir' : ''}`}
+                onClick={isDir ? () => toggleExpanded(node.path) : undefined}
+              >
+                {isDir ? '📁' : '📄'} {node.name}
+              </span>
+              <span className="file-tree-meta">
+                {isDir
+                  ? `${selectedByFolder.get(node.path) || 0}/${node.fileCount} · ${formatBytes(node.size)}`
+                  : <>
+                      {formatBytes(node.size)}
+                      {chars !== undefined && ` · ${chars == null ? '–' : `${chars.toLocaleString()} chars`}`}
+                    </>}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
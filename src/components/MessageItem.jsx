@@ -1,6 +1,14 @@
 // src/components/MessageItem.jsx
+import { useMemo } from 'preact/hooks';
 import { memo } from 'preact/compat';
 import MarkdownRenderer from './MarkdownRenderer.jsx';
+import ApplyFilesPanel from './ApplyFilesPanel.jsx';
+import StructuredAnswer from './StructuredAnswer.jsx';
+import CommitMessageCard from './CommitMessageCard.jsx';
+import useApplyFiles from '../hooks/useApplyFiles.js';
+import { extractFileBlocks } from '../lib/codeTargets.js';
+import { parseStructuredReply, fileEditsOf, schemaKind } from '../lib/structuredOutput.js';
+import { commitFieldsOf } from '../lib/commitMessage.js';
 import { getChecksum } from '../lib/checksumCache.js';
 import { useSignedUrl } from '../hooks/useSignedUrl.js';
 
@@ -32,16 +40,77 @@ function DisplayImage({ block }) {
   );
 }
 
+/* Thought summaries come from `m.thoughts`, not the content blocks, so
+   Copy and the API context never see them. */
+function ThoughtSummary({ text }) {
+  return (
+    <details className="message-thoughts">
+      <summary>Thoughts</summary>
+      <MarkdownRenderer>{text}</MarkdownRenderer>
+    </details>
+  );
+}
+
+/* "Apply all" for answers that return several files at once */
+function ApplyAllFiles({ fileBlocks }) {
+  const apply = useApplyFiles();
+  return (
+    <div className="apply-all-files">
+      {apply.session
+        ? <ApplyFilesPanel session={apply.session} onClose={apply.close} />
+        : (
+          <button className="button" onClick={() => apply.open(fileBlocks)} disabled={apply.isPreparing}>
+            {apply.isPreparing
+              ? 'Reading project…'
+              : fileBlocks.length === 1 ? `Apply ${fileBlocks[0].path}` : `Apply all ${fileBlocks.length} files in this answer`}
+          </button>
+        )}
+    </div>
+  );
+}
+
 function MessageItem({ m }) {
   const contentArray = Array.isArray(m.content)
     ? m.content
     : [{ type: 'text', text: String(m.content ?? '') }];
 
+  // only stored answers – the streaming bubble has no row (created_at) yet
+  const isStoredAnswer = m.role === 'assistant' && !!m.created_at;
+  // JSON answers (structured output) render as data, not markdown
+  const schema = isStoredAnswer ? m.response_schema : null;
+  const structured = useMemo(() => (
+    schema
+      ? parseStructuredReply(contentArray.filter(b => b.type === 'text').map(b => b.text).join(''), schema)
+      : null
+  ), [schema, getChecksum(m)]);
+  const fileBlocksByIndex = useMemo(() => (
+    isStoredAnswer && !schema
+      ? contentArray.map(b => (b.type === 'text' ? extractFileBlocks(b.text) : []))
+      : []
+  ), [isStoredAnswer, schema, getChecksum(m)]);
+  // a valid COMMIT answer gets the commit editor instead of the data view
+  const commitFields = structured && !structured.errors.length && schemaKind(schema) === 'commit'
+    ? commitFieldsOf(structured.value)
+    : null;
+  const allFileBlocks = structured ? fileEditsOf(structured.value) : fileBlocksByIndex.flat();
+  const applyAllMin = structured ? 1 : 2;
+
   return (
     <div className="message-content-inner">
+      {m.thoughts && <ThoughtSummary text={m.thoughts} />}
       {contentArray.map((block, index) => {
+        if (block.type === 'text' && structured) {
+          if (index !== contentArray.findIndex(b => b.type === 'text')) return null;
+          return commitFields
+            ? <CommitMessageCard key={`${m.id}-commit`} messageId={m.id} fields={commitFields} />
+            : <StructuredAnswer key={`${m.id}-json`} text={block.text} schema={schema} parsed={structured} />;
+        }
         if (block.type === 'text') {
-          return <MarkdownRenderer key={`${m.id}-text-${index}`}>{block.text}</MarkdownRenderer>;
+          return (
+            <MarkdownRenderer key={`${m.id}-text-${index}`} fileBlocks={fileBlocksByIndex[index]}>
+              {block.text}
+            </MarkdownRenderer>
+          );
         }
         if (block.type === 'image_url' && block.image_url && block.image_url.path) {
           return <DisplayImage key={`${m.id}-img-${index}`} block={block} />;
@@ -64,6 +133,7 @@ function MessageItem({ m }) {
         }
         return null;
       })}
+      {allFileBlocks.length >= applyAllMin && <ApplyAllFiles fileBlocks={allFileBlocks} />}
     </div>
   );
 }
@@ -72,6 +142,7 @@ export default memo(
   MessageItem,
   (prevProps, nextProps) => {
     if (prevProps.m.id !== nextProps.m.id) return false;
+    if (prevProps.m.thoughts !== nextProps.m.thoughts) return false;
     const prevCk = getChecksum(prevProps.m);
     const nextCk = getChecksum(nextProps.m);
     return prevCk === nextCk;
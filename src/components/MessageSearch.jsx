@@ -0,0 +1,95 @@
+// src/components/MessageSearch.jsx
+import { useState, useEffect, useMemo } from 'preact/hooks';
+import { useQuery } from '@tanstack/react-query';
+import { searchMessages } from '../api/supabaseApi.js';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+/* "\u0002hit\u0003" markers from search_messages → <mark>, as text nodes only */
+function Snippet({ text }) {
+  const parts = String(text ?? '').split(/([\u0002\u0003])/);
+  let inHit = false;
+  const out = [];
+  parts.forEach((p, i) => {
+    if (p === '\u0002') { inHit = true; return; }
+    if (p === '\u0003') { inHit = false; return; }
+    if (p) out.push(inHit ? <mark key={i}>{p}</mark> : p);
+  });
+  return <span className="search-snippet">{out}</span>;
+}
+
+function groupByChat(hits) {
+  const groups = new Map();
+  for (const hit of hits) {
+    if (!groups.has(hit.chat_id)) {
+      groups.set(hit.chat_id, { chatId: hit.chat_id, title: hit.chat_title, hits: [] });
+    }
+    groups.get(hit.chat_id).hits.push(hit);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * MessageSearch – search box for the sidebar. While a query is active it
+ * renders hits grouped by task in place of the task list (`children`).
+ */
+export default function MessageSearch({ onSelectHit, disabled, children }) {
+  const [input, setInput] = useState('');
+  const [query, setQuery] = useState('');
+
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(input.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(t);
+  }, [input]);
+
+  const active = query.length >= MIN_QUERY_LENGTH;
+  const { data: hits = [], isFetching, error } = useQuery({
+    queryKey: ['messageSearch', query],
+    queryFn : () => searchMessages(query),
+    enabled : active,
+    staleTime: 1000 * 30,
+  });
+
+  const groups = useMemo(() => groupByChat(hits), [hits]);
+
+  return (
+    <>
+      <div className="message-search">
+        <input
+          type="search"
+          className="form-input"
+          placeholder="Search all tasks…"
+          value={input}
+          onInput={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Escape') setInput(''); }}
+        />
+      </div>
+      {!active ? children : (
+        <div className="chat-list-scroll-area search-results">
+          {error && <div className="no-chats-indicator">Search failed: {error.message}</div>}
+          {!error && isFetching && hits.length === 0 && <div className="no-chats-indicator">Searching…</div>}
+          {!error && !isFetching && hits.length === 0 && <div className="no-chats-indicator">No matches.</div>}
+          {groups.map(g => (
+            <div key={g.chatId} className="search-group">
+              <div className="chat-group-header">{g.title || 'Untitled Task'}</div>
+              {g.hits.map(hit => (
+                <button
+                  key={hit.message_id}
+                  className={`search-hit ${disabled ? 'disabled' : ''}`}
+                  disabled={disabled}
+                  onClick={() => onSelectHit(hit.chat_id, hit.message_id)}
+                >
+                  <span className="search-hit-meta">
+                    {hit.role} · {new Date(hit.created_at).toLocaleDateString([], { day: 'numeric', month: 'short' })}
+                  </span>
+                  <Snippet text={hit.snippet} />
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
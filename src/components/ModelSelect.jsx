@@ -0,0 +1,49 @@
+// src/components/ModelSelect.jsx
+import { MODEL_OPTIONS, MODEL_ID_PATTERN, LLM_PROVIDERS } from '../config.js';
+import { parseModelId } from '../api/llmApi.js';
+
+const CUSTOM_OPTION = '__custom__';
+
+/**
+ * ModelSelect – <select> over MODEL_OPTIONS (grouped by provider) plus a "Custom model id…" entry
+ * for ids we don't ship yet. An unknown current value is kept as its own
+ * option so it never silently snaps back to the first item.
+ */
+export default function ModelSelect({ id, value, onChange, disabled }) {
+  const isKnown = MODEL_OPTIONS.some(m => m.id === value);
+  const groups = Object.keys(LLM_PROVIDERS).map(provider => ({
+    provider,
+    models: MODEL_OPTIONS.filter(m => parseModelId(m.id).provider === provider),
+  })).filter(g => g.models.length);
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    if (next !== CUSTOM_OPTION) {
+      onChange(next);
+      return;
+    }
+    const typed = window.prompt('Model id (e.g. gemini-2.5-flash, openai:gpt-4.1, local:llama3.1):', value || '');
+    e.target.value = value; // keep the select in sync if the prompt is cancelled
+    if (typed == null) return;
+    const trimmed = typed.trim();
+    if (!MODEL_ID_PATTERN.test(trimmed)) {
+      window.alert(`"${trimmed}" is not a valid model id.`);
+      return;
+    }
+    onChange(trimmed);
+  };
+
+  return (
+    <select id={id} className="form-input" value={value} onChange={handleChange} disabled={disabled}>
+      {groups.map(g => (
+        <optgroup key={g.provider} label={LLM_PROVIDERS[g.provider].label}>
+          {g.models.map(m => (
+            <option key={m.id} value={m.id}>{m.label}</option>
+          ))}
+        </optgroup>
+      ))}
+      {!isKnown && value && <option value={value}>{value}</option>}
+      <option value={CUSTOM_OPTION}>Custom model id…</option>
+    </select>
+  );
+}
@@ -0,0 +1,192 @@
+// src/components/PromptTemplatesPanel.jsx
+import { useRef, useState } from 'preact/hooks';
+import {
+  normalizeTemplate,
+  parseTemplatesJson,
+  templatesToJson,
+  PromptTemplateError,
+} from '../lib/promptTemplates.js';
+import { downloadText } from '../lib/chatExport.js';
+import Toast from './Toast.jsx';
+
+const EMPTY_FIELD = { key: '', label: '', placeholder: '', rows: 2, required: false };
+const NEW_TEMPLATE = {
+  name: '',
+  include_files: true,
+  fields: [{ key: 'goal', label: 'GOAL', placeholder: '', rows: 2, required: true }],
+  template: '## MODE # MY MODE\nGOAL: {{goal}}',
+};
+
+function TemplateEditor({ initial, onSave, onCancel, onDelete, isSaving }) {
+  const [draft, setDraft] = useState(() => ({ ...initial, fields: initial.fields.map(f => ({ ...f })) }));
+  const [error, setError] = useState(null);
+
+  const setField = (i, patch) => setDraft(d => ({
+    ...d,
+    fields: d.fields.map((f, j) => (j === i ? { ...f, ...patch } : f)),
+  }));
+
+  const handleSave = async () => {
+    let values;
+    try {
+      values = normalizeTemplate(draft);
+    } catch (err) {
+      if (err instanceof PromptTemplateError) { setError(err.message); return; }
+      throw err;
+    }
+    setError(null);
+    try {
+      await onSave({ id: initial.id, ...values });
+    } catch { /* toasted by the mutation */ }
+  };
+
+  return (
+    <div className="template-editor">
+      <label className="template-editor-row">
+        <span>Name</span>
+        <input
+          className="form-input"
+          value={draft.name}
+          maxLength={40}
+          placeholder="e.g. WRITE TESTS"
+          onInput={e => setDraft(d => ({ ...d, name: e.target.value }))}
+        />
+      </label>
+      <label className="template-editor-check">
+        <input
+          type="checkbox"
+          checked={draft.include_files}
+          onChange={e => setDraft(d => ({ ...d, include_files: e.target.checked }))}
+        />
+        Show the codebase importer and append staged files
+      </label>
+
+      <div className="template-editor-fields">
+        <strong>Fields</strong>
+        {draft.fields.map((f, i) => (
+          <div key={i} className="template-editor-field">
+            <input className="form-input" value={f.key} placeholder="key" aria-label="Field key"
+              onInput={e => setField(i, { key: e.target.value })} />
+            <input className="form-input" value={f.label} placeholder="LABEL" aria-label="Field label"
+              onInput={e => setField(i, { label: e.target.value })} />
+            <input className="form-input" value={f.placeholder} placeholder="placeholder" aria-label="Field placeholder"
+              onInput={e => setField(i, { placeholder: e.target.value })} />
+            <label title="Required before sending">
+              <input type="checkbox" checked={f.required} onChange={e => setField(i, { required: e.target.checked })} /> req.
+            </label>
+            <button className="button icon-button" title="Remove field"
+              onClick={() => setDraft(d => ({ ...d, fields: d.fields.filter((_, j) => j !== i) }))}>
+              ×
+            </button>
+          </div>
+        ))}
+        <button className="button" onClick={() => setDraft(d => ({ ...d, fields: [...d.fields, { ...EMPTY_FIELD }] }))}>
+          + Field
+        </button>
+      </div>
+
+      <label className="template-editor-row template-editor-row--block">
+        <span>Prompt template – <code>{'{{key}}'}</code> inserts a field, <code>{'{{date}}'}</code> today's date</span>
+        <textarea
+          className="form-textarea"
+          rows={8}
+          value={draft.template}
+          spellcheck={false}
+          onInput={e => setDraft(d => ({ ...d, template: e.target.value }))}
+        />
+      </label>
+
+      {error && <div className="template-editor-error">{error}</div>}
+
+      <div className="template-editor-actions">
+        <button className="button button-accent" disabled={isSaving} onClick={handleSave}>
+          {isSaving ? 'Saving…' : 'Save Mode'}
+        </button>
+        <button className="button" disabled={isSaving} onClick={onCancel}>Cancel</button>
+        {onDelete && (
+          <button className="button" disabled={isSaving} onClick={onDelete} style={{ marginLeft: 'auto', background: '#b71c1c', color: '#fff' }}>
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PromptTemplatesPanel – list, edit, import and export the user's custom
+ * modes. `promptTemplates` is the usePromptTemplates() result.
+ */
+export default function PromptTemplatesPanel({ promptTemplates, onClose }) {
+  const { templates, saveTemplate, deleteTemplate, importTemplates, isSaving } = promptTemplates;
+  const [editing, setEditing] = useState(null); // template row, NEW_TEMPLATE, or null
+  const importRef = useRef(null);
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let list;
+    try {
+      list = parseTemplatesJson(JSON.parse(await file.text()));
+    } catch (err) {
+      Toast(`Cannot import ${file.name}: ${err instanceof SyntaxError ? 'not valid JSON' : err.message}`, 6000);
+      return;
+    }
+    importTemplates(list);
+  };
+
+  const handleExport = () => {
+    downloadText(`konzuko-modes-${new Date().toISOString().slice(0, 10)}.json`, templatesToJson(templates), 'application/json');
+  };
+
+  const handleDelete = (t) => {
+    if (!confirm(`Delete mode "${t.name}"?`)) return;
+    deleteTemplate(t.id);
+    setEditing(null);
+  };
+
+  return (
+    <div className="template-panel">
+      <div className="template-panel-header">
+        <strong>Custom Modes</strong>
+        <button className="button icon-button" onClick={onClose} title="Close">×</button>
+      </div>
+
+      {editing ? (
+        <TemplateEditor
+          key={editing.id ?? 'new'}
+          initial={editing}
+          isSaving={isSaving}
+          onSave={async (values) => { await saveTemplate(values); setEditing(null); }}
+          onCancel={() => setEditing(null)}
+          onDelete={editing.id ? () => handleDelete(editing) : null}
+        />
+      ) : (
+        <>
+          {templates.length === 0 ? (
+            <p className="template-panel-empty">No custom modes yet.</p>
+          ) : (
+            <ul className="template-panel-list">
+              {templates.map(t => (
+                <li key={t.id}>
+                  <span>{t.name}</span>
+                  <span className="template-panel-meta">
+                    {t.fields.length} field(s){t.include_files ? ' · files' : ''}
+                  </span>
+                  <button className="button" onClick={() => setEditing(t)}>Edit</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="template-editor-actions">
+            <button className="button" onClick={() => setEditing(NEW_TEMPLATE)} disabled={isSaving}>+ New Mode</button>
+            <button className="button" onClick={() => importRef.current?.click()} disabled={isSaving}>Import…</button>
+            <button className="button" onClick={handleExport} disabled={!templates.length}>Export</button>
+            <input ref={importRef} type="file" accept="application/json,.json" style={{ display: 'none' }} onChange={handleImport} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// src/components/ProviderSettings.jsx
+import { LLM_PROVIDERS } from '../config.js';
+import { useSettings } from '../contexts/SettingsContext.jsx';
+import DraftInput from './DraftInput.jsx';
+
+/**
+ * ProviderSettings – key + base URL for every non-Gemini provider.
+ * Both fields commit on blur / Enter rather than per keystroke,
+ * so we don't POST half-typed keys or toast on half-typed URLs.
+ */
+export default function ProviderSettings() {
+  const {
+    isApiKeyLoading,
+    providerKeys,
+    providerBaseUrls,
+    handleProviderKeyChangeAndSave,
+    setProviderBaseUrl,
+  } = useSettings();
+
+  return Object.entries(LLM_PROVIDERS)
+    .filter(([provider]) => provider !== 'gemini')
+    .map(([provider, cfg]) => (
+      <fieldset key={provider} className="form-group provider-settings">
+        <legend>{cfg.label}</legend>
+        <label htmlFor={`providerKey-${provider}`}>
+          API Key{cfg.requiresKey ? '' : ' (optional)'}:
+        </label>
+        <DraftInput
+          id={`providerKey-${provider}`}
+          className="form-input"
+          type="password"
+          value={providerKeys[provider] ?? ''}
+          onCommit={(key) => { handleProviderKeyChangeAndSave(provider, key); }}
+          placeholder={isApiKeyLoading ? 'Loading API Key...' : `Enter your ${cfg.label} key`}
+          disabled={isApiKeyLoading}
+        />
+        <label htmlFor={`providerUrl-${provider}`}>Base URL:</label>
+        <DraftInput
+          id={`providerUrl-${provider}`}
+          className="form-input"
+          type="url"
+          value={providerBaseUrls[provider] ?? cfg.defaultBaseUrl}
+          onCommit={(url) => setProviderBaseUrl(provider, url)}
+          placeholder={cfg.defaultBaseUrl}
+        />
+      </fieldset>
+    ));
+}
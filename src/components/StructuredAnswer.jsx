@@ -0,0 +1,107 @@
+// src/components/StructuredAnswer.jsx
+import { useState } from 'preact/hooks';
+
+const LONG_TEXT = 160;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isScalar = (v) => v === null || typeof v !== 'object';
+
+/* column order: the schema's propertyOrdering, then anything else seen */
+function columnsFor(rows, itemSchema) {
+  const seen = new Set(itemSchema?.propertyOrdering ?? Object.keys(itemSchema?.properties ?? {}));
+  rows.forEach(r => Object.keys(r).forEach(k => seen.add(k)));
+  return [...seen].filter(k => rows.some(r => k in r));
+}
+
+function Scalar({ value }) {
+  if (value === null || value === undefined) return <span className="json-null">—</span>;
+  if (typeof value === 'string' && (value.length > LONG_TEXT || value.includes('\n'))) {
+    return (
+      <details className="json-long">
+        <summary>{value.slice(0, 60).split('\n')[0]}… <span className="json-meta">({value.length.toLocaleString()} chars)</span></summary>
+        <pre>{value}</pre>
+      </details>
+    );
+  }
+  return <span className={`json-${typeof value}`}>{String(value)}</span>;
+}
+
+function JsonNode({ value, schema }) {
+  if (isScalar(value)) return <Scalar value={value} />;
+
+  if (Array.isArray(value)) {
+    if (!value.length) return <span className="json-null">(empty list)</span>;
+    if (value.every(isPlainObject)) {
+      const cols = columnsFor(value, schema?.items);
+      return (
+        <div className="json-table-wrap">
+          <table className="json-table">
+            <thead><tr>{cols.map(c => <th key={c}>{c}</th>)}</tr></thead>
+            <tbody>
+              {value.map((row, i) => (
+                <tr key={i}>
+                  {cols.map(c => (
+                    <td key={c}><JsonNode value={row[c]} schema={schema?.items?.properties?.[c]} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    }
+    return (
+      <ol className="json-list">
+        {value.map((v, i) => <li key={i}><JsonNode value={v} schema={schema?.items} /></li>)}
+      </ol>
+    );
+  }
+
+  const keys = columnsFor([value], schema);
+  return (
+    <dl className="json-object">
+      {keys.map(k => (
+        <div key={k} className="json-entry">
+          <dt>{k}</dt>
+          <dd><JsonNode value={value[k]} schema={schema?.properties?.[k]} /></dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/**
+ * StructuredAnswer – a JSON answer rendered as tables / a tree, with the
+ * raw text one click away. `parsed` is parseStructuredReply(text, schema);
+ * a parse failure or schema mismatch is shown above the raw text.
+ */
+export default function StructuredAnswer({ text, schema, parsed }) {
+  const { value, errors } = parsed;
+  const [showRaw, setShowRaw] = useState(value === undefined);
+
+  return (
+    <div className="structured-answer">
+      <div className="structured-answer-bar">
+        <span className="json-meta">JSON answer</span>
+        {value !== undefined && (
+          <button className="button" onClick={() => setShowRaw(v => !v)}>
+            {showRaw ? 'Show as Data' : 'Show Raw JSON'}
+          </button>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div className="structured-answer-error">
+          <strong>
+            {value === undefined ? 'The answer is not valid JSON' : 'The answer does not match the requested schema'}
+          </strong>
+          <ul>
+            {errors.map((e, i) => <li key={i}><code>{e.path}</code> {e.message}</li>)}
+          </ul>
+        </div>
+      )}
+      {showRaw || value === undefined
+        ? <pre className="structured-answer-raw">{value === undefined ? text : JSON.stringify(value, null, 2)}</pre>
+        : <JsonNode value={value} schema={schema} />}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+// src/components/StructuredOutputSettings.jsx
+import { SCHEMA_PRESETS, presetSchema } from '../lib/structuredOutput.js';
+
+/**
+ * StructuredOutputSettings – asks for a JSON answer matching a preset or
+ * a custom schema. `structured` is the useStructuredOutput() result.
+ */
+export default function StructuredOutputSettings({ structured }) {
+  const { preset, setPreset, customText, setCustomText, error } = structured;
+
+  const editPreset = () => {
+    const base = presetSchema(preset);
+    if (base) setCustomText(JSON.stringify(base, null, 2));
+    setPreset('custom');
+  };
+
+  return (
+    <div className={`structured-output ${preset !== 'off' ? 'structured-output--on' : ''}`}>
+      <label className="structured-output-row">
+        <strong>JSON output</strong>
+        <select className="form-select" value={preset} onChange={e => setPreset(e.target.value)}>
+          <option value="off">Off – normal answer</option>
+          {SCHEMA_PRESETS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          <option value="custom">Custom schema…</option>
+        </select>
+        {presetSchema(preset) && (
+          <button className="button" onClick={editPreset} title="Copy this preset into the custom schema editor">
+            Edit as Custom
+          </button>
+        )}
+      </label>
+      {preset === 'custom' && (
+        <>
+          <textarea
+            className="form-textarea structured-output-schema"
+            rows={10}
+            spellcheck={false}
+            value={customText}
+            onInput={e => setCustomText(e.target.value)}
+            aria-label="Response JSON schema"
+          />
+          <p className="form-hint">
+            Gemini schema subset: type, properties, required, propertyOrdering, items, enum,
+            nullable, format, description, minItems/maxItems, minimum/maximum, anyOf.
+          </p>
+        </>
+      )}
+      {error && <div className="structured-output-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+// src/components/SystemPromptSettings.jsx
+import { useEffect, useState } from 'preact/hooks';
+import { useChat } from '../contexts/ChatContext.jsx';
+import useSystemPrompt from '../hooks/useSystemPrompt.js';
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  SYSTEM_PROMPT_SOURCES,
+  resolveSystemPrompt,
+} from '../lib/systemPrompt.js';
+
+const formatWhen = (iso) => new Date(iso).toLocaleString();
+
+/**
+ * SystemPromptSettings – edit the account default and, with a task open,
+ * that task's override. Every save is a new version; "Reset" stores an
+ * empty version so the scope falls back to the next one.
+ */
+export default function SystemPromptSettings({ disabled }) {
+  const { currentChatId } = useChat();
+  const { active, accountVersions, chatVersions, isLoaded, saveVersion, isSaving } =
+    useSystemPrompt(currentChatId);
+  const [scope, setScope] = useState('account');
+  const [showHistory, setShowHistory] = useState(false);
+
+  const effectiveScope = currentChatId ? scope : 'account';
+  const versions = effectiveScope === 'chat' ? chatVersions : accountVersions;
+  // what this scope sends today – its own latest, or what it inherits
+  const current = effectiveScope === 'chat'
+    ? active
+    : resolveSystemPrompt(accountVersions, []);
+  const [draft, setDraft] = useState(current.content);
+
+  useEffect(() => {
+    setDraft(current.content);
+  }, [effectiveScope, current.id, isLoaded]);
+
+  const isDirty = draft !== current.content;
+  const isOwn = effectiveScope === 'chat' ? active.source === 'chat' : current.source === 'account';
+  const busy = disabled || isSaving || !isLoaded;
+
+  const save = (content) => saveVersion({ scope: effectiveScope, content }).catch(() => {});
+
+  const handleReset = () => {
+    const target = effectiveScope === 'chat' ? 'the account default' : 'the built-in prompt';
+    if (!confirm(`Reset this system prompt to ${target}? Earlier versions stay in the history.`)) return;
+    save(null);
+  };
+
+  return (
+    <div className="system-prompt-settings">
+      {currentChatId && (
+        <div className="system-prompt-scopes">
+          <button
+            className={`button ${effectiveScope === 'account' ? 'active' : ''}`}
+            onClick={() => setScope('account')}
+          >
+            Account default
+          </button>
+          <button
+            className={`button ${effectiveScope === 'chat' ? 'active' : ''}`}
+            onClick={() => setScope('chat')}
+          >
+            This task
+          </button>
+        </div>
+      )}
+      <p className="form-hint">
+        In use{effectiveScope === 'chat' ? ' for this task' : ' by default'}:{' '}
+        {SYSTEM_PROMPT_SOURCES[current.source]}
+        {current.version ? ` v${current.version}` : ''}
+        {!isOwn && effectiveScope === 'chat' && ' – saving creates a task override'}
+      </p>
+      <textarea
+        className="form-textarea system-prompt-textarea"
+        rows={10}
+        spellcheck={false}
+        value={draft}
+        disabled={busy}
+        onInput={(e) => setDraft(e.target.value)}
+      />
+      <div className="system-prompt-actions">
+        <button className="button button-accent" disabled={busy || !isDirty} onClick={() => save(draft)}>
+          {isSaving ? 'Saving…' : 'Save as New Version'}
+        </button>
+        {isDirty && (
+          <button className="button" disabled={busy} onClick={() => setDraft(current.content)}>
+            Discard
+          </button>
+        )}
+        <button className="button" disabled={busy || !isOwn} onClick={handleReset}>
+          Reset to {effectiveScope === 'chat' ? 'Account Default' : 'Built-in'}
+        </button>
+        <button className="button" disabled={!versions.length} onClick={() => setShowHistory(v => !v)}>
+          History ({versions.length})
+        </button>
+      </div>
+      {showHistory && versions.length > 0 && (
+        <ul className="system-prompt-history">
+          {versions.map(v => (
+            <li key={v.id}>
+              <span>v{v.version}</span>
+              <span className="system-prompt-history-meta">{formatWhen(v.created_at)}</span>
+              <span className="system-prompt-history-preview">
+                {v.content == null ? '(reset)' : v.content.slice(0, 80) || '(empty)'}
+              </span>
+              <button
+                className="button"
+                disabled={busy}
+                title="Load into the editor – save to make it current"
+                onClick={() => setDraft(v.content ?? (effectiveScope === 'chat'
+                  ? resolveSystemPrompt(accountVersions, []).content
+                  : DEFAULT_SYSTEM_PROMPT))}
+              >
+                Load
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// src/components/ThinkingSettings.jsx
+import {
+  THINKING_BUDGET_DYNAMIC,
+  THINKING_BUDGET_DEFAULT_FIXED,
+} from '../config.js';
+import { useChat } from '../contexts/ChatContext.jsx';
+import { thinkingLimitsFor, clampThinkingBudget } from '../lib/thinkingBudget.js';
+import DraftInput from './DraftInput.jsx';
+import Toast from './Toast.jsx';
+
+const modeOf = (budget) =>
+  budget === 0 ? 'off' : budget === THINKING_BUDGET_DYNAMIC ? 'dynamic' : 'fixed';
+
+/**
+ * ThinkingSettings – per-task Gemini thinking budget (off / dynamic / fixed)
+ * and whether to request thought summaries, within what the task's model
+ * accepts. Other providers ignore both.
+ */
+export default function ThinkingSettings({ disabled }) {
+  const { currentThinking, updateChatThinking, chatCredentials, currentModel } = useChat();
+  const { budget, includeThoughts } = currentThinking;
+  const mode = modeOf(budget);
+  const { min, max, canDisable } = thinkingLimitsFor(currentModel);
+
+  if (chatCredentials.provider !== 'gemini') {
+    return <p className="form-hint">Thinking settings apply to Gemini models only.</p>;
+  }
+
+  const handleModeChange = (e) => {
+    const next = e.target.value;
+    if (next === 'off') updateChatThinking({ budget: 0 });
+    else if (next === 'dynamic') updateChatThinking({ budget: THINKING_BUDGET_DYNAMIC });
+    else updateChatThinking({ budget: clampThinkingBudget(THINKING_BUDGET_DEFAULT_FIXED, currentModel) });
+  };
+
+  // saved on blur / Enter; an empty or out-of-range budget is rejected
+  const handleBudgetCommit = (draft) => {
+    const next = String(draft).trim() === '' ? NaN : Number(draft);
+    if (!Number.isInteger(next) || next < min || next > max) {
+      Toast(`Thinking budget must be a whole number from ${min} to ${max} for this model.`, 4000);
+      return false;
+    }
+    updateChatThinking({ budget: next });
+  };
+
+  return (
+    <div className="thinking-settings">
+      <select
+        id="thinkingModeSelectApp"
+        className="form-input"
+        value={mode}
+        onChange={handleModeChange}
+        disabled={disabled}
+      >
+        <option value="off" disabled={!canDisable}>Off{canDisable ? '' : ' (not supported)'}</option>
+        <option value="dynamic">Dynamic (model decides)</option>
+        <option value="fixed">Fixed budget</option>
+      </select>
+      {mode === 'fixed' && (
+        <DraftInput
+          className="form-input"
+          type="number"
+          min={min}
+          max={max}
+          step={256}
+          value={budget}
+          onCommit={handleBudgetCommit}
+          disabled={disabled}
+          title={`Thinking tokens (${min}–${max})`}
+        />
+      )}
+      <label>
+        <input
+          type="checkbox"
+          checked={includeThoughts}
+          onChange={(e) => updateChatThinking({ includeThoughts: e.target.checked })}
+          disabled={disabled || mode === 'off'}
+        />
+        {' '}Show thought summaries
+      </label>
+      {mode === 'off' && !canDisable && (
+        <p className="form-hint">This model cannot turn thinking off; choose Dynamic or a fixed budget.</p>
+      )}
+    </div>
+  );
+}
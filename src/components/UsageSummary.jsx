@@ -0,0 +1,132 @@
+// src/components/UsageSummary.jsx
+import { useState, useMemo } from 'preact/hooks';
+import { useQuery } from '@tanstack/react-query';
+import { fetchUsageBetween, fetchMessageTree } from '../api/supabaseApi.js';
+import { useChat } from '../contexts/ChatContext.jsx';
+import { useSettings } from '../contexts/SettingsContext.jsx';
+import { summarizeUsage, formatUsd } from '../lib/usageCost.js';
+import Toast from './Toast.jsx';
+
+const fmt = (n) => n.toLocaleString();
+
+function monthRange(d = new Date()) {
+  const from = new Date(d.getFullYear(), d.getMonth(), 1);
+  const to   = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+  return { from: from.toISOString(), to: to.toISOString(), label: from.toLocaleString(undefined, { month: 'long', year: 'numeric' }) };
+}
+
+function UsageRow({ label, summary, isLoading }) {
+  if (isLoading) return <tr><th>{label}</th><td colSpan={6}>Loading…</td></tr>;
+  return (
+    <tr>
+      <th>{label}</th>
+      <td>{fmt(summary.turns)}</td>
+      <td>{fmt(summary.promptTokens)}</td>
+      <td>{fmt(summary.cachedTokens)}</td>
+      <td>{fmt(summary.candidateTokens)}</td>
+      <td>{fmt(summary.thinkingTokens)}</td>
+      <td title={summary.unpricedModels.length ? `No price for: ${summary.unpricedModels.join(', ')}` : undefined}>
+        {formatUsd(summary.cost)}{summary.unpricedModels.length ? '*' : ''}
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * UsageSummary – token usage + estimated cost for the current task and the
+ * current calendar month, plus the editable price table behind the estimate.
+ */
+export default function UsageSummary() {
+  const { currentChatId, currentChat } = useChat();
+  const { priceTable, priceOverrides, setPriceOverrides } = useSettings();
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const month = monthRange();
+  const { data: monthUsages = [], isLoading } = useQuery({
+    queryKey: ['usage', month.from],
+    queryFn : () => fetchUsageBetween(month.from, month.to),
+    staleTime: 1000 * 60,
+  });
+
+  // every answer of the task – other branches and deleted rows were paid for too
+  const { data: messageRows = [] } = useQuery({
+    queryKey: ['messages', currentChatId],
+    queryFn : () => fetchMessageTree(currentChatId),
+    enabled : !!currentChatId,
+    staleTime: 1000 * 60 * 5,
+  });
+  const chatSummary = useMemo(
+    () => summarizeUsage([
+      ...messageRows.filter(m => m.role === 'assistant').map(m => m.usage),
+      currentChat?.title_usage,
+    ], priceTable),
+    [messageRows, currentChat?.title_usage, priceTable]
+  );
+  const monthSummary = useMemo(
+    () => summarizeUsage(monthUsages, priceTable),
+    [monthUsages, priceTable]
+  );
+
+  const startEditing = () => {
+    setDraft(JSON.stringify(priceOverrides, null, 2));
+    setEditing(true);
+  };
+
+  const savePrices = () => {
+    try {
+      setPriceOverrides(JSON.parse(draft || '{}'));
+      setEditing(false);
+      Toast('Price table saved.', 2000);
+    } catch (err) {
+      Toast(`Price table not saved: ${err.message}`, 6000);
+    }
+  };
+
+  return (
+    <div className="usage-summary">
+      <h3>Usage</h3>
+      <table className="usage-table">
+        <thead>
+          <tr>
+            <th />
+            <th>Turns</th><th>Prompt</th><th>Cached</th><th>Output</th><th>Thinking</th><th>Est. cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {currentChatId && <UsageRow label="This task" summary={chatSummary} />}
+          <UsageRow label={month.label} summary={monthSummary} isLoading={isLoading} />
+        </tbody>
+      </table>
+      <p className="form-hint">
+        Estimates from the price table (USD per 1M tokens). * = some models have no price entry.
+      </p>
+      {editing ? (
+        <div className="form-group">
+          <textarea
+            className="form-textarea"
+            rows={8}
+            value={draft}
+            onInput={(e) => setDraft(e.target.value)}
+            placeholder={'{ "gemini-2.5-flash": { "input": 0.3, "output": 2.5, "cached": 0.075 } }'}
+          />
+          <button className="button" onClick={savePrices}>Save prices</button>
+          <button className="button" style={{ marginLeft: 'var(--space-sm)' }} onClick={() => setEditing(false)}>Cancel</button>
+        </div>
+      ) : (
+        <div className="form-group">
+          <button className="button" onClick={startEditing}>Edit price overrides</button>
+          {Object.keys(priceOverrides).length > 0 && (
+            <button
+              className="button"
+              style={{ marginLeft: 'var(--space-sm)' }}
+              onClick={() => { setPriceOverrides({}); Toast('Default prices restored.', 2000); }}
+            >
+              Reset to defaults
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
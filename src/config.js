@@ -8,10 +8,14 @@ export const STRIPE_PUBLISHABLE_KEY = import.meta.env.VITE_STRIPE_PUBLISHABLE_KE
 // REMOVED: STRIPE_PRICE_ID is no longer a single global config.
 
 // ‼️ TIME-OUTS (ms) ----------------------------------------------------------
-// Use env-var override in production → VITE_GEMINI_TIMEOUT_MS (ms)
-const DEFAULT_GEMINI_TIMEOUT = 400_000;               // 6 min 40 sec
-export const GEMINI_API_TIMEOUT_MS = Number(
-  import.meta?.env?.VITE_GEMINI_TIMEOUT_MS ?? DEFAULT_GEMINI_TIMEOUT
+// Every LLM bridge; a stream times out only after this long without a chunk.
+// Use env-var override in production → VITE_LLM_TIMEOUT_MS (ms); the older
+// VITE_GEMINI_TIMEOUT_MS is still read.
+const DEFAULT_LLM_TIMEOUT = 400_000;                  // 6 min 40 sec
+export const LLM_API_TIMEOUT_MS = Number(
+  import.meta?.env?.VITE_LLM_TIMEOUT_MS ??
+  import.meta?.env?.VITE_GEMINI_TIMEOUT_MS ??
+  DEFAULT_LLM_TIMEOUT
 );
 
 // Debounce delay for token-count worker (idle typing pause)
@@ -23,7 +27,97 @@ export const FILE_LIMIT                   = 3000;      // Hidden internal limit
 export const IMAGE_TOKEN_ESTIMATE         = 258;       // Estimated token count for a single image with Gemini
 export const MAX_CUMULATIVE_FILE_SIZE     = 20 * 1024 * 1024; // 20 MB cumulative file import size
 
-export const GEMINI_MODEL_NAME = 'gemini-2.5-pro-preview-06-05';
+export const GEMINI_MODEL_NAME = 'gemini-2.5-pro-preview-06-05';   // default for new tasks
+
+// Models offered in Settings. Any other id matching MODEL_ID_PATTERN can be
+// entered by hand, so new releases work without a code change.
+export const GEMINI_MODELS = [
+  { id: 'gemini-2.5-pro-preview-06-05',        label: 'Gemini 2.5 Pro (preview 06-05)' },
+  { id: 'gemini-2.5-pro',                      label: 'Gemini 2.5 Pro' },
+  { id: 'gemini-2.5-flash',                    label: 'Gemini 2.5 Flash' },
+  { id: 'gemini-2.5-flash-lite-preview-06-17', label: 'Gemini 2.5 Flash-Lite (preview)' },
+];
+export const MODEL_ID_PATTERN = /^[A-Za-z0-9][\w.:\/-]{1,127}$/;
+
+// LLM providers ------------------------------------------------------------
+// Non-Gemini model ids are stored as "<provider>:<model>", e.g.
+// "openai:gpt-4.1" or "local:llama3.1:8b". Bare ids are Gemini.
+export const LLM_PROVIDERS = {
+  gemini: { label: 'Google Gemini',               requiresKey: true,  defaultBaseUrl: null },
+  openai: { label: 'OpenAI-compatible',           requiresKey: true,  defaultBaseUrl: 'https://api.openai.com/v1' },
+  local : { label: 'Local (Ollama / llama.cpp)',  requiresKey: false, defaultBaseUrl: 'http://localhost:11434/v1' },
+};
+
+export const OPENAI_COMPAT_MODELS = [
+  { id: 'openai:gpt-4.1',      label: 'GPT-4.1' },
+  { id: 'openai:gpt-4.1-mini', label: 'GPT-4.1 mini' },
+  { id: 'openai:o3',           label: 'o3' },
+  { id: 'local:llama3.1',      label: 'Llama 3.1 (local)' },
+  { id: 'local:qwen2.5-coder', label: 'Qwen 2.5 Coder (local)' },
+];
+
+export const MODEL_OPTIONS = [...GEMINI_MODELS, ...OPENAI_COMPAT_MODELS];
+
+// Gemini thinking – stored per chat in chats.thinking_budget:
+// null/-1 = dynamic (model decides), 0 = off, N = fixed token budget.
+export const THINKING_BUDGET_DYNAMIC = -1;
+export const THINKING_BUDGET_MAX     = 24_576;
+export const THINKING_BUDGET_DEFAULT_FIXED = 8_192;  // pre-filled when switching to "fixed"
+
+// What each Gemini family accepts for a fixed budget, and whether thinking
+// can be turned off; the first entry whose pattern matches the model wins.
+export const THINKING_LIMITS = [
+  { pattern: /flash-lite/i, min: 512, max: 24_576, canDisable: true },
+  { pattern: /flash/i,      min: 1,   max: 24_576, canDisable: true },
+  { pattern: /pro/i,        min: 128, max: 32_768, canDisable: false },
+];
+export const THINKING_LIMITS_DEFAULT = { min: 1, max: THINKING_BUDGET_MAX, canDisable: true };
+
+// Staged files stay pinned to their task across sends. How they travel
+// with each turn: 'every' (full set), 'changed' (full set, but only when
+// something changed) or 'delta' (new files in full, changed ones as diffs,
+// unchanged ones as a path list).
+export const PINNED_CONTEXT_DEFAULT_POLICY = 'delta';
+
+// Automatic task titles – after the first answer a cheap model on the
+// same provider names the task, unless it was renamed meanwhile. Local
+// providers, and OpenAI-compatible ones pointed at another endpoint,
+// reuse the task's own model.
+export const DEFAULT_CHAT_TITLES = ['New Task', 'First Task'];
+export const AUTO_TITLE_MODELS = {
+  gemini: 'gemini-2.5-flash-lite-preview-06-17',
+  openai: 'openai:gpt-4.1-mini',
+};
+export const AUTO_TITLE_MAX_CHARS = 60;
+
+// COMMIT mode – the whole first line (`type(scope)!: subject`) counts.
+export const COMMIT_HEADER_MAX_CHARS = 72;
+
+// Explicit context caching (Gemini) – staged files + system prompt are
+// uploaded once per chat and referenced by name on later turns.
+export const CONTEXT_CACHE_TTL_SECONDS   = 3_600;   // 1 h, refreshed on use
+export const CONTEXT_CACHE_MIN_CHARS     = 16_000;  // ≈4k tokens – below this caching costs more than it saves
+export const CONTEXT_CACHE_REFRESH_AFTER = 0.5;     // refresh TTL once half of it has elapsed
+
+// Estimated cost – USD per 1M tokens. `cached` is the discounted rate for
+// cached prompt tokens; `longContext` applies when a prompt exceeds
+// `threshold`. Thinking tokens are billed at the output rate.
+// Users can override any entry in Settings (stored in localStorage).
+export const DEFAULT_MODEL_PRICES = {
+  'gemini-2.5-pro-preview-06-05': {
+    input: 1.25, output: 10, cached: 0.31,
+    longContext: { threshold: 200_000, input: 2.5, output: 15, cached: 0.625 },
+  },
+  'gemini-2.5-pro': {
+    input: 1.25, output: 10, cached: 0.31,
+    longContext: { threshold: 200_000, input: 2.5, output: 15, cached: 0.625 },
+  },
+  'gemini-2.5-flash':                    { input: 0.30, output: 2.50, cached: 0.075 },
+  'gemini-2.5-flash-lite-preview-06-17': { input: 0.10, output: 0.40, cached: 0.025 },
+  'openai:gpt-4.1':      { input: 2.00, output: 8.00, cached: 0.50 },
+  'openai:gpt-4.1-mini': { input: 0.40, output: 1.60, cached: 0.10 },
+  'openai:o3':           { input: 2.00, output: 8.00, cached: 0.50 },
+};
 
 // Token limits (original values)
 export const USER_FACING_TOKEN_LIMIT  = 350_000; // soft warning
@@ -35,4 +129,14 @@ export const LOCALSTORAGE_SETTINGS_KEY          = 'konzuko-display-settings';
 export const LOCALSTORAGE_MODE_KEY              = 'konzuko-mode';
 export const LOCALSTORAGE_LAST_CHAT_ID_KEY      = 'konzuko-lastChatId';
 export const LOCALSTORAGE_PANE_WIDTH_KEY        = 'konzuko-pane-width';
+export const LOCALSTORAGE_PRICE_TABLE_KEY       = 'konzuko-price-table';
 export const LOCALSTORAGE_SIDEBAR_COLLAPSED_KEY = 'konzuko-sidebar-collapsed';
+export const LOCALSTORAGE_PROVIDER_SETTINGS_KEY = 'konzuko-provider-settings';
+export const LOCALSTORAGE_LIVE_SYNC_KEY         = 'konzuko-live-sync';
+export const LOCALSTORAGE_IGNORE_PATTERNS_KEY   = 'konzuko-ignore-patterns';
+export const LOCALSTORAGE_TREE_SELECTION_KEY    = 'konzuko-tree-selection';
+export const LOCALSTORAGE_STRUCTURED_OUTPUT_KEY = 'konzuko-structured-output';
+
+/* custom ignore list a project starts with (.gitignore syntax); applied
+   before the project's own .gitignore files, so those can re-include */
+export const DEFAULT_IGNORE_PATTERNS = ['.git/', 'node_modules/', '.DS_Store'];
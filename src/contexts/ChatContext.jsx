@@ -1,6 +1,6 @@
 // file: src/contexts/ChatContext.jsx
 import { createContext, useContext } from 'preact/compat';
-import { useState, useMemo } from 'preact/hooks';
+import { useState, useMemo, useCallback } from 'preact/hooks';
 import { useChatSessionManager } from '../hooks/useChatSessionManager.js';
 import { useMessageManager } from '../hooks/useMessageManager.js';
 import { useSettings } from './SettingsContext.jsx';
@@ -12,14 +12,37 @@ ChatContext.displayName = 'ChatContext';
 // This makes ChatProvider the default export, allowing the named export `useChat` to coexist.
 export default function ChatProvider({ children }) {
   const [hasLastSendFailed, setHasLastSendFailed] = useState(false);
-  const { isApiKeyLoading } = useSettings();
+  const { apiKey, isApiKeyLoading, defaultModel, getProviderCredentials, displaySettings } = useSettings();
 
-  const sessionManager = useChatSessionManager();
-  const messageManager = useMessageManager(sessionManager.currentChatId, setHasLastSendFailed);
+  const sessionManager = useChatSessionManager(defaultModel, { geminiApiKey: apiKey });
+  const chatCredentials = getProviderCredentials(sessionManager.currentModel);
+  const messageManager = useMessageManager(
+    sessionManager.currentChatId,
+    setHasLastSendFailed,
+    {
+      model      : sessionManager.currentModel,
+      baseUrl    : chatCredentials.baseUrl,
+      requiresKey: chatCredentials.requiresKey,
+      thinking   : sessionManager.currentThinking,
+      autoTitle  : displaySettings.autoTitle,
+      activeLeafId: sessionManager.activeLeafId,
+      setActiveLeaf: sessionManager.setActiveLeaf,
+    }
+  );
+
+  /* search hit → open its task, then ChatArea scrolls to + flashes it */
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const { setCurrentChatId } = sessionManager;
+  const jumpToMessage = useCallback((chatId, messageId) => {
+    setCurrentChatId(chatId);
+    setJumpTarget({ chatId, messageId });
+  }, [setCurrentChatId]);
+  const clearJumpTarget = useCallback(() => setJumpTarget(null), []);
 
+  // a task whose row is still loading would be sent with the default model
   const isBusy = useMemo(() => 
-    sessionManager.isSessionBusy || messageManager.isLoadingOps || isApiKeyLoading,
-    [sessionManager.isSessionBusy, messageManager.isLoadingOps, isApiKeyLoading]
+    sessionManager.isSessionBusy || sessionManager.isChatLoading || messageManager.isLoadingOps || isApiKeyLoading,
+    [sessionManager.isSessionBusy, sessionManager.isChatLoading, messageManager.isLoadingOps, isApiKeyLoading]
   );
 
   const value = {
@@ -27,9 +50,14 @@ export default function ChatProvider({ children }) {
     ...sessionManager,
     // Message Management
     ...messageManager,
+    // Credentials for the current chat's provider
+    chatCredentials,
     // Local State
     hasLastSendFailed,
     setHasLastSendFailed,
+    jumpTarget,
+    jumpToMessage,
+    clearJumpTarget,
     // Combined Busy State
     isBusy,
   };
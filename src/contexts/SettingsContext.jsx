@@ -1,6 +1,6 @@
 // src/contexts/SettingsContext.jsx
 import { createContext, useContext } from 'preact/compat'
-import { useState, useEffect, useCallback } from 'preact/hooks'
+import { useState, useEffect, useCallback, useMemo } from 'preact/hooks'
 import { supabase } from '../lib/supabase.js'
 import Toast from '../components/Toast.jsx'
 
@@ -8,8 +8,14 @@ import {
   LOCALSTORAGE_PANE_WIDTH_KEY,
   LOCALSTORAGE_SETTINGS_KEY,
   LOCALSTORAGE_SIDEBAR_COLLAPSED_KEY,
+  LOCALSTORAGE_PROVIDER_SETTINGS_KEY,
+  LOCALSTORAGE_PRICE_TABLE_KEY,
+  DEFAULT_MODEL_PRICES,
   GEMINI_MODEL_NAME,
+  MODEL_ID_PATTERN,
+  LLM_PROVIDERS,
 } from '../config.js'
+import { parseModelId } from '../api/llmApi.js'
 
 /* ------------ helper: call Edge Function without the `apikey` header ---- */
 async function invokeManageApiKey(method = 'GET', body = null) {
@@ -52,10 +58,62 @@ const getInitialDisplaySettings = () => {
     const raw = localStorage.getItem(LOCALSTORAGE_SETTINGS_KEY)
     if (raw) {
       const parsed = JSON.parse(raw)
-      return { model: GEMINI_MODEL_NAME, showSettings: !!parsed.showSettings }
+      const model = MODEL_ID_PATTERN.test(parsed.model ?? '') ? parsed.model : GEMINI_MODEL_NAME
+      return {
+        model,
+        showSettings: !!parsed.showSettings,
+        contextCaching: parsed.contextCaching !== false,
+        autoTitle: parsed.autoTitle !== false,
+      }
     }
   } catch {}
-  return { model: GEMINI_MODEL_NAME, showSettings: false }
+  return { model: GEMINI_MODEL_NAME, showSettings: false, contextCaching: true, autoTitle: true }
+}
+
+/* price overrides: { [modelId]: { input, output, cached?, longContext? } } */
+const isPrice = (p) =>
+  p && typeof p === 'object' &&
+  Number.isFinite(p.input) && p.input >= 0 &&
+  Number.isFinite(p.output) && p.output >= 0 &&
+  (p.cached == null || (Number.isFinite(p.cached) && p.cached >= 0))
+
+export function validatePriceOverrides(obj) {
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    throw new Error('Price table must be an object keyed by model id')
+  }
+  for (const [model, price] of Object.entries(obj)) {
+    if (!MODEL_ID_PATTERN.test(model)) throw new Error(`Invalid model id "${model}"`)
+    if (!isPrice(price)) throw new Error(`"${model}" needs numeric input/output (and optional cached) prices`)
+    if (price.longContext && !(isPrice(price.longContext) && Number.isFinite(price.longContext.threshold))) {
+      throw new Error(`"${model}".longContext needs threshold, input and output`)
+    }
+  }
+  return obj
+}
+
+const getInitialPriceOverrides = () => {
+  try {
+    return validatePriceOverrides(
+      JSON.parse(localStorage.getItem(LOCALSTORAGE_PRICE_TABLE_KEY) || '{}')
+    )
+  } catch { return {} }
+}
+
+/* base URLs for OpenAI-compatible providers – not secret, so localStorage */
+const getInitialProviderBaseUrls = () => {
+  const defaults = Object.fromEntries(
+    Object.entries(LLM_PROVIDERS)
+      .filter(([, p]) => p.defaultBaseUrl)
+      .map(([id, p]) => [id, p.defaultBaseUrl])
+  )
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LOCALSTORAGE_PROVIDER_SETTINGS_KEY) || '{}')
+    const stored = Object.fromEntries(
+      Object.entries(parsed.baseUrls || {})
+        .filter(([id, url]) => id in defaults && /^https?:\/\//.test(url))
+    )
+    return { ...defaults, ...stored }
+  } catch { return defaults }
 }
 
 const getInitialCollapsed = () => {
@@ -74,12 +132,46 @@ export const SettingsProvider = ({ children }) => {
   const [apiKey, setApiKey]           = useState('')
   const [isApiKeyLoading, setIsApiKeyLoading] = useState(true)
 
+  /* ----- other providers: keys (edge fn) + base URLs (localStorage) ---- */
+  const [providerKeys, setProviderKeys]         = useState({})
+  const [providerBaseUrls, setProviderBaseUrls] = useState(getInitialProviderBaseUrls)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        LOCALSTORAGE_PROVIDER_SETTINGS_KEY,
+        JSON.stringify({ baseUrls: providerBaseUrls })
+      )
+    } catch {}
+  }, [providerBaseUrls])
+
+  /* ----- cost estimates: built-in prices + user overrides -------------- */
+  const [priceOverrides, setPriceOverridesState] = useState(getInitialPriceOverrides)
+  const priceTable = useMemo(
+    () => ({ ...DEFAULT_MODEL_PRICES, ...priceOverrides }),
+    [priceOverrides]
+  )
+
+  /* throws on invalid input so the editor can show the message */
+  const setPriceOverrides = useCallback((next) => {
+    const valid = validatePriceOverrides(next)
+    setPriceOverridesState(valid)
+    try {
+      localStorage.setItem(LOCALSTORAGE_PRICE_TABLE_KEY, JSON.stringify(valid))
+    } catch {}
+  }, [])
+
   /* ----- localStorage persistence for small prefs ---------------------- */
   useEffect(() => {
     try {
       localStorage.setItem(
         LOCALSTORAGE_SETTINGS_KEY,
-        JSON.stringify({ showSettings: displaySettings.showSettings })
+        JSON.stringify({
+          showSettings: displaySettings.showSettings,
+          model: displaySettings.model,
+          contextCaching: displaySettings.contextCaching,
+          autoTitle: displaySettings.autoTitle,
+        })
       )
     } catch {}
   }, [displaySettings])
@@ -98,8 +190,10 @@ export const SettingsProvider = ({ children }) => {
     (async () => {
       setIsApiKeyLoading(true)
       try {
-        const { apiKey: stored = '' } = await invokeManageApiKey('GET')
+        const { apiKey: stored = '', keys = {} } = await invokeManageApiKey('GET')
         setApiKey(stored)
+        const { gemini: _gemini, ...others } = keys
+        setProviderKeys(others)
       } catch (err) {
         console.error('Fetch API-key failed:', err)
         Toast(`Error fetching API key: ${err.message}`, 5000)
@@ -126,6 +220,56 @@ export const SettingsProvider = ({ children }) => {
     [apiKey]
   )
 
+  const handleProviderKeyChangeAndSave = useCallback(
+    async (provider, newKey) => {
+      const prev = providerKeys[provider] ?? ''
+      setProviderKeys((k) => ({ ...k, [provider]: newKey }))
+      try {
+        await invokeManageApiKey('POST', { provider, apiKey: newKey.trim() })
+        Toast(`${LLM_PROVIDERS[provider]?.label ?? provider} key saved!`, 3000)
+      } catch (err) {
+        console.error('Save provider key failed:', err)
+        setProviderKeys((k) => ({ ...k, [provider]: prev }))
+        Toast(`Error saving API key: ${err.message}`, 5000)
+      }
+    },
+    [providerKeys]
+  )
+
+  /* false when rejected, so the caller can restore its input */
+  const setProviderBaseUrl = useCallback((provider, url) => {
+    const trimmed = (url ?? '').trim()
+    if (!/^https?:\/\/\S+$/.test(trimmed)) {
+      Toast('Base URL must start with http:// or https://', 4000)
+      return false
+    }
+    setProviderBaseUrls((u) => ({ ...u, [provider]: trimmed }))
+    return true
+  }, [])
+
+  /* resolves what a request for `model` needs: key, endpoint, readiness */
+  const getProviderCredentials = useCallback(
+    (model) => {
+      const { provider } = parseModelId(model)
+      const key = provider === 'gemini' ? apiKey : (providerKeys[provider] ?? '')
+      const requiresKey = LLM_PROVIDERS[provider]?.requiresKey ?? true
+      return {
+        provider,
+        apiKey : key,
+        baseUrl: providerBaseUrls[provider] ?? null,
+        requiresKey,
+        ready  : !requiresKey || String(key).trim() !== '',
+      }
+    },
+    [apiKey, providerKeys, providerBaseUrls]
+  )
+
+  /* ----- default model for new tasks ----------------------------------- */
+  const setDefaultModel = useCallback((model) => {
+    if (!MODEL_ID_PATTERN.test(model ?? '')) return
+    setDisplaySettings((s) => ({ ...s, model }))
+  }, [])
+
   /* ----- toggle collapse helper ---------------------------------------- */
   const handleToggleCollapse = useCallback(
     () => setCollapsed((c) => !c),
@@ -145,7 +289,18 @@ export const SettingsProvider = ({ children }) => {
     isApiKeyLoading,
     handleApiKeyChangeAndSave,
 
-    model: GEMINI_MODEL_NAME,
+    providerKeys,
+    providerBaseUrls,
+    handleProviderKeyChangeAndSave,
+    setProviderBaseUrl,
+    getProviderCredentials,
+
+    defaultModel: displaySettings.model,
+    setDefaultModel,
+
+    priceTable,
+    priceOverrides,
+    setPriceOverrides,
   }
 
   return (
@@ -0,0 +1,11 @@
+// file: src/contexts/StagedFilesContext.jsx
+import { createContext, useContext } from 'preact/compat';
+
+/* The files currently staged in CodebaseImporter (impState.files), for
+   components deep in the message list that diff answers against them. */
+const StagedFilesContext = createContext([]);
+StagedFilesContext.displayName = 'StagedFilesContext';
+
+export const StagedFilesProvider = StagedFilesContext.Provider;
+
+export const useStagedFiles = () => useContext(StagedFilesContext);
@@ -0,0 +1,33 @@
+// src/hooks/useApplyFiles.js
+import { useState, useCallback } from 'preact/hooks';
+import { prepareFileWrites } from '../lib/projectWrites.js';
+import Toast from '../components/Toast.jsx';
+
+/**
+ * useApplyFiles()
+ *   const { session, open, close, isPreparing } = useApplyFiles()
+ *
+ * `open(targets)` must be called from a click handler – it may prompt for
+ * write permission or a folder. While `session` is set, render
+ * <ApplyFilesPanel session={session} onClose={close} />.
+ */
+export default function useApplyFiles() {
+  const [session, setSession] = useState(null);
+  const [isPreparing, setIsPreparing] = useState(false);
+
+  const open = useCallback(async (targets) => {
+    if (!targets?.length) return;
+    setIsPreparing(true);
+    try {
+      setSession(await prepareFileWrites(targets));
+    } catch (err) {
+      if (err?.name !== 'AbortError') Toast(`Cannot apply: ${err.message}`, 5000);
+    } finally {
+      setIsPreparing(false);
+    }
+  }, []);
+
+  const close = useCallback(() => setSession(null), []);
+
+  return { session, open, close, isPreparing };
+}
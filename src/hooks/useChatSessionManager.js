@@ -1,16 +1,35 @@
 // file: src/hooks/useChatSessionManager.js
-import { useState, useCallback, useEffect } from 'preact/hooks';
-import { useQueryClient, useMutation } from '@tanstack/react-query';
+import { useState, useCallback, useEffect, useRef } from 'preact/hooks';
+import { useQueryClient, useMutation, useQuery } from '@tanstack/react-query';
 import {
+  fetchChat,
   createChat as apiCreateChat,
   updateChatTitle as apiUpdateChatTitle,
+  updateChatModel as apiUpdateChatModel,
+  updateChatThinking as apiUpdateChatThinking,
+  updateChatActiveLeaf as apiUpdateChatActiveLeaf,
+  updateChatLastCommit as apiUpdateChatLastCommit,
   deleteChat as apiDeleteChat,
   undoDeleteChat,
 } from '../api/supabaseApi.js';
-import { GEMINI_MODEL_NAME, LOCALSTORAGE_LAST_CHAT_ID_KEY } from '../config.js';
+import {
+  GEMINI_MODEL_NAME,
+  MODEL_ID_PATTERN,
+  THINKING_BUDGET_DYNAMIC,
+  LOCALSTORAGE_LAST_CHAT_ID_KEY,
+} from '../config.js';
+import { importChatTranscript } from '../lib/chatImport.js';
+import { clampThinkingBudget } from '../lib/thinkingBudget.js';
+import { parseModelId } from '../api/llmApi.js';
+import { dropContextFiles, restoreContextFiles } from '../api/contextCache.js';
+import {
+  getPinnedContext,
+  clearPinnedContext,
+  restorePinnedContext,
+} from '../lib/pinnedContextStore.js';
 import Toast from '../components/Toast.jsx';
 
-export function useChatSessionManager() {
+export function useChatSessionManager(defaultModel = GEMINI_MODEL_NAME, { geminiApiKey = '' } = {}) {
   const queryClient = useQueryClient();
 
   const [currentChatId, setCurrentChatId] = useState(() => {
@@ -36,6 +55,27 @@ export function useChatSessionManager() {
 
   const invalidateChats = () => queryClient.invalidateQueries({ queryKey: ['chats'] });
 
+  /* ───────── Current chat row (model lives in `code_type`) ─────────
+     Until it has loaded, currentModel is only the default, so callers
+     hold sends while isChatLoading. */
+  const { data: currentChat = null, isLoading: isChatLoading } = useQuery({
+    queryKey: ['chat', currentChatId],
+    queryFn : () => fetchChat(currentChatId),
+    enabled : !!currentChatId,
+    staleTime: 1000 * 60 * 30,
+  });
+
+  const currentModel = MODEL_ID_PATTERN.test(currentChat?.code_type ?? '')
+    ? currentChat.code_type
+    : defaultModel;
+
+  const currentThinking = {
+    budget: Number.isInteger(currentChat?.thinking_budget)
+      ? currentChat.thinking_budget
+      : THINKING_BUDGET_DYNAMIC,
+    includeThoughts: !!currentChat?.include_thoughts,
+  };
+
   const createChatMutation = useMutation({
     mutationFn: (newChatData) => apiCreateChat(newChatData),
     onSuccess: (newlyCreatedChat) => {
@@ -48,8 +88,38 @@ export function useChatSessionManager() {
     onError: (error) => Toast('Failed to create task: ' + error.message, 5000),
   });
 
+  /* `parsed` comes from parseChatImport(); the file is read and validated
+     by the caller so format errors surface before anything is written */
+  const importChatMutation = useMutation({
+    mutationFn: (parsed) => importChatTranscript(parsed, { model: defaultModel }),
+    onSuccess: ({ chat, imageFailures }) => {
+      invalidateChats();
+      setCurrentChatId(chat.id);
+      Toast(
+        imageFailures
+          ? `Task imported, but ${imageFailures} image(s) could not be copied.`
+          : 'Task imported!',
+        imageFailures ? 6000 : 2000
+      );
+    },
+    onError: (error) => Toast('Failed to import task: ' + error.message, 6000),
+  });
+
+  /* A deleted task's local data goes at once (its Gemini cache too); the
+     local copies are kept here until the undo toast is gone. */
+  const deletedLocalRef = useRef(new Map());
+
   const undoDeleteChatMutation = useMutation({
-    mutationFn: (chatId) => undoDeleteChat(chatId),
+    mutationFn: async (chatId) => {
+      const row = await undoDeleteChat(chatId);
+      const local = deletedLocalRef.current.get(chatId);
+      deletedLocalRef.current.delete(chatId);
+      if (local) {
+        await restoreContextFiles(chatId, local.contextFiles);
+        await restorePinnedContext(chatId, local.pinned);
+      }
+      return row;
+    },
     onSuccess: () => {
       invalidateChats();
       Toast('Task restored.', 2000);
@@ -58,12 +128,20 @@ export function useChatSessionManager() {
   });
 
   const deleteChatMutation = useMutation({
-    mutationFn: (chatId) => apiDeleteChat(chatId),
+    mutationFn: async (chatId) => {
+      const result = await apiDeleteChat(chatId);
+      const contextFiles = await dropContextFiles({ apiKey: geminiApiKey, chatId }).catch(() => null);
+      const pinned = await getPinnedContext(chatId);
+      await clearPinnedContext(chatId);
+      deletedLocalRef.current.set(chatId, { contextFiles, pinned });
+      return result;
+    },
     onSuccess: (data, chatId) => {
       if (currentChatId === chatId) {
         setCurrentChatId(null);
       }
       Toast('Task deleted.', 15000, () => undoDeleteChatMutation.mutate(chatId));
+      setTimeout(() => deletedLocalRef.current.delete(chatId), 15000);
     },
     // FIX: Removed the onSettled logic that created a new chat.
     // This responsibility is now solely handled by ChatList.jsx to prevent race conditions.
@@ -77,14 +155,85 @@ export function useChatSessionManager() {
 
   const updateChatTitleMutation = useMutation({
     mutationFn: ({ id, title }) => apiUpdateChatTitle(id, title),
-    onSuccess: invalidateChats,
+    // the row too, so automatic titling sees the rename
+    onSuccess: (row) => {
+      queryClient.setQueryData(['chat', row.id], row);
+      invalidateChats();
+    },
     onError: (err) => Toast('Failed to update title: ' + err.message, 5000),
   });
 
+  const updateChatModelMutation = useMutation({
+    mutationFn: ({ id, model, thinkingBudget }) => apiUpdateChatModel(id, model, thinkingBudget),
+    onSuccess: (row) => {
+      queryClient.setQueryData(['chat', row.id], row);
+      invalidateChats();
+    },
+    onError: (err) => Toast('Failed to update model: ' + err.message, 5000),
+  });
+
+  const updateChatThinkingMutation = useMutation({
+    mutationFn: ({ id, thinking }) => apiUpdateChatThinking(id, thinking),
+    onSuccess: (row) => queryClient.setQueryData(['chat', row.id], row),
+    onError: (err) => Toast('Failed to update thinking settings: ' + err.message, 5000),
+  });
+
+  const updateChatLastCommitMutation = useMutation({
+    mutationFn: ({ id, messageId }) => apiUpdateChatLastCommit(id, messageId),
+    onSuccess: (row) => queryClient.setQueryData(['chat', row.id], row),
+    onError: (err) => Toast('Failed to record the commit: ' + err.message, 5000),
+  });
+
+  /* Branch selection is written through to the cached row first so the
+     path switches instantly; the DB write just remembers it. */
+  const setActiveLeaf = useCallback((chatId, leafId) => {
+    if (!chatId) return;
+    queryClient.setQueryData(['chat', chatId], (row) =>
+      row ? { ...row, active_leaf_id: leafId ?? null } : row
+    );
+    apiUpdateChatActiveLeaf(chatId, leafId ?? null).catch((err) =>
+      console.warn('Failed to remember selected branch:', err)
+    );
+  }, [queryClient]);
+
   const handleCreateChat = useCallback((data = {}) => {
     if (createChatMutation.isPending) return;
-    createChatMutation.mutate({ title: data.title || 'New Task', model: data.model || GEMINI_MODEL_NAME });
-  }, [createChatMutation]);
+    createChatMutation.mutate({ title: data.title || 'New Task', model: data.model || defaultModel });
+  }, [createChatMutation, defaultModel]);
+
+  /* a fixed budget or "off" the new model doesn't accept is clamped with it */
+  const handleUpdateChatModel = useCallback((model) => {
+    if (!currentChatId || !MODEL_ID_PATTERN.test(model ?? '')) return;
+    const budget = parseModelId(model).provider === 'gemini'
+      ? clampThinkingBudget(currentThinking.budget, model)
+      : currentThinking.budget;
+    updateChatModelMutation.mutate({
+      id: currentChatId,
+      model,
+      thinkingBudget: budget === currentThinking.budget ? undefined : budget,
+    });
+  }, [currentChatId, currentThinking.budget, updateChatModelMutation]);
+
+  /* patch = { budget?, includeThoughts? }; budget is clamped to what the model accepts */
+  const handleUpdateChatThinking = useCallback((patch) => {
+    if (!currentChatId) return;
+    const next = { ...currentThinking, ...patch };
+    const budget = Math.round(Number(next.budget));
+    if (!Number.isFinite(budget)) return;
+    updateChatThinkingMutation.mutate({
+      id: currentChatId,
+      thinking: {
+        thinkingBudget : clampThinkingBudget(budget, currentModel),
+        includeThoughts: !!next.includeThoughts,
+      },
+    });
+  }, [currentChatId, currentModel, currentThinking.budget, currentThinking.includeThoughts, updateChatThinkingMutation]);
+
+  /* the COMMIT answer just committed with – later COMMIT requests start after it */
+  const handleMarkCommitted = useCallback((messageId) => {
+    if (!currentChatId) return;
+    updateChatLastCommitMutation.mutate({ id: currentChatId, messageId: messageId ?? null });
+  }, [currentChatId, updateChatLastCommitMutation]);
 
   const handleDeleteChat = useCallback((chatId) => {
     if (deleteChatMutation.isPending || undoDeleteChatMutation.isPending) return;
@@ -94,17 +243,32 @@ export function useChatSessionManager() {
   }, [deleteChatMutation, undoDeleteChatMutation]);
 
   const isSessionBusy = createChatMutation.isPending ||
+                        importChatMutation.isPending ||
                         deleteChatMutation.isPending ||
                         undoDeleteChatMutation.isPending ||
-                        updateChatTitleMutation.isPending;
+                        updateChatTitleMutation.isPending ||
+                        updateChatModelMutation.isPending ||
+                        updateChatThinkingMutation.isPending;
 
   return {
     currentChatId,
     setCurrentChatId,
     createChat: handleCreateChat,
+    importChat: importChatMutation.mutate,
     deleteChat: handleDeleteChat,
     updateChatTitle: updateChatTitleMutation.mutateAsync,
+    currentChat,
+    currentModel,
+    updateChatModel: handleUpdateChatModel,
+    currentThinking,
+    updateChatThinking: handleUpdateChatThinking,
+    activeLeafId: currentChat?.active_leaf_id ?? null,
+    setActiveLeaf,
+    lastCommitMessageId: currentChat?.last_commit_message_id ?? null,
+    markCommitted: handleMarkCommitted,
     isSessionBusy,
+    isChatLoading,
     isCreatingChat: createChatMutation.isPending,
+    isImportingChat: importChatMutation.isPending,
   };
 }
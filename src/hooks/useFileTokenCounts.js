@@ -0,0 +1,96 @@
+// src/hooks/useFileTokenCounts.js
+import { useEffect, useMemo, useState } from 'preact/hooks';
+import { checksum32 } from '../lib/checksum.js';
+import { countTokensBatch, estimateTokens } from '../lib/tokenWorkerClient.js';
+import { parseModelId } from '../api/llmApi.js';
+import { TOKEN_COUNT_DEBOUNCE_MS } from '../config.js';
+
+const BATCH_SIZE = 25;
+
+/* `${model}:${checksum}` → tokens; survives unstaging, so re-adding a
+   file (or a live re-read that didn't change it) costs nothing */
+const tokenCache = new Map();
+const checksums = new WeakMap(); // staged file object → checksum
+
+function cacheKey(model, file) {
+  let ck = checksums.get(file);
+  if (ck == null) {
+    ck = `${file.text.length}:${checksum32(file.text)}`;
+    checksums.set(file, ck);
+  }
+  return `${model}:${ck}`;
+}
+
+/**
+ * Token count of every staged file, batched through the token worker.
+ * Gemini models without a key, and failed batches, fall back to the
+ * local estimate (not cached, so they are counted properly later).
+ * @returns {{ counts: Map<string, number>, total: number, isCounting: boolean }}
+ *          counts keyed by staged file id
+ */
+export default function useFileTokenCounts(files, model, apiKey) {
+  const [version, setVersion] = useState(0);
+  const [estimates, setEstimates] = useState(() => new Map());
+  const [isCounting, setIsCounting] = useState(false);
+
+  const canCount = !!model && (!!apiKey || parseModelId(model).provider !== 'gemini');
+
+  useEffect(() => {
+    if (!model || files.length === 0) return undefined;
+    let cancelled = false;
+
+    const timer = setTimeout(async () => {
+      const missing = new Map(); // key → text, deduped by content
+      for (const f of files) {
+        const key = cacheKey(model, f);
+        if (!tokenCache.has(key)) missing.set(key, f.text);
+      }
+      if (missing.size === 0) return;
+
+      if (!canCount) {
+        const est = new Map();
+        for (const [key, text] of missing) est.set(key, estimateTokens([{ type: 'text', value: text }]));
+        setEstimates(est);
+        return;
+      }
+
+      setIsCounting(true);
+      const entries = [...missing];
+      const failed = new Map();
+      for (let i = 0; i < entries.length && !cancelled; i += BATCH_SIZE) {
+        const batch = entries.slice(i, i + BATCH_SIZE);
+        try {
+          const totals = await countTokensBatch(model, batch.map(([, text]) => text));
+          batch.forEach(([key], j) => tokenCache.set(key, totals[j]));
+        } catch (err) {
+          console.warn('[useFileTokenCounts] batch failed, estimating:', err.message);
+          batch.forEach(([key, text]) => failed.set(key, estimateTokens([{ type: 'text', value: text }])));
+        }
+        if (!cancelled) setVersion(v => v + 1);
+      }
+      if (!cancelled) {
+        setEstimates(failed);
+        setIsCounting(false);
+      }
+    }, TOKEN_COUNT_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setIsCounting(false);
+    };
+  }, [files, model, canCount]);
+
+  return useMemo(() => {
+    const counts = new Map();
+    let total = 0;
+    for (const f of files) {
+      const key = cacheKey(model, f);
+      const n = tokenCache.get(key) ?? estimates.get(key);
+      if (n == null) continue;
+      counts.set(f.id, n);
+      total += n;
+    }
+    return { counts, total, isCounting };
+  }, [files, model, estimates, isCounting, version]);
+}
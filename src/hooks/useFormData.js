@@ -9,7 +9,12 @@ export const INITIAL_FORM_DATA = {
   developReturnFormat_autoIncludeDefault: true,
   developWarnings: '',
   fixCode: '',
-  fixErrors: ''
+  fixErrors: '',
+  commitConventional: true,
+  commitType: '',       // '' = the model picks
+  commitScope: '',
+  commitBreaking: false,
+  templateValues: {}, // custom mode inputs: { [templateId]: { [fieldKey]: value } }
 };
 
 function isObject(item) {
@@ -1,67 +1,357 @@
 // file: src/hooks/useMessageManager.js
-import { useState, useCallback, useRef } from 'preact/hooks';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'preact/hooks';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
-  fetchMessages,
+  fetchMessageTree,
   createMessage,
   updateMessage,
   deleteMessage,
   undoDeleteMessage,
-  archiveMessagesAfter,
-  performUndoFork, // Import the undo fork API
+  updateChatTitleIfDefault,
+  updateChatTitleUsage,
+  fetchChat,
+  createAudit,
 } from '../api/supabaseApi.js';
-import { callApiForText } from '../api/geminiApi.js';
+import { callLlmForText } from '../api/llmApi.js';
+import {
+  resolveContextFiles,
+  forgetContextCache,
+  withInlineFiles,
+} from '../api/contextCache.js';
+import { ApiError } from '../api/llmCommon.js';
+import {
+  buildMessageTree,
+  resolveLeaf,
+  pathTo,
+  siblingsOf,
+  newestLeafUnder,
+  childrenOf,
+} from '../lib/messageTree.js';
+import {
+  TITLE_SYSTEM_PROMPT,
+  isDefaultChatTitle,
+  titleModelFor,
+  buildTitleMessages,
+  cleanTitle,
+} from '../lib/chatTitle.js';
+import { parseStructuredReply, schemaKind } from '../lib/structuredOutput.js';
+import { normalizeAudit } from '../lib/auditFindings.js';
+import { loadSystemPrompt } from './useSystemPrompt.js';
 import Toast from '../components/Toast.jsx';
 
-export function useMessageManager(currentChatId, setHasLastSendFailed) {
+export function useMessageManager(
+  currentChatId,
+  setHasLastSendFailed,
+  {
+    model, baseUrl, requiresKey = true, thinking, autoTitle = true,
+    activeLeafId = null, setActiveLeaf = () => {},
+  } = {}
+) {
   const queryClient = useQueryClient();
   const [editingId, setEditingId] = useState(null);
   const [editText, setEditText] = useState('');
-  const forkUndoDataRef = useRef(null); // Ref to hold data for the undo action
 
-  /* ───────── Fetch messages ───────── */
-  const { data: messages = [], isLoading: isLoadingMessages } = useQuery({
+  /* ───────── Live streaming text ─────────
+     Chunks can arrive faster than we can re-render markdown, so the latest
+     text is parked in a ref and flushed at most once per animation frame.
+     Thought summaries (Gemini) stream alongside, never into, the answer.
+     Chunks carry the chat that started the stream and are dropped once
+     another chat is shown. */
+  const [streamingText, setStreamingText] = useState(null);
+  const [streamingThoughts, setStreamingThoughts] = useState(null);
+  const streamBufferRef = useRef(null);
+  const streamRafRef = useRef(0);
+  const shownChatIdRef = useRef(currentChatId);
+  shownChatIdRef.current = currentChatId;
+
+  const handleStreamChunk = useCallback((chatId, textSoFar, thoughtsSoFar = '') => {
+    if (chatId !== shownChatIdRef.current) return;
+    streamBufferRef.current = { text: textSoFar, thoughts: thoughtsSoFar };
+    if (streamRafRef.current) return;
+    streamRafRef.current = requestAnimationFrame(() => {
+      streamRafRef.current = 0;
+      setStreamingText(streamBufferRef.current.text);
+      setStreamingThoughts(streamBufferRef.current.thoughts || null);
+    });
+  }, []);
+
+  const clearStreamingText = useCallback(() => {
+    cancelAnimationFrame(streamRafRef.current);
+    streamRafRef.current = 0;
+    streamBufferRef.current = null;
+    setStreamingText(null);
+    setStreamingThoughts(null);
+  }, []);
+
+  useEffect(() => () => cancelAnimationFrame(streamRafRef.current), []);
+
+  /* ───────── In-flight generation (cancel + rollback) ─────────
+     Each send/fork/resend registers its AbortController here, plus a
+     `rollback` that puts the chat back the way it was if the user cancels.
+     A rollback may resolve to an undo callback for the toast. */
+  const inFlightRef = useRef(null);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  const beginGeneration = () => {
+    inFlightRef.current = { controller: new AbortController(), rollback: null };
+    return inFlightRef.current;
+  };
+
+  const endGeneration = () => {
+    inFlightRef.current = null;
+    setIsCancelling(false);
+  };
+
+  const cancelGeneration = useCallback(() => {
+    const run = inFlightRef.current;
+    if (!run || run.controller.signal.aborted) return;
+    setIsCancelling(true);
+    run.controller.abort(new ApiError('CANCELLED', 'Generation cancelled'));
+  }, []);
+
+  // drop a half-rendered answer if the user switches task mid-stream
+  useEffect(() => { clearStreamingText(); }, [currentChatId, clearStreamingText]);
+
+  /* ───────── Fetch messages ─────────
+     The query holds the whole branch tree; `messages` is only the path to
+     the selected leaf, which is also exactly what the API is sent. */
+  const { data: messageRows = [], isLoading: isLoadingMessages } = useQuery({
     queryKey: ['messages', currentChatId],
-    queryFn : () => fetchMessages(currentChatId),
+    queryFn : () => fetchMessageTree(currentChatId),
     enabled : !!currentChatId,
     staleTime: 1000 * 60 * 5,
   });
 
+  const tree = useMemo(() => buildMessageTree(messageRows), [messageRows]);
+  const messages = useMemo(
+    () => pathTo(tree, resolveLeaf(tree, activeLeafId)),
+    [tree, activeLeafId]
+  );
+  // mutations read the path at call time, not from a stale render
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+
   const invalidateMessages = () =>
     queryClient.invalidateQueries({ queryKey: ['messages', currentChatId] });
 
+  /* new rows join the cached tree at once, so selecting them as the leaf
+     doesn't flash the previous branch while the refetch is in flight */
+  const addRowToCache = (row) =>
+    queryClient.setQueryData(['messages', row.chat_id], (rows = []) => [...rows, row]);
+
+  /* ───────── Branches ───────── */
+  const branchesOf = useCallback((messageId) => siblingsOf(tree, messageId), [tree]);
+
+  /** Shows the newest continuation below `messageId`; false if unknown. */
+  const selectBranch = useCallback((messageId) => {
+    const leaf = newestLeafUnder(tree, messageId);
+    if (leaf == null) return false;
+    setActiveLeaf(currentChatId, leaf);
+    return true;
+  }, [tree, currentChatId, setActiveLeaf]);
+
+  /* Streams the assistant answer into `streamingText`; the row is only
+     written once the model has finished. */
+  const isCancellation = (err) => err?.code === 'CANCELLED';
+
+  const handleCancelled = async (message) => {
+    let undo;
+    try {
+      undo = await inFlightRef.current?.rollback?.();
+    } catch (err) {
+      console.error('Rollback after cancel failed:', err);
+      Toast(`Cancelled, but the chat could not be restored: ${err.message}`, 8000);
+    }
+    Toast(message, undo ? 15000 : 3000, undo);
+    setHasLastSendFailed?.(false);
+    return invalidateMessages();
+  };
+
+  /* Names a task after its first answer with a cheap model. Best effort:
+     runs after the reply is stored and never fails the send; a failure is
+     only reported. The call's usage is stored on the chat row. */
+  const nameTask = async ({ apiKey, chatId, userContent, answer }) => {
+    if (!isDefaultChatTitle(queryClient.getQueryData(['chat', chatId])?.title)) return;
+    const titleModel = titleModelFor(model, baseUrl);
+    try {
+      // the server's title – a rename elsewhere (another tab) skips the paid call
+      if (!isDefaultChatTitle((await fetchChat(chatId))?.title)) return;
+      const { content, usage } = await callLlmForText({
+        apiKey,
+        model       : titleModel,
+        baseUrl,
+        thinking    : { budget: 0 },
+        systemPrompt: TITLE_SYSTEM_PROMPT,
+        messages    : buildTitleMessages(userContent, answer),
+      });
+      if (usage) {
+        const row = await updateChatTitleUsage(chatId, {
+          ...usage, model: titleModel, kind: 'title', at: new Date().toISOString(),
+        });
+        queryClient.setQueryData(['chat', chatId], row);
+        queryClient.invalidateQueries({ queryKey: ['usage'] });
+      }
+      const title = cleanTitle(content);
+      if (!title) return;
+      const row = await updateChatTitleIfDefault(chatId, title);
+      if (!row) return; // renamed meanwhile
+      queryClient.setQueryData(['chat', chatId], row);
+      queryClient.invalidateQueries({ queryKey: ['chats'] });
+    } catch (err) {
+      console.warn('[autoTitle] could not name task:', err);
+      Toast(`Could not name the task automatically: ${err?.message ?? err}`, 5000);
+    }
+  };
+
+  /* `contextFiles` – a freshly staged files section that should travel via
+     the chat's context cache instead of the user message. Without it the
+     chat's previous snapshot (if any) is reused, unless `filesInline` says
+     the user message carries the staged files itself.
+     `responseSchema` – request JSON output; the schema is stored with the
+     answer so it renders as data. A valid answer to an 'audit' schema is
+     also recorded as the chat's next CODE CHECK audit. */
+  const generateAssistantReply = async ({
+    apiKey, messagesForApi, signal, contextFiles, filesInline = false, responseSchema,
+  }) => {
+    const chatId = currentChatId;
+    const systemPrompt = await loadSystemPrompt(queryClient, chatId);
+    if (signal?.aborted) throw signal.reason;
+    const ctx = filesInline ? {} : await resolveContextFiles({
+      apiKey,
+      model,
+      chatId   : currentChatId,
+      filesText: contextFiles?.text,
+      fileCount: contextFiles?.fileCount,
+      systemPrompt: systemPrompt.content,
+      path     : messagesForApi,
+      signal,
+    });
+
+    const call = (extra) => callLlmForText({
+      apiKey,
+      model,
+      baseUrl,
+      thinking,
+      systemPrompt: systemPrompt.content,
+      responseSchema,
+      onChunk : (text, thoughts) => handleStreamChunk(chatId, text, thoughts),
+      signal,
+      ...extra,
+    });
+
+    let reply;
+    try {
+      reply = await call(ctx.cachedContent
+        ? { messages: messagesForApi, cachedContent: ctx.cachedContent }
+        : { messages: withInlineFiles(messagesForApi, ctx.inlineText) });
+    } catch (err) {
+      // cache deleted or expired server-side before its recorded TTL
+      const cacheGone = ctx.cachedContent && [403, 404].includes(err?.code);
+      if (!cacheGone) throw err;
+      await forgetContextCache(currentChatId);
+      reply = await call({ messages: withInlineFiles(messagesForApi, ctx.inlineText) });
+    }
+    const { content: assistantContent, thoughts, usage } = reply;
+
+    const row = await createMessage({
+      chat_id  : chatId,
+      role     : 'assistant',
+      content  : [{ type: 'text', text: assistantContent }],
+      parent_id: messagesForApi[messagesForApi.length - 1]?.id ?? null,
+      thoughts,
+      usage    : usage && { ...usage, model },
+      system_prompt_id: systemPrompt.id,
+      response_schema : responseSchema,
+    });
+    addRowToCache(row);
+    setActiveLeaf(chatId, row.id);
+    queryClient.invalidateQueries({ queryKey: ['usage'] });
+
+    if (responseSchema) {
+      const { value, errors } = parseStructuredReply(assistantContent, responseSchema);
+      if (errors.length) {
+        Toast(`The JSON answer does not match the schema: ${errors[0].path} ${errors[0].message}`, 8000);
+      } else if (schemaKind(responseSchema) === 'audit') {
+        try {
+          await createAudit({ chat_id: chatId, message_id: row.id, ...normalizeAudit(value) });
+          queryClient.invalidateQueries({ queryKey: ['audits', chatId] });
+        } catch (err) {
+          Toast(`Audit answered, but saving its findings failed: ${err.message}`, 6000);
+        }
+      }
+    }
+
+    if (autoTitle && !messagesForApi.some(m => m.role === 'assistant')) {
+      nameTask({
+        apiKey,
+        chatId,
+        userContent: messagesForApi.find(m => m.role === 'user')?.content,
+        answer     : assistantContent,
+      });
+    }
+  };
+
   /* ───────── Send new message ───────── */
   const sendMessageMutation = useMutation({
-    mutationFn: async ({ userMessageContentBlocks, existingMessages, apiKey }) => {
+    mutationFn: async ({
+      userMessageContentBlocks, existingMessages, apiKey, contextFiles, filesInline, responseSchema,
+    }) => {
+      const run = beginGeneration();
       const userRow = await createMessage({
-        chat_id: currentChatId,
-        role   : 'user',
-        content: userMessageContentBlocks,
+        chat_id  : currentChatId,
+        role     : 'user',
+        content  : userMessageContentBlocks,
+        parent_id: existingMessages[existingMessages.length - 1]?.id ?? null,
+        // kept on the question too, so a fork or resend asks the same way
+        response_schema: responseSchema,
       });
+      addRowToCache(userRow);
+      setActiveLeaf(currentChatId, userRow.id);
+      // the user row must not be left unanswered if the send is cancelled;
+      // a deleted leaf resolves to its parent, so the leaf needs no reset
+      run.rollback = async () => {
+        await deleteMessage(userRow.id);
+        return () => undoDeleteMessageMutation.mutate(userRow.id);
+      };
 
       invalidateMessages();
 
       const messagesForApi = [...existingMessages, userRow];
-      const { content: assistantContent } = await callApiForText({
+      await generateAssistantReply({
         apiKey,
-        messages: messagesForApi,
-      });
-
-      await createMessage({
-        chat_id: currentChatId,
-        role   : 'assistant',
-        content: [{ type: 'text', text: assistantContent }],
+        messagesForApi,
+        signal: run.controller.signal,
+        contextFiles,
+        filesInline,
+        responseSchema,
       });
+      return userRow;
     },
     onMutate : () => setHasLastSendFailed?.(false),
     onSuccess: invalidateMessages,
     onError  : (error) => {
+      if (isCancellation(error)) {
+        return handleCancelled('Generation cancelled. Your unanswered message was removed.');
+      }
       Toast(`Error sending message: ${error.message}`, 8000);
       invalidateMessages();
       setHasLastSendFailed?.(true);
     },
+    onSettled: () => {
+      clearStreamingText();
+      endGeneration();
+    },
   });
 
+  /* The schema a user turn was sent with; turns stored before questions
+     kept it fall back to the schema of their newest answer. */
+  const requestedSchemaOf = (row) => {
+    if (row?.role !== 'user') return undefined;
+    if (row.response_schema) return row.response_schema;
+    const answers = childrenOf(tree, row.id).filter(c => c.role === 'assistant');
+    return answers[answers.length - 1]?.response_schema ?? undefined;
+  };
+
   /* ───────── Update & fork helpers ───────── */
   const updateMessageMutation = useMutation({
     mutationFn: ({ messageId, newContentArray }) =>
@@ -75,106 +365,99 @@ export function useMessageManager(currentChatId, setHasLastSendFailed) {
     onError: (err) => Toast(`Failed to update message: ${err.message}`, 5000),
   });
 
-  // FIX: New mutation to handle the undo fork action
-  const undoForkMutation = useMutation({
-    mutationFn: (undoData) => performUndoFork(undoData),
-    onSuccess: () => {
-      invalidateMessages();
-      Toast('Fork undone.', 3000);
-    },
-    onError: (err) => Toast(`Failed to undo fork: ${err.message}`, 5000),
-  });
-
+  /* Editing an earlier message starts a sibling branch; the original
+     continuation stays reachable through the branch switcher. */
   const forkConversationMutation = useMutation({
     mutationFn: async ({ messageId, newContentArray, apiKey }) => {
-      const originalMessages =
-        queryClient.getQueryData(['messages', currentChatId]) || [];
-
-      // FIX: Capture original content for the undo action
-      const originalMessage = originalMessages.find(m => m.id === messageId);
-      if (originalMessage) {
-        forkUndoDataRef.current = {
-          messageId: originalMessage.id,
-          originalContent: originalMessage.content,
-          chatId: currentChatId,
-          anchorCreatedAt: originalMessage.created_at,
-        };
-      }
-      // END FIX
-
-      const editedMessage   = await updateMessage(messageId, newContentArray);
-      await archiveMessagesAfter(currentChatId, editedMessage.created_at);
-
-      const anchorIdx       = originalMessages.findIndex(m => m.id === messageId);
-      const messagesForApi  = [
-        ...originalMessages.slice(0, anchorIdx),
-        editedMessage,
-      ];
-
-      const { content: assistantContent } = await callApiForText({
-        apiKey,
-        messages: messagesForApi,
+      const run = beginGeneration();
+      const path = messagesRef.current;
+      const anchorIdx = path.findIndex(m => m.id === messageId);
+      if (anchorIdx < 0) throw new Error('Message to fork from not found.');
+
+      const previousLeafId = path[path.length - 1].id;
+      const responseSchema = requestedSchemaOf(path[anchorIdx]);
+      const branchRow = await createMessage({
+        chat_id  : currentChatId,
+        role     : path[anchorIdx].role,
+        content  : newContentArray,
+        parent_id: path[anchorIdx - 1]?.id ?? null,
+        response_schema: responseSchema,
       });
+      addRowToCache(branchRow);
+      setActiveLeaf(currentChatId, branchRow.id);
+      setEditingId(null);
+      setEditText('');
+      run.rollback = async () => {
+        await deleteMessage(branchRow.id);
+        setActiveLeaf(currentChatId, previousLeafId);
+      };
 
-      await createMessage({
-        chat_id: currentChatId,
-        role   : 'assistant',
-        content: [{ type: 'text', text: assistantContent }],
+      await generateAssistantReply({
+        apiKey,
+        messagesForApi: [...path.slice(0, anchorIdx), branchRow],
+        signal: run.controller.signal,
+        responseSchema,
       });
     },
     onSuccess: () => {
-      invalidateMessages();
-      setEditingId(null);
-      setEditText('');
-      // FIX: Show toast with undo action
-      Toast('Fork successful. Subsequent messages removed.', 15000, () => {
-        if (forkUndoDataRef.current) {
-          undoForkMutation.mutate(forkUndoDataRef.current);
-        }
-      });
+      Toast('New branch created. Use ‹ › on the message to switch back.', 4000);
+      // returned so the streamed answer stays up until the real row lands
+      return invalidateMessages();
     },
     onError: (error) => {
+      if (isCancellation(error)) {
+        return handleCancelled('Fork cancelled. The conversation was restored.');
+      }
       Toast('Failed to fork: ' + error.message, 5000);
       invalidateMessages();
       setHasLastSendFailed?.(true);
     },
+    onSettled: () => {
+      clearStreamingText();
+      endGeneration();
+    },
   });
 
-  /* ───────── Resend helper ───────── */
+  /* ───────── Resend helper ─────────
+     The new answer becomes another child of the anchor; any previous
+     answer stays as a sibling branch. */
   const resendMessageMutation = useMutation({
     mutationFn: async ({ messageId, apiKey }) => {
-      const originalMessages =
-        queryClient.getQueryData(['messages', currentChatId]) || [];
-
-      const anchorMessage = originalMessages.find(m => m.id === messageId);
-      if (!anchorMessage) throw new Error('Anchor message not found.');
+      const run = beginGeneration();
+      const path = messagesRef.current;
+      const anchorIdx = path.findIndex(m => m.id === messageId);
+      if (anchorIdx < 0) throw new Error('Anchor message not found.');
 
-      await archiveMessagesAfter(currentChatId, anchorMessage.created_at);
+      const previousLeafId = path[path.length - 1].id;
+      setActiveLeaf(currentChatId, messageId);
+      run.rollback = async () => { setActiveLeaf(currentChatId, previousLeafId); };
 
-      const anchorIdx      = originalMessages.findIndex(m => m.id === messageId);
-      const messagesForApi = originalMessages.slice(0, anchorIdx + 1);
+      const messagesForApi = path.slice(0, anchorIdx + 1);
 
-      const { content: assistantContent } = await callApiForText({
+      await generateAssistantReply({
         apiKey,
-        messages: messagesForApi,
-      });
-
-      await createMessage({
-        chat_id: currentChatId,
-        role   : 'assistant',
-        content: [{ type: 'text', text: assistantContent }],
+        messagesForApi,
+        signal: run.controller.signal,
+        responseSchema: requestedSchemaOf(path[anchorIdx]),
       });
     },
     onMutate : () => setHasLastSendFailed?.(false),
     onSuccess: () => {
-      invalidateMessages();
       Toast('Message resent and conversation continued.', 3000);
+      return invalidateMessages();
     },
     onError  : (error) => {
+      if (isCancellation(error)) {
+        return handleCancelled('Resend cancelled. The previous answer is shown again.');
+      }
       Toast('Failed to resend message: ' + error.message, 5000);
       invalidateMessages();
       setHasLastSendFailed?.(true);
     },
+    onSettled: () => {
+      clearStreamingText();
+      endGeneration();
+    },
   });
 
   /* ───────── Delete & undo helpers ───────── */
@@ -221,7 +504,7 @@ export function useMessageManager(currentChatId, setHasLastSendFailed) {
         updateMessageMutation.isPending
       )
         return;
-      if (!apiKey) {
+      if (!apiKey && requiresKey) {
         Toast('API Key not set.', 4000);
         return;
       }
@@ -272,19 +555,20 @@ export function useMessageManager(currentChatId, setHasLastSendFailed) {
       forkConversationMutation,
       updateMessageMutation,
       handleCancelEdit, // removed apiKey from dependency list
+      requiresKey,
     ]
   );
 
   const handleResendMessage = useCallback(
     (messageId, apiKey) => {
       if (!currentChatId || resendMessageMutation.isPending) return;
-      if (!apiKey) {
+      if (!apiKey && requiresKey) {
         Toast('API Key not set.', 4000);
         return;
       }
       resendMessageMutation.mutate({ messageId, apiKey });
     },
-    [currentChatId, resendMessageMutation] // removed apiKey from dependency list
+    [currentChatId, resendMessageMutation, requiresKey] // removed apiKey from dependency list
   );
 
   const handleDeleteMessage = useCallback(
@@ -308,13 +592,14 @@ export function useMessageManager(currentChatId, setHasLastSendFailed) {
     updateMessageMutation.isPending ||
     resendMessageMutation.isPending ||
     deleteMessageMutation.isPending ||
-    undoDeleteMessageMutation.isPending ||
-    undoForkMutation.isPending; // Add new mutation to busy state
+    undoDeleteMessageMutation.isPending;
 
   /* ───────── Public API ───────── */
   return {
     messages,
     isLoadingMessages,
+    streamingText,
+    streamingThoughts,
 
     /* editing state */
     editingId,
@@ -324,15 +609,21 @@ export function useMessageManager(currentChatId, setHasLastSendFailed) {
     cancelEdit  : handleCancelEdit,
     saveEdit    : handleSaveEdit,
 
+    /* branches */
+    branchesOf,
+    selectBranch,
+
     /* actions */
     sendMessage : sendMessageMutation.mutate,
     resendMessage: handleResendMessage,
     deleteMessage: handleDeleteMessage,
+    cancelGeneration,
 
     /* flags */
     isLoadingOps,
     isSendingMessage : sendMessageMutation.isPending,
     isForking        : forkConversationMutation.isPending,
     isResendingMessage: resendMessageMutation.isPending,
+    isCancelling,
   };
 }
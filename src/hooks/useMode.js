@@ -1,17 +1,23 @@
 /* src/hooks/useMode.js */
 import { useState, useEffect } from 'preact/hooks';
 import { LOCALSTORAGE_MODE_KEY } from '../config.js';
+import { BUILTIN_MODES, isTemplateMode } from '../lib/promptTemplates.js';
 
-export function useMode() {
-  const ALLOWED = ['DEVELOP', 'COMMIT', 'CODE CHECK'];
+/* `customModes` is null until the user's templates have loaded; a stored
+   custom mode is kept until then and dropped if it no longer exists */
+export function useMode(customModes = null) {
   const stored  = localStorage.getItem(LOCALSTORAGE_MODE_KEY);
-  const initial = ALLOWED.includes(stored) ? stored : 'DEVELOP';
+  const initial = BUILTIN_MODES.includes(stored) || isTemplateMode(stored) ? stored : 'DEVELOP';
   const [mode, _setMode] = useState(initial);
 
   useEffect(() => {
     localStorage.setItem(LOCALSTORAGE_MODE_KEY, mode);
   }, [mode]);
 
-  const setMode = val => ALLOWED.includes(val) && _setMode(val);
+  useEffect(() => {
+    if (customModes && isTemplateMode(mode) && !customModes.includes(mode)) _setMode('DEVELOP');
+  }, [customModes, mode]);
+
+  const setMode = val => (BUILTIN_MODES.includes(val) || customModes?.includes(val)) && _setMode(val);
   return [mode, setMode];
 }
@@ -4,13 +4,45 @@ import { useFormData } from './useFormData.js';
 import { useMode } from './useMode.js';
 import { INITIAL_FORM_DATA } from './useFormData.js';
 import { asciiTree } from '../lib/textUtils.js';
+import { renderTemplate, templateMode } from '../lib/promptTemplates.js';
+import { COMMIT_HEADER_MAX_CHARS } from '../config.js';
 
 const safeTrim = (val) => (val ?? '').trim();
 
 const AUTO_INPUT_STRING_FOR_RETURN_FORMAT = "If code is required, return the complete refactored code for the respective changed files in FULL with NO OMISSIONS so that i can paste it directly into my ide";
 const PROMPT_SECTION_SEPARATOR = '\n\n';
 
-function buildFormSection(currentForm, currentMode) {
+function buildCommitSection(currentForm, commitScope) {
+  const out = ['## MODE # COMMIT'];
+  if (commitScope) out.push(commitScope);
+  out.push(
+    'Generate the commit message for those changes. Be HIGHLY DETAILED and ' +
+    'COMPREHENSIVE to the extent an engineer not of the project can understand.'
+  );
+  out.push(
+    `SUBJECT: imperative mood, no trailing period; the whole first line must fit in ${COMMIT_HEADER_MAX_CHARS} characters.\n` +
+    'BODY: what changed and why, wrapped at 72 columns, blank lines between paragraphs.\n' +
+    'FOOTER: git trailers only (e.g. "Refs: #12"), or null.'
+  );
+  if (currentForm.commitConventional) {
+    const pinned = [];
+    if (safeTrim(currentForm.commitType)) pinned.push(`Use type "${safeTrim(currentForm.commitType)}".`);
+    if (safeTrim(currentForm.commitScope)) pinned.push(`Use scope "${safeTrim(currentForm.commitScope)}".`);
+    if (currentForm.commitBreaking) pinned.push('This IS a breaking change.');
+    out.push(
+      'CONVENTIONAL COMMITS: pick the type that fits best, a short scope (or null), and set ' +
+      'breaking only for incompatible changes – then the footer must start with "BREAKING CHANGE: " ' +
+      'and explain the migration.' +
+      (pinned.length ? ` ${pinned.join(' ')}` : '')
+    );
+  }
+  return out.join('\n');
+}
+
+function buildFormSection(currentForm, currentMode, activeTemplate, commitScope) {
+  if (activeTemplate) {
+    return renderTemplate(activeTemplate, currentForm.templateValues?.[activeTemplate.id]);
+  }
   if (currentMode === 'DEVELOP') {
     const out = ['## MODE # DEVELOP'];
 
@@ -41,24 +73,19 @@ function buildFormSection(currentForm, currentMode) {
   }
 
   if (currentMode === 'COMMIT') {
-    return (
-      '## MODE # COMMIT\n' +
-      'Identify if a commit has been made in this conversation yet or not. If ' +
-      'it hasn\'t, Generate a git-style commit message for everything ' +
-      'accomplished so far. If there is a prior commit, generate a commit ' +
-      'message based on everything accomplished since that prior commit. Be ' +
-      'HIGHLY DETAILED and COMPREHENSIVE to the extent an engineer not of ' +
-      'the project can understand.'
-    );
+    return buildCommitSection(currentForm, commitScope);
   }
   if (currentMode === 'CODE CHECK') {
+    // the answer format comes from AUDIT_FINDINGS_SCHEMA, not the prompt
     return (
       "## MODE # CODE CHECK\n" +
       "Apply your \"Code Auditing\" workflow to the following " +
-      "1. ANALYSING THE CHANGES JUST MADE AND THEIR EFFECT ON THE WIDER CODEBASE, providing an audit report\n" +
-      "IF THERE ARE NO ISSUES WITH THE LATEST CHANGES, or there were NONE, STATE SO EXPLICITY, THEN MOVE TO" +
-      "2. ANALYSING THE ENTIRE UPTODATE CODEBASE AS A WHOLE, providing an audit report." +
-      "\nReturn in order of High and Low Severity, provide specific findings, examples where possible, and explain the potential impact. For any cateogries you don't find any errors, just let us know that you don't find any errors at the end."
+      "1. ANALYSING THE CHANGES JUST MADE AND THEIR EFFECT ON THE WIDER CODEBASE, " +
+      "THEN 2. ANALYSING THE ENTIRE UPTODATE CODEBASE AS A WHOLE.\n" +
+      "Report every issue as a separate finding with its severity, category, file, line (if known), " +
+      "a description with a specific example and its potential impact, and a concrete suggested fix. " +
+      "In the summary, state EXPLICITLY whether the latest changes have any issues, and name the " +
+      "categories in which you found none."
     );
   }
   return '';
@@ -107,9 +134,18 @@ const revokeOnce = obj => {
   }
 };
 
-export function usePromptBuilder(importedCodeFiles = []) {
+/* `commitScope` – COMMIT mode's note on which turns the commit covers
+   (commitScopeNote in lib/commitMessage.js) */
+export function usePromptBuilder(importedCodeFiles = [], templates = null, commitScope = '') {
   const [form, setForm] = useFormData();
-  const [mode, setMode] = useMode();
+  const customModes = useMemo(() => templates?.map(templateMode) ?? null, [templates]);
+  const [mode, setMode] = useMode(customModes);
+  const activeTemplate = useMemo(
+    () => templates?.find(t => templateMode(t) === mode) ?? null,
+    [templates, mode]
+  );
+  // modes whose prompt carries the staged codebase
+  const includesFiles = mode === 'DEVELOP' || !!activeTemplate?.include_files;
 
   const [pendingImages, setPendingImages] = useState([]);
   const [pendingPDFs, setPendingPDFs] = useState([]);
@@ -119,15 +155,26 @@ export function usePromptBuilder(importedCodeFiles = []) {
     return () => { imagesToRevoke.forEach(revokeOnce); };
   }, [pendingImages]);
 
-  const formText = useMemo(() => buildFormSection(form, mode), [form, mode]);
-  const fileText = useMemo(() => buildFilesSection(importedCodeFiles), [importedCodeFiles]);
+  const formText = useMemo(
+    () => buildFormSection(form, mode, activeTemplate, commitScope),
+    [form, mode, activeTemplate, commitScope]
+  );
 
-  const userPromptText = useMemo(() => {
-    if (mode !== 'DEVELOP' || !fileText) {
-        return formText;
-    }
-    return [formText, fileText].filter(Boolean).join(PROMPT_SECTION_SEPARATOR);
-  }, [formText, fileText, mode]);
+  /* prompt for an explicit file list – handleSend uses it with files
+     re-read from disk or picked by the task's context policy, which the
+     memoised values below can't see; `note` precedes the files */
+  const composePrompt = useCallback((files, note = '') => {
+    const fileText = [note, buildFilesSection(files)].filter(Boolean).join(PROMPT_SECTION_SEPARATOR);
+    const userPromptText = !includesFiles || !fileText
+      ? formText
+      : [formText, fileText].filter(Boolean).join(PROMPT_SECTION_SEPARATOR);
+    return { fileText, userPromptText };
+  }, [formText, includesFiles]);
+
+  const { fileText, userPromptText } = useMemo(
+    () => composePrompt(importedCodeFiles),
+    [composePrompt, importedCodeFiles]
+  );
 
 
   const addPendingImage = useCallback(img => { setPendingImages(prev => [...prev, img]); }, []);
@@ -143,20 +190,24 @@ export function usePromptBuilder(importedCodeFiles = []) {
     // This function resets the form to its initial state, BUT it intentionally
     // preserves the user's preference for the 'developReturnFormat_autoIncludeDefault'
     // toggle. This provides a better user experience, as they don't have to
-    // re-enable their preferred return format after every message.
+    // re-enable their preferred return format after every message. The
+    // Conventional Commits toggle is kept for the same reason.
     setForm(prevForm => ({
       ...INITIAL_FORM_DATA,
       developReturnFormat_autoIncludeDefault: prevForm.developReturnFormat_autoIncludeDefault,
+      commitConventional: prevForm.commitConventional,
     }));
   }, [setForm]);
 
   return {
     form, setForm, mode, setMode,
+    activeTemplate, includesFiles,
     pendingImages, addPendingImage, removePendingImage,
     pendingPDFs, addPendingPDF,
     formText,
     fileText,
     userPromptText,
+    composePrompt,
     resetPrompt
   };
 }
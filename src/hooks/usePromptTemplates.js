@@ -0,0 +1,64 @@
+// src/hooks/usePromptTemplates.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  fetchPromptTemplates,
+  createPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+} from '../api/supabaseApi.js';
+import { uniqueTemplateName } from '../lib/promptTemplates.js';
+import Toast from '../components/Toast.jsx';
+
+const TEMPLATES_KEY = ['promptTemplates'];
+
+/**
+ * usePromptTemplates()
+ *   const { templates, isLoaded, saveTemplate, deleteTemplate, importTemplates, isSaving } = usePromptTemplates()
+ *
+ * `saveTemplate({ id?, ...normalized })` creates or updates one template;
+ * `importTemplates(list)` adds normalized templates, renaming on clashes.
+ */
+export default function usePromptTemplates() {
+  const queryClient = useQueryClient();
+  const { data: templates = [], isSuccess } = useQuery({
+    queryKey: TEMPLATES_KEY,
+    queryFn: fetchPromptTemplates,
+    staleTime: 5 * 60 * 1000,
+  });
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: TEMPLATES_KEY });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, ...values }) => (id ? updatePromptTemplate(id, values) : createPromptTemplate(values)),
+    onSuccess: (row) => { invalidate(); Toast(`Mode "${row.name}" saved.`, 2000); },
+    onError: (error) => Toast('Failed to save mode: ' + error.message, 5000),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => deletePromptTemplate(id),
+    onSuccess: () => { invalidate(); Toast('Mode deleted.', 2000); },
+    onError: (error) => Toast('Failed to delete mode: ' + error.message, 5000),
+  });
+
+  const importMutation = useMutation({
+    mutationFn: async (list) => {
+      const existing = [...templates];
+      for (const t of list) {
+        const row = await createPromptTemplate({ ...t, name: uniqueTemplateName(t.name, existing) });
+        existing.push(row);
+      }
+      return list.length;
+    },
+    onSuccess: (n) => Toast(`Imported ${n} mode(s).`, 2500),
+    onError: (error) => Toast('Failed to import modes: ' + error.message, 6000),
+    onSettled: invalidate,
+  });
+
+  return {
+    templates,
+    isLoaded: isSuccess,
+    saveTemplate: saveMutation.mutateAsync,
+    deleteTemplate: deleteMutation.mutate,
+    importTemplates: importMutation.mutate,
+    isSaving: saveMutation.isPending || deleteMutation.isPending || importMutation.isPending,
+  };
+}
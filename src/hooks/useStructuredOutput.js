@@ -0,0 +1,58 @@
+// src/hooks/useStructuredOutput.js
+import { useState, useEffect, useMemo } from 'preact/hooks';
+import { LOCALSTORAGE_STRUCTURED_OUTPUT_KEY } from '../config.js';
+import {
+  presetSchema,
+  parseSchemaText,
+  FILE_EDITS_SCHEMA,
+  StructuredOutputError,
+} from '../lib/structuredOutput.js';
+
+const DEFAULTS = { preset: 'off', customText: JSON.stringify(FILE_EDITS_SCHEMA, null, 2) };
+
+const load = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LOCALSTORAGE_STRUCTURED_OUTPUT_KEY));
+    const state = { ...DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+    const known = state.preset === 'off' || state.preset === 'custom' || presetSchema(state.preset);
+    return known ? state : { ...state, preset: 'off' };
+  } catch {
+    return { ...DEFAULTS };
+  }
+};
+
+/**
+ * useStructuredOutput()
+ *   const { preset, setPreset, customText, setCustomText, schema, error } = useStructuredOutput()
+ *
+ * `preset` is 'off', a SCHEMA_PRESETS id or 'custom'. `schema` is what the
+ * next send requests (null when off or invalid); `error` explains an
+ * invalid custom schema.
+ */
+export default function useStructuredOutput() {
+  const [state, setState] = useState(load);
+
+  useEffect(() => {
+    try { localStorage.setItem(LOCALSTORAGE_STRUCTURED_OUTPUT_KEY, JSON.stringify(state)); } catch {}
+  }, [state]);
+
+  const { schema, error } = useMemo(() => {
+    if (state.preset === 'off') return { schema: null, error: null };
+    if (state.preset !== 'custom') return { schema: presetSchema(state.preset), error: null };
+    try {
+      return { schema: parseSchemaText(state.customText), error: null };
+    } catch (err) {
+      if (err instanceof StructuredOutputError) return { schema: null, error: err.message };
+      throw err;
+    }
+  }, [state.preset, state.customText]);
+
+  return {
+    preset: state.preset,
+    setPreset: (preset) => setState(s => ({ ...s, preset })),
+    customText: state.customText,
+    setCustomText: (customText) => setState(s => ({ ...s, customText })),
+    schema,
+    error,
+  };
+}
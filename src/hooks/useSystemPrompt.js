@@ -0,0 +1,60 @@
+// src/hooks/useSystemPrompt.js
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { fetchSystemPrompts, saveSystemPrompt } from '../api/supabaseApi.js';
+import { resolveSystemPrompt } from '../lib/systemPrompt.js';
+import Toast from '../components/Toast.jsx';
+
+const versionsKey = (chatId) => ['systemPrompts', chatId ?? 'account'];
+const versionsQuery = (chatId) => ({
+  queryKey: versionsKey(chatId),
+  queryFn : () => fetchSystemPrompts(chatId),
+  staleTime: 5 * 60 * 1000,
+});
+
+/**
+ * The prompt a turn in `chatId` should be sent with – reads the cache,
+ * fetching on a miss, so a send never races the settings queries.
+ * @returns {Promise<{ id: string|null, content: string, source: string }>}
+ */
+export async function loadSystemPrompt(queryClient, chatId) {
+  const [account, chat] = await Promise.all([
+    queryClient.ensureQueryData(versionsQuery(null)),
+    chatId ? queryClient.ensureQueryData(versionsQuery(chatId)) : [],
+  ]);
+  return resolveSystemPrompt(account, chat);
+}
+
+/**
+ * useSystemPrompt(chatId)
+ *   const { active, accountVersions, chatVersions, saveVersion, isSaving } = useSystemPrompt(chatId)
+ *
+ * `saveVersion({ scope: 'account'|'chat', content })` appends a version;
+ * content null resets that scope.
+ */
+export default function useSystemPrompt(chatId) {
+  const queryClient = useQueryClient();
+  const { data: accountVersions = [], isSuccess: accountLoaded } = useQuery(versionsQuery(null));
+  const { data: chatVersions = [], isSuccess: chatLoaded } = useQuery({
+    ...versionsQuery(chatId),
+    enabled: !!chatId,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ scope, content }) =>
+      saveSystemPrompt({ chatId: scope === 'chat' ? chatId : null, content }),
+    onSuccess: (row) => {
+      queryClient.invalidateQueries({ queryKey: versionsKey(row.chat_id) });
+      Toast(row.content == null ? 'System prompt reset.' : `System prompt v${row.version} saved.`, 2000);
+    },
+    onError: (error) => Toast('Failed to save system prompt: ' + error.message, 5000),
+  });
+
+  return {
+    active: resolveSystemPrompt(accountVersions, chatVersions),
+    accountVersions,
+    chatVersions,
+    isLoaded: accountLoaded && (!chatId || chatLoaded),
+    saveVersion: saveMutation.mutateAsync,
+    isSaving: saveMutation.isPending,
+  };
+}
@@ -0,0 +1,71 @@
+// src/lib/auditFindings.js
+/*
+  CODE CHECK audits. The answer follows AUDIT_FINDINGS_SCHEMA
+  (lib/structuredOutput.js); each validated answer is stored in
+  code_audits. Audits have no stable finding ids – the model rewords and
+  line numbers drift – so two findings count as the same issue when file
+  and category agree and either the line or most of the wording does.
+*/
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const MIN_WORD_OVERLAP = 0.45;
+
+const severityRank = (s) => {
+  const i = SEVERITIES.indexOf(String(s).toLowerCase());
+  return i < 0 ? SEVERITIES.length : i;
+};
+
+/** Validated answer → { summary, findings } with findings most severe first. */
+export function normalizeAudit(value) {
+  const findings = (Array.isArray(value?.findings) ? value.findings : [])
+    .map(f => ({
+      severity   : String(f.severity ?? 'info').toLowerCase(),
+      category   : String(f.category ?? '').trim(),
+      file       : String(f.file ?? '').trim(),
+      line       : Number.isInteger(f.line) ? f.line : null,
+      description: String(f.description ?? '').trim(),
+      fix        : String(f.fix ?? '').trim(),
+    }))
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+  return { summary: String(value?.summary ?? '').trim(), findings };
+}
+
+export function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  for (const f of findings) counts[f.severity] = (counts[f.severity] ?? 0) + 1;
+  return counts;
+}
+
+const words = (text) => new Set(String(text).toLowerCase().match(/[a-z0-9_]{3,}/g) ?? []);
+
+function wordOverlap(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+export function isSameFinding(a, b) {
+  if (a.file !== b.file || a.category.toLowerCase() !== b.category.toLowerCase()) return false;
+  if (a.line != null && a.line === b.line) return true;
+  return wordOverlap(a.description, b.description) >= MIN_WORD_OVERLAP;
+}
+
+/**
+ * What changed from `previous` to `current` (both finding lists).
+ * @returns {{ added: object[], resolved: object[], persisting: { finding: object, previous: object }[] }}
+ */
+export function diffAudits(previous, current) {
+  const unmatched = [...previous];
+  const added = [];
+  const persisting = [];
+  for (const finding of current) {
+    const i = unmatched.findIndex(p => isSameFinding(p, finding));
+    if (i < 0) added.push(finding);
+    else persisting.push({ finding, previous: unmatched.splice(i, 1)[0] });
+  }
+  return { added, resolved: unmatched, persisting };
+}
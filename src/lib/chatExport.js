@@ -0,0 +1,211 @@
+// src/lib/chatExport.js
+/*
+  Chat export in three shapes:
+  • Markdown – readable transcript of the visible branch
+  • JSON     – full dump of the `chats` row and every `messages` row
+               (all branches, deleted rows, content blocks as stored);
+               the importer reads it back as the branch that was shown,
+               without the other branches
+  • HTML     – one self-contained file: rendered markdown, highlighted
+               code and images inlined as data: URLs
+
+  PDFs live in the Gemini Files API and expire there, so every format
+  only records their name and id.
+*/
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import rehypeStringify from 'rehype-stringify';
+import hljsCss from 'highlight.js/styles/atom-one-dark.css?raw';
+
+import { MARKDOWN_SCHEMA } from '../components/MarkdownRenderer.jsx';
+import { downloadStoredBlob } from '../api/llmCommon.js';
+
+export const CHAT_EXPORT_FORMAT = 'konzuko-chat';
+export const CHAT_EXPORT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', ext: 'md',   mime: 'text/markdown' },
+  json    : { label: 'JSON',     ext: 'json', mime: 'application/json' },
+  html    : { label: 'HTML',     ext: 'html', mime: 'text/html' },
+};
+
+const blocksOf = (m) =>
+  Array.isArray(m.content) ? m.content : [{ type: 'text', text: String(m.content ?? '') }];
+
+const roleLabel = (role) => (role === 'user' ? 'User' : role === 'assistant' ? 'Assistant' : role);
+const stamp = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+const escapeHtml = (s = '') =>
+  String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/* ───────── Markdown ───────── */
+export function chatToMarkdown(chat, messages) {
+  const out = [`# ${chat?.title || 'Untitled Task'}`, ''];
+  if (chat?.code_type) out.push(`_Model: ${chat.code_type} · exported ${stamp(new Date().toISOString())}_`, '');
+
+  for (const m of messages) {
+    out.push('---', '', `### ${roleLabel(m.role)} · ${stamp(m.created_at)}`, '');
+    if (m.thoughts) {
+      out.push('<details><summary>Thoughts</summary>', '', m.thoughts, '', '</details>', '');
+    }
+    for (const b of blocksOf(m)) {
+      if (b.type === 'text' && b.text) out.push(b.text, '');
+      else if (b.type === 'image_url') out.push(`_[image: ${b.image_url?.original_name || b.image_url?.path || 'image'}]_`, '');
+      else if (b.type === 'file') out.push(`_[file: ${b.file?.original_name || b.file?.file_id} (${b.file?.mime_type || 'unknown type'})]_`, '');
+    }
+  }
+  return out.join('\n');
+}
+
+/* ───────── JSON ───────── */
+export function chatToJson(chat, rows) {
+  return JSON.stringify({
+    format     : CHAT_EXPORT_FORMAT,
+    version    : CHAT_EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    chat,
+    messages   : rows,
+  }, null, 2);
+}
+
+/* ───────── HTML ───────── */
+const markdownToHtml = (md) =>
+  String(
+    unified()
+      .use(remarkParse)
+      .use(remarkGfm)
+      .use(remarkRehype, { allowDangerousHtml: true })
+      .use(rehypeRaw)
+      .use(rehypeSanitize, MARKDOWN_SCHEMA)
+      .use(rehypeHighlight)
+      .use(rehypeStringify)
+      .processSync(md)
+  );
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/* path → data: URL; a missing image becomes null, not a failed export */
+async function inlineImages(messages) {
+  const paths = new Set();
+  messages.forEach(m => blocksOf(m).forEach(b => {
+    if (b.type === 'image_url' && b.image_url?.path) paths.add(b.image_url.path);
+  }));
+  const map = new Map();
+  for (const path of paths) {
+    try {
+      map.set(path, await blobToDataUrl(await downloadStoredBlob(path)));
+    } catch (err) {
+      console.warn('[chatExport] image not inlined:', path, err.message);
+      map.set(path, null);
+    }
+  }
+  return map;
+}
+
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+header p { color: #59636e; }
+.message { border: 1px solid #d1d9e0; border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.message.user { background: #f6f8fa; }
+.meta { font-size: 0.85rem; color: #59636e; margin-bottom: 0.5rem; }
+pre { overflow-x: auto; border-radius: 6px; }
+pre code.hljs { padding: 0.75rem; }
+img { max-width: 100%; border-radius: 6px; }
+figure { margin: 0.5rem 0; }
+figcaption, .attachment { font-size: 0.85rem; color: #59636e; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #d1d9e0; padding: 4px 8px; }
+details { margin-bottom: 0.5rem; color: #59636e; }
+`;
+
+export async function chatToHtml(chat, messages) {
+  const images = await inlineImages(messages);
+  const title = escapeHtml(chat?.title || 'Untitled Task');
+
+  const body = messages.map(m => {
+    const parts = blocksOf(m).map(b => {
+      if (b.type === 'text') return markdownToHtml(b.text || '');
+      if (b.type === 'image_url') {
+        const name = escapeHtml(b.image_url?.original_name || 'image');
+        const src = images.get(b.image_url?.path);
+        return src
+          ? `<figure><img src="${src}" alt="${name}"><figcaption>${name}</figcaption></figure>`
+          : `<p class="attachment">[image unavailable: ${name}]</p>`;
+      }
+      if (b.type === 'file') {
+        return `<p class="attachment">[file: ${escapeHtml(b.file?.original_name || b.file?.file_id)}]</p>`;
+      }
+      return '';
+    }).join('\n');
+    const thoughts = m.thoughts
+      ? `<details><summary>Thoughts</summary>${markdownToHtml(m.thoughts)}</details>`
+      : '';
+    return `<section class="message ${escapeHtml(m.role)}">
+<div class="meta"><strong>${escapeHtml(roleLabel(m.role))}</strong> · ${escapeHtml(stamp(m.created_at))}</div>
+${thoughts}${parts}
+</section>`;
+  }).join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${hljsCss}${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<p>${escapeHtml(chat?.code_type || '')} · exported ${escapeHtml(stamp(new Date().toISOString()))}</p>
+</header>
+${body}
+</body>
+</html>
+`;
+}
+
+/* ───────── Download ───────── */
+export function exportFileName(chat, format) {
+  const slug = (chat?.title || 'task')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'task';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].ext}`;
+}
+
+export function downloadText(fileName, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Builds and downloads one export. Markdown and HTML show `messages`
+ * (the visible branch); JSON carries all `rows` of the chat.
+ */
+export async function exportChat(format, { chat, messages, rows }) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}"`);
+  const text =
+    format === 'markdown' ? chatToMarkdown(chat, messages) :
+    format === 'json'     ? chatToJson(chat, rows) :
+    await chatToHtml(chat, messages);
+  downloadText(exportFileName(chat, format), text, spec.mime);
+}
@@ -0,0 +1,261 @@
+// src/lib/chatImport.js
+/*
+  Chat import – the counterpart of chatExport.js.
+
+  parseChatImport(json) accepts
+  • our own export   { format: 'konzuko-chat', chat, messages: rows }
+                     (the branch that was shown when it was exported)
+  • OpenAI chat      [{ role, content }] or { messages: [...] }, content as
+                     a string or [{ type: 'text' | 'image_url', ... }]
+  • Gemini contents  [{ role, parts }] or { contents: [...] }, and AI
+                     Studio prompts { chunkedPrompt: { chunks: [...] } }
+  and returns { title, model, messages, skipped } with every block
+  validated. Nothing is written until importChatTranscript() runs it.
+
+  Images are re-uploaded under the importing user's prefix; PDFs were
+  Gemini file references that expire, so they become a text note.
+*/
+import { supabase } from './supabase.js';
+import { imagePathFor } from './pathUtils.js';
+import { compressImageToWebP } from './imageUtils.js';
+import { buildMessageTree, resolveLeaf, pathTo } from './messageTree.js';
+import { CHAT_EXPORT_FORMAT, CHAT_EXPORT_VERSION } from './chatExport.js';
+import { downloadStoredBlob } from '../api/llmCommon.js';
+import {
+  getCurrentUser,
+  createChat,
+  createMessage,
+  deleteChat,
+  updateChatActiveLeaf,
+} from '../api/supabaseApi.js';
+import { MODEL_ID_PATTERN } from '../config.js';
+
+export const MAX_IMPORT_MESSAGES = 2000;
+
+export class ChatImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatImportError';
+  }
+}
+
+const ROLE_MAP = { user: 'user', assistant: 'assistant', model: 'assistant' };
+// carried by OpenAI/Gemini exports but not part of a Konzuko conversation
+const SKIPPED_ROLES = new Set(['system', 'developer', 'tool', 'function']);
+
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const fail = (where, what) => { throw new ChatImportError(`${where}: ${what}`); };
+
+/* ───────── Block validation ─────────
+   Normalised blocks: { type: 'text', text }
+                      { type: 'image', name, source: { path } | { url } | { base64, mimeType } } */
+const textBlock = (text) => ({ type: 'text', text });
+
+function ownBlock(b, where) {
+  if (!isObj(b)) fail(where, 'content block is not an object');
+  switch (b.type) {
+    case 'text':
+      if (typeof b.text !== 'string') fail(where, 'text block without a string `text`');
+      return textBlock(b.text);
+    case 'image_url': {
+      const img = b.image_url;
+      if (!isObj(img) || !(img.path || img.url)) fail(where, 'image block without `path` or `url`');
+      return { type: 'image', name: img.original_name, source: img.path ? { path: img.path } : { url: img.url } };
+    }
+    case 'file':
+      if (!isObj(b.file)) fail(where, 'file block without `file`');
+      return textBlock(`[file not imported: ${b.file.original_name || b.file.file_id || 'attachment'}]`);
+    default:
+      fail(where, `unknown content block type "${b.type}"`);
+  }
+}
+
+function openAiBlocks(content, where) {
+  if (typeof content === 'string') return [textBlock(content)];
+  if (content == null) return [];
+  if (!Array.isArray(content)) fail(where, '`content` must be a string or an array');
+  return content.map((p, i) => {
+    const at = `${where}, part ${i + 1}`;
+    if (!isObj(p)) fail(at, 'content part is not an object');
+    if (p.type === 'text' || p.type === 'input_text' || p.type === 'output_text') {
+      if (typeof p.text !== 'string') fail(at, 'text part without a string `text`');
+      return textBlock(p.text);
+    }
+    if (p.type === 'image_url') {
+      const url = typeof p.image_url === 'string' ? p.image_url : p.image_url?.url;
+      if (typeof url !== 'string' || !url) fail(at, 'image part without a url');
+      return { type: 'image', source: { url } };
+    }
+    fail(at, `unsupported content part "${p.type}"`);
+  });
+}
+
+function geminiParts(parts, where) {
+  if (!Array.isArray(parts)) fail(where, '`parts` must be an array');
+  const blocks = [];
+  const thoughts = [];
+  parts.forEach((p, i) => {
+    const at = `${where}, part ${i + 1}`;
+    if (!isObj(p)) fail(at, 'part is not an object');
+    if (typeof p.text === 'string') {
+      if (p.thought) thoughts.push(p.text);
+      else blocks.push(textBlock(p.text));
+    } else if (isObj(p.inlineData)) {
+      const { mimeType, data } = p.inlineData;
+      if (!/^image\//.test(mimeType ?? '') || typeof data !== 'string') fail(at, 'inlineData must be a base64 image');
+      blocks.push({ type: 'image', source: { base64: data, mimeType } });
+    } else if (isObj(p.fileData)) {
+      blocks.push(textBlock(`[file not imported: ${p.fileData.fileUri || 'attachment'}]`));
+    } else {
+      fail(at, 'part has no text, inlineData or fileData');
+    }
+  });
+  return { blocks, thoughts: thoughts.join('\n\n') || undefined };
+}
+
+/* ───────── Shapes ───────── */
+function fromOwnFormat(doc) {
+  if (doc.version > CHAT_EXPORT_VERSION) {
+    throw new ChatImportError(`Export version ${doc.version} is newer than this app understands`);
+  }
+  if (!Array.isArray(doc.messages)) throw new ChatImportError('Export has no `messages` array');
+  const tree = buildMessageTree(doc.messages);
+  const path = pathTo(tree, resolveLeaf(tree, doc.chat?.active_leaf_id));
+  const { messages, skipped } = fromTurns(path, (row, where) => {
+    const content = Array.isArray(row.content) ? row.content : [{ type: 'text', text: String(row.content ?? '') }];
+    return {
+      blocks  : content.map((b, j) => ownBlock(b, `${where}, block ${j + 1}`)),
+      thoughts: typeof row.thoughts === 'string' ? row.thoughts : undefined,
+      usage   : isObj(row.usage) ? row.usage : undefined,
+    };
+  });
+  return { title: doc.chat?.title, model: doc.chat?.code_type, messages, skipped };
+}
+
+function fromTurns(turns, toMessage) {
+  const messages = [];
+  let skipped = 0;
+  turns.forEach((t, i) => {
+    const where = `Message ${i + 1}`;
+    if (!isObj(t)) fail(where, 'not an object');
+    if (SKIPPED_ROLES.has(t.role)) { skipped++; return; }
+    const role = ROLE_MAP[t.role] ?? fail(where, `unknown role "${t.role}"`);
+    messages.push({ role, ...toMessage(t, where) });
+  });
+  return { messages, skipped };
+}
+
+const fromOpenAi = (turns) =>
+  fromTurns(turns, (t, where) => ({ blocks: openAiBlocks(t.content, where) }));
+
+const fromGemini = (turns) =>
+  fromTurns(turns, (t, where) => geminiParts(t.parts, where));
+
+/* AI Studio keeps one chunk per text/image; consecutive chunks of a role
+   form one turn and `isThought` chunks become its thought summary */
+function fromAiStudio(chunks) {
+  const turns = [];
+  chunks.forEach((c, i) => {
+    if (!isObj(c)) fail(`Chunk ${i + 1}`, 'not an object');
+    const part = c.inlineImage ? { inlineData: c.inlineImage } : { text: c.text ?? '', thought: !!c.isThought };
+    const last = turns[turns.length - 1];
+    if (last && last.role === c.role) last.parts.push(part);
+    else turns.push({ role: c.role, parts: [part] });
+  });
+  return fromGemini(turns);
+}
+
+/** Detects the shape of `doc` and returns a validated, normalised chat. */
+export function parseChatImport(doc) {
+  let parsed;
+  if (isObj(doc) && doc.format === CHAT_EXPORT_FORMAT) parsed = fromOwnFormat(doc);
+  else if (isObj(doc) && Array.isArray(doc.chunkedPrompt?.chunks)) parsed = fromAiStudio(doc.chunkedPrompt.chunks);
+  else {
+    const turns = Array.isArray(doc) ? doc : doc?.contents ?? doc?.messages;
+    if (!Array.isArray(turns)) throw new ChatImportError('Unrecognised file: expected a Konzuko export, OpenAI messages or Gemini contents');
+    parsed = turns.some(t => Array.isArray(t?.parts)) ? fromGemini(turns) : fromOpenAi(turns);
+    parsed.title = doc?.title;
+  }
+
+  // empty turns (e.g. a bare thought) carry nothing to send back
+  const messages = parsed.messages.filter(m => m.blocks.some(b => b.type !== 'text' || b.text.trim()));
+  if (messages.length === 0) throw new ChatImportError('No user or assistant messages found');
+  if (messages.length > MAX_IMPORT_MESSAGES) throw new ChatImportError(`Too many messages (${messages.length}, max ${MAX_IMPORT_MESSAGES})`);
+
+  return {
+    title  : typeof parsed.title === 'string' && parsed.title.trim() ? parsed.title.trim().slice(0, 200) : 'Imported Task',
+    model  : MODEL_ID_PATTERN.test(parsed.model ?? '') ? parsed.model : null,
+    messages,
+    skipped: parsed.skipped ?? 0,
+  };
+}
+
+/* ───────── Images ───────── */
+async function sourceToBlob(source) {
+  if (source.path) return downloadStoredBlob(source.path);
+  if (source.base64) {
+    const bin = atob(source.base64);
+    const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+    return new Blob([bytes], { type: source.mimeType });
+  }
+  const res = await fetch(source.url); // data: URLs and CORS-enabled hosts
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.blob();
+}
+
+async function uploadImage(userId, block) {
+  const blob = await compressImageToWebP(await sourceToBlob(block.source));
+  const path = imagePathFor(userId);
+  const { error } = await supabase.storage
+    .from('images')
+    .upload(path, blob, { contentType: 'image/webp', upsert: false });
+  if (error) throw error;
+  return {
+    type: 'image_url',
+    image_url: { detail: 'high', original_name: block.name || 'imported.webp', path },
+  };
+}
+
+/**
+ * Creates a new chat from parseChatImport() output, one message row per
+ * turn in order. Images that can't be fetched become a text note rather
+ * than failing the import; any other error removes the half-built chat.
+ * Resolves to { chat, imageFailures }.
+ */
+export async function importChatTranscript(parsed, { model, onProgress } = {}) {
+  const user = await getCurrentUser();
+  const chat = await createChat({ title: parsed.title, model: parsed.model || model });
+  let imageFailures = 0;
+
+  try {
+    let parentId = null;
+    for (const [i, msg] of parsed.messages.entries()) {
+      onProgress?.(i + 1, parsed.messages.length);
+      const content = [];
+      for (const b of msg.blocks) {
+        if (b.type !== 'image') { content.push(b); continue; }
+        try {
+          content.push(await uploadImage(user.id, b));
+        } catch (err) {
+          console.warn('[chatImport] image not imported:', err);
+          imageFailures++;
+          content.push(textBlock(`[image not imported: ${b.name || 'image'}]`));
+        }
+      }
+      const row = await createMessage({
+        chat_id  : chat.id,
+        role     : msg.role,
+        content,
+        parent_id: parentId,
+        thoughts : msg.thoughts,
+        usage    : msg.usage,
+      });
+      parentId = row.id;
+    }
+    await updateChatActiveLeaf(chat.id, parentId);
+  } catch (err) {
+    await deleteChat(chat.id).catch(() => {});
+    throw err;
+  }
+  return { chat, imageFailures };
+}
@@ -0,0 +1,67 @@
+// src/lib/chatTitle.js
+/*
+  Automatic task titles. After a task's first answer, a cheap model gets
+  the GOAL (or the opening message when there is none) plus the start of
+  the answer and replies with a short title.
+*/
+import {
+  LLM_PROVIDERS,
+  AUTO_TITLE_MODELS,
+  AUTO_TITLE_MAX_CHARS,
+  DEFAULT_CHAT_TITLES,
+} from '../config.js';
+import { parseModelId } from '../api/llmApi.js';
+
+const SOURCE_CHARS = 2_000;
+
+export const TITLE_SYSTEM_PROMPT =
+  'You name coding tasks. Reply with a title of 3–7 words that says what the ' +
+  'task is about, in the language of the request. No quotes, no trailing ' +
+  'punctuation, no "Task:" prefix – the title only.';
+
+export const isDefaultChatTitle = (title) =>
+  !String(title ?? '').trim() || DEFAULT_CHAT_TITLES.includes(String(title).trim());
+
+/** Cheap model on the same provider as `model` (same credentials). An
+    endpoint other than the provider's stock one may not serve that model,
+    so there the chat's own model names the task. */
+export function titleModelFor(model, baseUrl = null) {
+  const { provider } = parseModelId(model);
+  const stock = !baseUrl || baseUrl === LLM_PROVIDERS[provider]?.defaultBaseUrl;
+  return (stock && AUTO_TITLE_MODELS[provider]) || model;
+}
+
+const textOf = (content) => (Array.isArray(content)
+  ? content.filter(b => b.type === 'text').map(b => b.text).join('\n')
+  : String(content ?? ''));
+
+/* the GOAL line(s) of a prompt-builder message, else its opening text */
+function requestSummary(userText) {
+  const goal = userText.match(/(?:^|\n)GOAL:\s*([\s\S]*?)(?=\n[A-Z][A-Z ]+:|\n##|\n```|$)/)?.[1]?.trim();
+  return (goal || userText).slice(0, SOURCE_CHARS);
+}
+
+/** Messages for the title call, from the first user turn and its answer. */
+export function buildTitleMessages(userContent, answerText) {
+  const request = requestSummary(textOf(userContent));
+  const answer = String(answerText ?? '').slice(0, SOURCE_CHARS);
+  return [{
+    role: 'user',
+    content: [{ type: 'text', text: `REQUEST:\n${request}\n\nANSWER (start):\n${answer}\n\nTitle:` }],
+  }];
+}
+
+/** Model output → a single tidy line, or '' if nothing usable came back. */
+export function cleanTitle(raw) {
+  const line = String(raw ?? '')
+    .split('\n')
+    .map(l => l.trim())
+    .find(Boolean) ?? '';
+  const title = line
+    .replace(/^(title|task)\s*:\s*/i, '')
+    .replace(/^[#*"'`“”‘’\s]+|[*"'`“”‘’.!:;\s]+$/g, '')
+    .replace(/\s+/g, ' ');
+  if (title.length <= AUTO_TITLE_MAX_CHARS) return title;
+  const cut = title.slice(0, AUTO_TITLE_MAX_CHARS);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
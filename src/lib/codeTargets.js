@@ -0,0 +1,123 @@
+// src/lib/codeTargets.js
+/*
+  Finds which project file each fenced code block in an answer is meant
+  to replace. A block's path is taken from, in order:
+  1. the fence info        ```js src/app.js  /  ```js title="src/app.js"
+  2. its first line        // file: src/app.js   # src/app.py   <!-- file: x.html -->
+  3. a header block        ```yaml\nfile: src/app.js\n```  (our own prompt format)
+  4. the line before it    ### `src/app.js`   /   **src/app.js**:
+  Blocks without a recognisable path are left alone.
+*/
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const EXTENSIONLESS = new Set(['Dockerfile', 'Makefile', 'Procfile', 'Gemfile', 'Rakefile', 'LICENSE']);
+
+/** True for tokens that look like a relative file path with a name we can write. */
+export function isPathLike(token = '') {
+  if (!token || token.length > 300 || /\s/.test(token)) return false;
+  if (/^[a-z]+:\/\//i.test(token)) return false; // URLs
+  const base = token.split('/').pop();
+  return /^[^.].*\.[A-Za-z0-9]{1,10}$/.test(base) || /^\.[\w.-]+$/.test(base) || EXTENSIONLESS.has(base);
+}
+
+function pathFromInfo(info) {
+  const attr = info.match(/(?:title|file|filename|path)=["']?([^"'\s]+)/i);
+  if (attr && isPathLike(attr[1])) return attr[1];
+  // ```src/app.js or ```js src/app.js – a bare language word has no dot
+  return info.split(/\s+/).find(isPathLike) ?? null;
+}
+
+function pathFromFirstLine(line = '') {
+  const m = line.match(/^\s*(?:\/\/|#|--|;|\/\*+|<!--|%)\s*(?:(?:file|filename|path)\s*:\s*)?(\S+?)\s*(?:\*\/|-->)?\s*$/i);
+  return m && isPathLike(m[1]) && (m[1].includes('/') || /file|path/i.test(line)) ? m[1] : null;
+}
+
+function pathFromHeaderBlock(code) {
+  const m = code.trim().match(/^(?:file|path)\s*:\s*(\S+)$/i);
+  return m && isPathLike(m[1]) ? m[1] : null;
+}
+
+/* only a line that *is* the path (heading, bold, `File:` label) or a
+   quoted token with a folder in it – "call `console.log`:" is not a file */
+function pathFromLeadIn(line = '') {
+  const t = line.trim();
+  if (!t || t.length > 160) return null;
+  const label = t.match(/^(?:#+\s*)?(?:file|path)\s*:\s*`?([^`\s]+)`?$/i);
+  if (label && isPathLike(label[1])) return label[1];
+  const bare = t.replace(/^#+\s*|[*`:]/g, '').trim();
+  const quoted = [...t.matchAll(/`([^`]+)`|\*\*([^*]+)\*\*/g)]
+    .map(m => (m[1] ?? m[2]).replace(/[`:]/g, '').trim());
+  for (const q of quoted.reverse()) {
+    if (isPathLike(q) && (q.includes('/') || q === bare)) return q;
+  }
+  return null;
+}
+
+/**
+ * Returns [{ path, code, lang }] for every block with a target path, in
+ * answer order. `code` is the block body exactly as rendered.
+ */
+export function extractFileBlocks(markdown = '') {
+  const lines = String(markdown).split('\n');
+  const out = [];
+  let pendingHeaderPath = null;
+  let lastText = '';
+
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(FENCE);
+    if (!open) {
+      if (lines[i].trim()) { lastText = lines[i]; pendingHeaderPath = null; }
+      continue;
+    }
+    const fence = open[1];
+    const info = open[2].trim();
+    const body = [];
+    let j = i + 1;
+    for (; j < lines.length; j++) {
+      const close = lines[j].match(FENCE);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length && !close[2].trim()) break;
+      body.push(lines[j]);
+    }
+    const code = body.join('\n');
+    i = j;
+
+    const header = pathFromHeaderBlock(code);
+    if (header) { pendingHeaderPath = header; continue; }
+
+    const path = pathFromInfo(info) ?? pathFromFirstLine(body[0]) ?? pendingHeaderPath ?? pathFromLeadIn(lastText);
+    pendingHeaderPath = null;
+    lastText = '';
+    if (path) out.push({ path, code, lang: info.split(/\s+/)[0] || '' });
+  }
+  return out;
+}
+
+/**
+ * Project-relative form of a model-supplied path, or null if it would
+ * leave the project. A leading "<rootName>/" is dropped because the
+ * prompt shows files under their root folder's name.
+ */
+export function normalizeTargetPath(path, rootName) {
+  let parts = String(path).replace(/\\/g, '/').replace(/^\.?\/+/, '').split('/');
+  if (parts.some(p => p === '..' || p === '') || /^[a-z]:$/i.test(parts[0])) return null;
+  parts = parts.filter(p => p !== '.');
+  if (rootName && parts.length > 1 && parts[0] === rootName) parts = parts.slice(1);
+  return parts.length ? parts.join('/') : null;
+}
+
+/**
+ * The staged file a block's path refers to: exact path first (with or
+ * without the root folder name), then a file name that only one staged
+ * file has. Null when nothing or several files match.
+ */
+export function matchStagedFile(path, stagedFiles = []) {
+  if (!path || !stagedFiles.length) return null;
+  const clean = String(path).replace(/\\/g, '/').replace(/^\.?\/+/, '');
+  const exact = stagedFiles.find(f =>
+    f.path === clean || (f.rootName && `${f.rootName}/${f.path}` === clean)
+  );
+  if (exact) return exact;
+  const base = clean.split('/').pop();
+  const byName = stagedFiles.filter(f => f.path.split('/').pop() === base);
+  return byName.length === 1 ? byName[0] : null;
+}
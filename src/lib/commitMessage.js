@@ -0,0 +1,157 @@
+// src/lib/commitMessage.js
+/*
+  COMMIT mode. The answer is structured output (commitSchema) with the
+  subject, body and footer as separate fields, plus type / scope /
+  breaking when Conventional Commits are on. The chat remembers which
+  answer was last committed (chats.last_commit_message_id), so "since the
+  prior commit" is worked out here from the branch, not guessed by the
+  model.
+*/
+import { COMMIT_HEADER_MAX_CHARS } from '../config.js';
+import { parseStructuredReply, tagSchema } from './structuredOutput.js';
+
+export const CONVENTIONAL_TYPES = [
+  'feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert',
+];
+
+const HEREDOC_DELIMITER = 'COMMIT_MSG';
+const EXCERPT_CHARS = 80;
+
+const MESSAGE_FIELDS = {
+  subject: { type: 'string', description: 'imperative mood, no trailing period' },
+  body   : { type: 'string', description: 'what changed and why; blank lines between paragraphs' },
+  footer : { type: 'string', nullable: true, description: 'trailers such as "BREAKING CHANGE: …" or "Refs: #12"' },
+};
+
+/** Response schema for a COMMIT answer, tagged 'commit' so only these
+    answers render as a commit card. */
+export function commitSchema(conventional) {
+  if (!conventional) {
+    return tagSchema({
+      type: 'object',
+      properties: MESSAGE_FIELDS,
+      required: ['subject', 'body'],
+      propertyOrdering: ['subject', 'body', 'footer'],
+    }, 'commit');
+  }
+  return tagSchema({
+    type: 'object',
+    properties: {
+      type    : { type: 'string', enum: CONVENTIONAL_TYPES },
+      scope   : { type: 'string', nullable: true, description: 'short noun for the affected area' },
+      breaking: { type: 'boolean' },
+      ...MESSAGE_FIELDS,
+    },
+    required: ['type', 'breaking', 'subject', 'body'],
+    propertyOrdering: ['type', 'scope', 'breaking', 'subject', 'body', 'footer'],
+  }, 'commit');
+}
+
+/** Commit fields of a validated answer; null when it isn't a commit message. */
+export function commitFieldsOf(value) {
+  if (typeof value?.subject !== 'string' || typeof value?.body !== 'string') return null;
+  const fields = {
+    subject: value.subject.trim(),
+    body   : value.body.trim(),
+    footer : String(value.footer ?? '').trim(),
+  };
+  if (typeof value.type !== 'string') return fields;
+  return {
+    ...fields,
+    type    : value.type.trim(),
+    scope   : String(value.scope ?? '').trim(),
+    breaking: !!value.breaking,
+  };
+}
+
+export const isConventional = (fields) => typeof fields?.type === 'string';
+
+/** First line: `type(scope)!: subject`, or just the subject. */
+export function commitHeader(fields) {
+  if (!isConventional(fields)) return fields.subject;
+  const scope = fields.scope ? `(${fields.scope})` : '';
+  return `${fields.type}${scope}${fields.breaking ? '!' : ''}: ${fields.subject}`;
+}
+
+export function formatCommitMessage(fields) {
+  return [commitHeader(fields), fields.body, fields.footer].filter(Boolean).join('\n\n');
+}
+
+/** Problems worth fixing before committing; [] when the message is fine. */
+export function validateCommit(fields) {
+  const problems = [];
+  const header = commitHeader(fields);
+  if (!fields.subject) problems.push('Subject is empty.');
+  if (/\n/.test(fields.subject)) problems.push('Subject must be a single line.');
+  if (header.length > COMMIT_HEADER_MAX_CHARS) {
+    problems.push(`Subject line is ${header.length} characters; keep it to ${COMMIT_HEADER_MAX_CHARS}.`);
+  }
+  if (/\.$/.test(fields.subject)) problems.push('Subject ends with a period.');
+  if (isConventional(fields)) {
+    if (!CONVENTIONAL_TYPES.includes(fields.type)) {
+      problems.push(`"${fields.type}" is not a Conventional Commits type.`);
+    }
+    if (/[\s()]/.test(fields.scope)) problems.push('Scope must not contain spaces or parentheses.');
+  }
+  return problems;
+}
+
+/** `git commit -F -` with the message in a quoted heredoc (no shell expansion). */
+export function gitCommitCommand(message) {
+  const lines = new Set(message.split('\n'));
+  let delimiter = HEREDOC_DELIMITER;
+  for (let n = 2; lines.has(delimiter); n++) delimiter = `${HEREDOC_DELIMITER}_${n}`;
+  return `git commit -F - <<'${delimiter}'\n${message}\n${delimiter}`;
+}
+
+/* ─── since the prior commit ─── */
+const textOf = (m) => (Array.isArray(m.content) ? m.content : [])
+  .filter(b => b.type === 'text')
+  .map(b => b.text)
+  .join('');
+
+const excerpt = (text) => {
+  const line = text.trim().split('\n')[0];
+  return line.length > EXCERPT_CHARS ? `${line.slice(0, EXCERPT_CHARS)}…` : line;
+};
+
+/**
+ * Which turns of the shown branch the next commit covers. `path` is the
+ * branch (oldest first), `lastCommitId` the chat's last committed answer;
+ * a commit on another branch doesn't count.
+ * @returns {{ total: number, from: number, prior: string|null, firstText: string }}
+ */
+export function commitRange(path, lastCommitId) {
+  const userTurns = path.filter(m => m.role === 'user');
+  const at = lastCommitId ? path.findIndex(m => m.id === lastCommitId) : -1;
+  if (at < 0) {
+    return { total: userTurns.length, from: 1, prior: null, firstText: '' };
+  }
+  const row = path[at];
+  const fields = row.response_schema
+    ? commitFieldsOf(parseStructuredReply(textOf(row), row.response_schema).value)
+    : null;
+  const covered = path.slice(0, at + 1).filter(m => m.role === 'user').length;
+  const next = path.slice(at + 1).find(m => m.role === 'user');
+  return {
+    total    : userTurns.length,
+    from     : covered + 1,
+    prior    : fields ? commitHeader(fields) : excerpt(textOf(row)),
+    firstText: next ? excerpt(textOf(next)) : '',
+  };
+}
+
+/** The "what to describe" paragraph of a COMMIT prompt. */
+export function commitScopeNote({ total, from, prior, firstText }) {
+  if (!prior) {
+    return `NO PRIOR COMMIT: describe everything accomplished in this conversation so far (turns 1–${total}).`;
+  }
+  if (from > total) {
+    return `PRIOR COMMIT: "${prior}" already covers the whole conversation; say so if there is nothing new to commit.`;
+  }
+  return (
+    `PRIOR COMMIT: "${prior}" covered turns 1–${from - 1} of this conversation. ` +
+    `Describe ONLY what was accomplished in ${from === total ? `turn ${from}` : `turns ${from}–${total}`}, starting with the message ` +
+    `that begins "${firstText}". Everything before it is already committed.`
+  );
+}
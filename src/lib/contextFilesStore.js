@@ -0,0 +1,34 @@
+// src/lib/contextFilesStore.js
+import { get, set, del } from 'idb-keyval';
+import { checksum32 } from './checksum.js';
+
+/*
+  Per-chat copy of the files section that lives in a Gemini context cache.
+  The cache itself can't be read back and expires with its TTL, so we keep
+  the text locally to rebuild it (or inline it for other providers).
+  `messageId` is the user turn that staged it – only branches through that
+  turn have seen these files.
+*/
+
+const keyFor = (chatId) => `konzuko-context-files:${chatId}`;
+
+/** @returns {Promise<{ text: string, checksum: number, fileCount: number, messageId?: string } | null>} */
+export async function getContextFiles(chatId) {
+  if (!chatId) return null;
+  try {
+    return (await get(keyFor(chatId))) ?? null;
+  } catch (err) {
+    console.warn('[contextFilesStore] read failed:', err);
+    return null;
+  }
+}
+
+export async function setContextFiles(chatId, text, fileCount = 0, messageId = null) {
+  const entry = { text, checksum: checksum32(text), fileCount, messageId };
+  await set(keyFor(chatId), entry);
+  return entry;
+}
+
+export function clearContextFiles(chatId) {
+  return del(keyFor(chatId)).catch(() => {});
+}
@@ -11,6 +11,8 @@
 import { isTextLike, MAX_TEXT_FILE_SIZE, MAX_CHAR_LEN } from './fileTypeGuards.js';
 import { FILE_LIMIT, MAX_CUMULATIVE_FILE_SIZE }         from '../config.js';
 import { makeStagedFile }                               from '../codeImporter/state.js';
+import { getRootFile }                                  from './fsRoot.js';
+import { compileIgnoreRules, matchIgnore, CUSTOM_RULE_SOURCE } from './ignoreRules.js';
 
 /* -------------------------------------------------------------------------
    formatRejectionMessage
@@ -25,6 +27,7 @@ export function formatRejectionMessage(rejectionStats, context = 'folder scan')
     permissionDenied = 0,
     readError = 0,
     cumulativeSizeReached = 0,
+    ignored = 0,
   } = rejectionStats;
 
   const lines = [];
@@ -59,6 +62,10 @@ export function formatRejectionMessage(rejectionStats, context = 'folder scan')
     );
     hasSkipsOrErrors = true;
   }
+  if (ignored > 0) {
+    lines.push(`- ${ignored} item(s) skipped (matched an ignore rule).`);
+    hasSkipsOrErrors = true;
+  }
   if (permissionDenied > 0) {
     lines.push(`- ${permissionDenied} item(s) SKIPPED DUE TO PERMISSION ERROR.`);
     hasSkipsOrErrors = true;
@@ -77,15 +84,42 @@ export function formatRejectionMessage(rejectionStats, context = 'folder scan')
   return header + '\n' + lines.join('\n');
 }
 
+/* -------------------------------------------------------------------------
+   readGitignore
+   Rules from `<dirPath>/.gitignore`, or [] if the folder has none. Lines
+   that don't compile go to `invalid`; the rest of the file still applies.
+---------------------------------------------------------------------------*/
+async function readGitignore(dirHandle, dirPath, invalid) {
+  try {
+    const fh = await dirHandle.getFileHandle('.gitignore');
+    const text = await (await fh.getFile()).text();
+    return compileIgnoreRules(text, dirPath, dirPath ? `${dirPath}/.gitignore` : '.gitignore', invalid);
+  } catch (e) {
+    if (e.name !== 'NotFoundError' && e.name !== 'TypeMismatchError') {
+      console.warn(`[readGitignore] Cannot read ${dirPath || '.'}/.gitignore:`, e.name);
+    }
+    return [];
+  }
+}
+
 /* -------------------------------------------------------------------------
    scanDirectoryForMinimalMetadata
-   Walks the directory tree and returns minimal metadata (paths & kind) so
-   the UI can let the user choose what to stage without loading file content.
+   Walks the directory tree and returns minimal metadata (path, kind and
+   file size) so the UI can let the user choose what to stage without
+   loading file content.
+   Entries matching `ignorePatterns` or a .gitignore on their way up are
+   left out (ignored folders aren't entered); `ignored` lists how many
+   entries each rule excluded, `invalidRules` the pattern lines that were
+   skipped because they don't compile, and `rulesByDir` holds the rules in
+   effect in every walked folder for processAndStageSelectedFiles.
 ---------------------------------------------------------------------------*/
-export async function scanDirectoryForMinimalMetadata(rootHandle) {
-  const tops = [];
+export async function scanDirectoryForMinimalMetadata(rootHandle, { ignorePatterns = [] } = {}) {
+  let tops = [];
   const preliminaryMeta = [];
   const rejectionStats = { permissionDenied: 0, readError: 0, limitReached: 0 };
+  const rulesByDir = new Map();
+  const ignoredCounts = new Map(); // rule → entries excluded
+  const invalidRules = [];
 
   console.log('[scanMinimalMetadata] Starting for root:', rootHandle.name);
 
@@ -97,25 +131,41 @@ export async function scanDirectoryForMinimalMetadata(rootHandle) {
   } catch (e) {
     console.error('[scanMinimalMetadata] Error listing top entries:', e);
     rejectionStats.permissionDenied++;
-    return { tops, meta: preliminaryMeta, rejectionStats };
+    return { tops, meta: preliminaryMeta, rejectionStats, ignored: [], invalidRules, rulesByDir };
   }
 
   /* BFS walk the directory tree */
-  const queue = [{ handle: rootHandle, pathPrefix: '' }];
+  const customRules = compileIgnoreRules(ignorePatterns.join('\n'), '', CUSTOM_RULE_SOURCE, invalidRules);
+  const queue = [{ handle: rootHandle, pathPrefix: '', rules: customRules }];
 
   while (queue.length > 0) {
     const current = queue.shift();
     if (!current || !current.handle) continue;
 
+    // a folder's own .gitignore applies to everything below it
+    const rules = [...current.rules, ...await readGitignore(current.handle, current.pathPrefix, invalidRules)];
+    rulesByDir.set(current.pathPrefix, rules);
+
     try {
       for await (const [name, childHandle] of current.handle.entries()) {
         const relativePath = current.pathPrefix
           ? `${current.pathPrefix}/${name}`
           : name;
-        preliminaryMeta.push({ path: relativePath, kind: childHandle.kind });
+        const isDir = childHandle.kind === 'directory';
+        const rule = matchIgnore(rules, relativePath, isDir);
+        if (rule) {
+          ignoredCounts.set(rule, (ignoredCounts.get(rule) || 0) + 1);
+          continue;
+        }
+        let size = null;
+        if (!isDir) {
+          try { size = (await childHandle.getFile()).size; }
+          catch { /* listed but unreadable – staging will report it */ }
+        }
+        preliminaryMeta.push({ path: relativePath, kind: childHandle.kind, size });
 
-        if (childHandle.kind === 'directory') {
-          queue.push({ handle: childHandle, pathPrefix: relativePath });
+        if (isDir) {
+          queue.push({ handle: childHandle, pathPrefix: relativePath, rules });
         }
       }
     } catch (dirError) {
@@ -128,20 +178,53 @@ export async function scanDirectoryForMinimalMetadata(rootHandle) {
     }
   }
 
+  const kept = new Set(preliminaryMeta.map(m => m.path));
+  tops = tops.filter(t => kept.has(t.name));
+  const ignored = [...ignoredCounts]
+    .map(([rule, count]) => ({ source: rule.source, pattern: rule.pattern, count }))
+    .sort((a, b) => b.count - a.count);
+
   console.log(
     '[scanMinimalMetadata] Complete. Preliminary meta items:',
-    preliminaryMeta.length
+    preliminaryMeta.length,
+    'ignored:',
+    ignored.reduce((n, r) => n + r.count, 0)
   );
-  return { tops, meta: preliminaryMeta, rejectionStats };
+  return { tops, meta: preliminaryMeta, rejectionStats, ignored, invalidRules, rulesByDir };
+}
+
+/* handle for a root-relative path; `dirHandles` caches the folders on the
+   way so sibling files don't walk from the root again */
+async function resolveHandle(root, path, kind, dirHandles) {
+  const slash = path.lastIndexOf('/');
+  const parentPath = slash > 0 ? path.slice(0, slash) : '';
+  const name = path.slice(slash + 1);
+
+  let dir = dirHandles.get(parentPath);
+  if (!dir) {
+    dir = root;
+    let walked = '';
+    for (const part of parentPath.split('/')) {
+      walked = walked ? `${walked}/${part}` : part;
+      const cached = dirHandles.get(walked);
+      dir = cached ?? await dir.getDirectoryHandle(part, { create: false });
+      if (!cached) dirHandles.set(walked, dir);
+    }
+  }
+  return kind === 'file'
+    ? dir.getFileHandle(name, { create: false })
+    : dir.getDirectoryHandle(name, { create: false });
 }
 
 /* -------------------------------------------------------------------------
    processAndStageSelectedFiles
    Reads the actual file contents of the user-selected items and creates the
    in-memory “staged files” payload (used later to build the prompt).
+   `rulesByDir` (from the scan) keeps ignored entries out of selected
+   folders, including ones created since the scan.
 ---------------------------------------------------------------------------*/
 export async function processAndStageSelectedFiles(state) {
-  const { root, meta, selected } = state;
+  const { root, meta, selected, rulesByDir } = state;
 
   const out = [];
   const rejectionStats = {
@@ -152,6 +235,7 @@ export async function processAndStageSelectedFiles(state) {
     permissionDenied: 0,
     limitReached: 0,
     cumulativeSizeReached: 0,
+    ignored: 0,
   };
   let cumulativeSize = 0;
 
@@ -164,17 +248,14 @@ export async function processAndStageSelectedFiles(state) {
 
   const queue = [];
 
-  /* Seed the queue with the top-level selections */
-  for (const topLevelName of selected) {
-    const metaItem = meta.find((m) => m.path === topLevelName);
-    if (!metaItem) continue;
+  /* Seed the queue with the selections (files or folders at any depth),
+     in scan order */
+  const dirHandles = new Map([['', root]]);
+  for (const metaItem of meta) {
+    if (!selected.has(metaItem.path)) continue;
 
     try {
-      const handle =
-        metaItem.kind === 'file'
-          ? await root.getFileHandle(metaItem.path, { create: false })
-          : await root.getDirectoryHandle(metaItem.path, { create: false });
-
+      const handle = await resolveHandle(root, metaItem.path, metaItem.kind, dirHandles);
       queue.push({ handle, path: metaItem.path, kind: metaItem.kind });
     } catch (e) {
       console.error(`[processAndStage] Cannot access ${metaItem.path}:`, e);
@@ -233,10 +314,16 @@ export async function processAndStageSelectedFiles(state) {
         cumulativeSize += file.size;
       } else if (kind === 'directory') {
         /* enqueue children */
+        const rules = rulesByDir?.get(path) ?? [];
         for await (const entry of handle.values()) {
+          const childPath = `${path}/${entry.name}`;
+          if (matchIgnore(rules, childPath, entry.kind === 'directory')) {
+            rejectionStats.ignored++;
+            continue;
+          }
           queue.push({
             handle: entry,
-            path: `${path}/${entry.name}`,
+            path: childPath,
             kind: entry.kind,
           });
         }
@@ -256,3 +343,53 @@ export async function processAndStageSelectedFiles(state) {
   );
   return { stagedFiles: out, rejectionStats };
 }
+
+/* -------------------------------------------------------------------------
+   resyncStagedFiles
+   Re-reads staged project files from their root handles (live mode).
+   `roots` maps rootName → FileSystemDirectoryHandle; individually added
+   documents are left as they are, and project files whose root isn't in
+   `roots` are reported as noRoot.
+   Returns { updates: { [id]: { text, size, charCount } }, deletedIds,
+   changed, deleted, unreadable, noRoot, overLimit } – all but the first
+   two as paths – without touching state.
+   A file that can no longer be staged (too big, unreadable, or growing
+   the set past MAX_CUMULATIVE_FILE_SIZE) keeps its previous contents and
+   is reported as unreadable or overLimit.
+---------------------------------------------------------------------------*/
+export async function resyncStagedFiles(roots, files) {
+  const updates = {};
+  const changed = [];
+  const deleted = [];
+  const unreadable = [];
+  const noRoot = [];
+  const overLimit = [];
+  let total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+
+  for (const f of files) {
+    if (!f.insideProject) continue;
+    const root = roots.get(f.rootName);
+    if (!root) { noRoot.push(f.path); continue; }
+    try {
+      const file = await getRootFile(root, f.path);
+      if (!file) { deleted.push(f); total -= f.size || 0; continue; }
+      if (file.size > MAX_TEXT_FILE_SIZE) { unreadable.push(f.path); continue; }
+      const text = await file.text();
+      if (text.length > MAX_CHAR_LEN) { unreadable.push(f.path); continue; }
+      if (text !== f.text) {
+        const grown = total - (f.size || 0) + file.size;
+        if (grown > MAX_CUMULATIVE_FILE_SIZE) { overLimit.push(f.path); continue; }
+        total = grown;
+        updates[f.id] = { text, size: file.size, charCount: text.length };
+        changed.push(f.path);
+      }
+    } catch (e) {
+      console.warn(`[resyncStagedFiles] Cannot read ${f.path}:`, e);
+      unreadable.push(f.path);
+    }
+  }
+  return {
+    updates, changed, deleted: deleted.map(f => f.path), deletedIds: deleted.map(f => f.id),
+    unreadable, noRoot, overLimit,
+  };
+}
@@ -1,7 +1,8 @@
-/*  src/lib/fsRoot.js  – unchanged  */
-import { get, set, del } from 'idb-keyval';
+/*  src/lib/fsRoot.js  */
+import { get, set, del, update } from 'idb-keyval';
 
 const KEY = 'konzuko-project-root';
+const ROOTS_KEY = 'konzuko-project-roots'; // rootName → handle of every staged project
 
 /* ─── load / save / clear ─── */
 export async function loadRoot() {
@@ -17,6 +18,27 @@ export async function loadRoot() {
 export const saveRoot  = h => set(KEY, h);
 export const clearRoot = () => del(KEY);
 
+/* ─── staged projects (live re-reads after a reload) ─── */
+export const rememberProjectRoot = h =>
+  update(ROOTS_KEY, (roots = {}) => ({ ...roots, [h.name]: h }));
+
+/* Handles for `names` that still grant read access, as rootName → handle.
+   Asking again needs a user gesture; names left out have no access. */
+export async function loadProjectRoots(names) {
+  const stored = (await get(ROOTS_KEY)) || {};
+  const roots = new Map();
+  for (const name of names) {
+    const h = stored[name];
+    if (!h) continue;
+    try {
+      let p = await h.queryPermission({ mode: 'read' });
+      if (p === 'prompt') p = await h.requestPermission({ mode: 'read' });
+      if (p === 'granted') roots.set(name, h);
+    } catch {}
+  }
+  return roots;
+}
+
 /* ─── relative path helper ─── */
 export async function getFullPath(fileHandle, rootHandle) {
   if (rootHandle) {
@@ -27,3 +49,59 @@ export async function getFullPath(fileHandle, rootHandle) {
   }
   return { fullPath: fileHandle.name, insideProject: false };
 }
+
+/* ─── write access (apply answers back to the project) ───
+   Must run inside a user gesture: both the permission prompt and the
+   folder picker need one. */
+export async function loadWritableRoot({ pick = true } = {}) {
+  let h = await get(KEY);
+  if (h) {
+    try {
+      let p = await h.queryPermission({ mode: 'readwrite' });
+      if (p === 'prompt') p = await h.requestPermission({ mode: 'readwrite' });
+      if (p === 'granted') return h;
+    } catch {}
+  }
+  if (!pick || !window.showDirectoryPicker) return null;
+  h = await window.showDirectoryPicker({ mode: 'readwrite' });
+  await saveRoot(h);
+  return h;
+}
+
+async function walkTo(rootHandle, relPath, create) {
+  const parts = relPath.split('/');
+  const name = parts.pop();
+  let dir = rootHandle;
+  for (const part of parts) dir = await dir.getDirectoryHandle(part, { create });
+  return dir.getFileHandle(name, { create });
+}
+
+/* File at `relPath` under the root, or null if it doesn't exist */
+export async function getRootFile(rootHandle, relPath) {
+  try {
+    const fh = await walkTo(rootHandle, relPath, false);
+    return await fh.getFile();
+  } catch (err) {
+    if (err?.name === 'NotFoundError' || err?.name === 'TypeMismatchError') return null;
+    throw err;
+  }
+}
+
+/* text of `relPath` under the root, or null if it doesn't exist */
+export async function readRootFile(rootHandle, relPath) {
+  const file = await getRootFile(rootHandle, relPath);
+  return file ? file.text() : null;
+}
+
+/* creates missing folders; replaces the file's contents */
+export async function writeRootFile(rootHandle, relPath, text) {
+  const fh = await walkTo(rootHandle, relPath, true);
+  const w = await fh.createWritable();
+  try {
+    await w.write(text);
+    await w.close();
+  } catch (err) {
+    await w.abort().catch(() => {}); // leave the old contents in place
+    throw err;
+  }
+}
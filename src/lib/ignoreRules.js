@@ -0,0 +1,125 @@
+// src/lib/ignoreRules.js
+/*
+  .gitignore-style filtering for folder scans.
+
+  • compileIgnoreRules(text, baseDir, source, invalid) – one rule per
+    pattern line, scoped to `baseDir` the way git scopes a nested
+    .gitignore; a line that can't be compiled is skipped and reported in
+    `invalid` instead of failing the whole file
+  • matchIgnore(rules, path, isDir)          – last matching rule wins;
+    returns the rule if `path` is ignored, else null
+  • load/saveIgnorePatterns(rootName)        – the per-project custom list
+
+  Supported: comments, blank lines, `!` negation, trailing `/` (dirs only),
+  leading or inner `/` (anchored), `*`, `?`, `[...]`, `**`, `\` escapes.
+  Precedence follows git: custom list (like .git/info/exclude) first, then
+  .gitignore files from the root downwards.
+*/
+import { DEFAULT_IGNORE_PATTERNS, LOCALSTORAGE_IGNORE_PATTERNS_KEY } from '../config.js';
+
+export const CUSTOM_RULE_SOURCE = 'custom';
+
+const escapeRe = (c) => c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function globToRegex(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '\\' && i + 1 < glob.length) { re += escapeRe(glob[++i]); continue; }
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        if (atStart && atEnd) {
+          // "**/" any leading dirs, "/**" everything inside
+          if (i + 2 === glob.length) re += '.*';
+          else { re += '(?:.*/)?'; i++; }
+          i++;
+          continue;
+        }
+      }
+      re += '[^/]*';
+      continue;
+    }
+    if (c === '?') { re += '[^/]'; continue; }
+    if (c === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end > 0) {
+        let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (cls[0] === '!') cls = '^' + cls.slice(1);
+        re += `[${cls}]`;
+        i = end;
+        continue;
+      }
+    }
+    re += escapeRe(c);
+  }
+  return re;
+}
+
+/**
+ * Parses .gitignore text into rules relative to `baseDir` ('' = root).
+ * Lines that don't compile are pushed to `invalid` as
+ * { source, pattern, message } when it is given.
+ */
+export function compileIgnoreRules(text, baseDir = '', source = '.gitignore', invalid = null) {
+  const rules = [];
+  String(text).split(/\r?\n/).forEach((raw) => {
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) return;
+    const pattern = line;
+
+    const negated = line.startsWith('!');
+    if (negated) line = line.slice(1);
+    else if (line.startsWith('\\!') || line.startsWith('\\#')) line = line.slice(1);
+
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    if (!line) return;
+
+    // a slash anywhere but the end anchors the pattern to baseDir
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+
+    const prefix = baseDir ? `${escapeRe(baseDir)}/` : '';
+    const body = globToRegex(line);
+    let regex;
+    try {
+      regex = new RegExp(anchored ? `^${prefix}${body}$` : `^${prefix}(?:.*/)?${body}$`);
+    } catch (err) {
+      console.warn(`[ignoreRules] skipping invalid pattern in ${source}: ${pattern}`, err.message);
+      invalid?.push({ source, pattern, message: err.message });
+      return;
+    }
+    rules.push({ source, pattern, negated, dirOnly, regex });
+  });
+  return rules;
+}
+
+/** The rule that ignores `path`, or null if it is kept. */
+export function matchIgnore(rules, path, isDir) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const r = rules[i];
+    if (r.dirOnly && !isDir) continue;
+    if (r.regex.test(path)) return r.negated ? null : r;
+  }
+  return null;
+}
+
+/* ─── per-project custom list (keyed by root folder name) ─── */
+function readAll() {
+  try { return JSON.parse(localStorage.getItem(LOCALSTORAGE_IGNORE_PATTERNS_KEY) || '{}'); }
+  catch { return {}; }
+}
+
+export function loadIgnorePatterns(rootName) {
+  const list = readAll()[rootName];
+  return Array.isArray(list) ? list : DEFAULT_IGNORE_PATTERNS;
+}
+
+export function saveIgnorePatterns(rootName, patterns) {
+  const all = readAll();
+  all[rootName] = patterns;
+  try { localStorage.setItem(LOCALSTORAGE_IGNORE_PATTERNS_KEY, JSON.stringify(all)); }
+  catch (e) { console.warn('[ignoreRules] could not save ignore list:', e); }
+}
@@ -0,0 +1,156 @@
+// src/lib/lineDiff.js
+/*
+  Line diff (Myers O(ND)) for previewing file writes and staged-file diffs.
+
+  diffLines(old, new) → rows  { type: 'equal' | 'del' | 'add', text, oldNo, newNo }
+  toHunks(rows, ctx)  → hunks { oldStart, oldLines, newStart, newLines, rows }
+  diffStats(rows)     → { added, removed }
+  unifiedDiff(old, new, path) → "--- a/…" text for prompts
+
+  Line endings are normalised to \n first, so a CRLF file and its LF
+  rewrite compare equal line by line.
+*/
+
+// beyond this many edits the trace gets large; show it as a full rewrite
+const MAX_EDIT_DISTANCE = 4000;
+
+export const splitLines = (text = '') => {
+  const norm = String(text).replace(/\r\n?/g, '\n');
+  if (norm === '') return [];
+  const lines = norm.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop(); // trailing newline ≠ extra line
+  return lines;
+};
+
+/* edit script between a and b as 'equal' | 'del' | 'add' ops, or null if
+   the edit distance exceeds `limit` */
+function myers(a, b, limit) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, limit);
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const snaps = [];
+
+  let found = -1;
+  outer: for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1]))
+        ? v[off + k + 1]
+        : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) { found = d; break outer; }
+    }
+    snaps.push(v.slice(off - d, off + d + 1));
+  }
+  if (found < 0) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = snaps[d - 1];
+    const get = (k) => prev[k + d - 1];
+    const k = x - y;
+    const down = k === -d || (k !== d && get(k - 1) < get(k + 1));
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { ops.push('equal'); x--; y--; }
+    if (down) { ops.push('add'); y--; } else { ops.push('del'); x--; }
+  }
+  while (x > 0 && y > 0) { ops.push('equal'); x--; y--; }
+  return ops.reverse();
+}
+
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // common prefix/suffix are cheap and usually most of a file
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre &&
+         a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const midA = a.slice(pre, a.length - suf);
+  const midB = b.slice(pre, b.length - suf);
+  const midOps = myers(midA, midB, MAX_EDIT_DISTANCE) ?? [
+    ...midA.map(() => 'del'),
+    ...midB.map(() => 'add'),
+  ];
+  const ops = [
+    ...Array(pre).fill('equal'),
+    ...midOps,
+    ...Array(suf).fill('equal'),
+  ];
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  for (const type of ops) {
+    if (type === 'equal')    rows.push({ type, text: a[i], oldNo: ++i, newNo: ++j });
+    else if (type === 'del') rows.push({ type, text: a[i], oldNo: ++i, newNo: null });
+    else                     rows.push({ type, text: b[j], oldNo: null, newNo: ++j });
+  }
+  return rows;
+}
+
+export function diffStats(rows) {
+  let added = 0;
+  let removed = 0;
+  for (const r of rows) {
+    if (r.type === 'add') added++;
+    else if (r.type === 'del') removed++;
+  }
+  return { added, removed };
+}
+
+/** Groups changed rows with `context` unchanged lines around them. */
+export function toHunks(rows, context = 3) {
+  const hunks = [];
+  let cur = null;
+  let lastChange = -Infinity;
+
+  rows.forEach((r, idx) => {
+    if (r.type === 'equal') return;
+    if (!cur || idx - lastChange > 2 * context + 1) {
+      if (cur) hunks.push(cur);
+      cur = { from: Math.max(idx - context, 0), to: idx };
+    }
+    cur.to = idx;
+    lastChange = idx;
+  });
+  if (cur) hunks.push(cur);
+
+  return hunks.map(({ from, to }) => {
+    const slice = rows.slice(from, Math.min(to + context + 1, rows.length));
+    const firstOld = slice.find(r => r.oldNo != null);
+    const firstNew = slice.find(r => r.newNo != null);
+    return {
+      oldStart: firstOld?.oldNo ?? 0,
+      oldLines: slice.filter(r => r.type !== 'add').length,
+      newStart: firstNew?.newNo ?? 0,
+      newLines: slice.filter(r => r.type !== 'del').length,
+      rows    : slice,
+    };
+  });
+}
+
+/**
+ * Unified diff text (`--- a/path` / `+++ b/path` / `@@ … @@` hunks), as
+ * sent to the model for files that changed since the last turn.
+ */
+export function unifiedDiff(oldText, newText, path, context = 3) {
+  const out = [`--- a/${path}`, `+++ b/${path}`];
+  for (const h of toHunks(diffLines(oldText, newText), context)) {
+    out.push(`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`);
+    for (const r of h.rows) {
+      out.push(`${r.type === 'add' ? '+' : r.type === 'del' ? '-' : ' '}${r.text}`);
+    }
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,99 @@
+// src/lib/messageTree.js
+
+/*
+  Messages form a tree through `parent_id`; a chat's visible conversation
+  is the path from the root to its active leaf.
+
+  Soft-deleted rows stay in the tree for structure only: their children
+  hang off the nearest live ancestor and they never appear in a path.
+  Siblings are ordered oldest → newest.
+*/
+
+const ROOT = '__root__';
+const key = (id) => (id == null ? ROOT : String(id));
+
+export function buildMessageTree(rows = []) {
+  const byId = new Map(rows.map(r => [key(r.id), r]));
+  const liveParent = new Map();          // id → live ancestor id | ROOT
+  const children = new Map([[ROOT, []]]);
+
+  const findLiveParent = (row) => {
+    let pid = row.parent_id;
+    // bounded walk – a corrupt parent cycle must not hang the UI
+    for (let hops = 0; pid != null && hops <= rows.length; hops++) {
+      const p = byId.get(key(pid));
+      if (!p) return ROOT;
+      if (!p.deleted_at) return key(p.id);
+      pid = p.parent_id;
+    }
+    return ROOT;
+  };
+
+  for (const row of rows) {
+    if (row.deleted_at) continue;
+    const pid = findLiveParent(row);
+    liveParent.set(key(row.id), pid);
+    if (!children.has(pid)) children.set(pid, []);
+    children.get(pid).push(row);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+  }
+  return { byId, liveParent, children };
+}
+
+/** Follows the newest child at every step, starting at `id` (or the root). */
+export function newestLeafUnder(tree, id = null) {
+  let cur = id == null ? null : tree.byId.get(key(id));
+  if (cur?.deleted_at) return null;
+  let list = tree.children.get(key(cur?.id ?? null));
+  while (list?.length) {
+    cur = list[list.length - 1];
+    list = tree.children.get(key(cur.id));
+  }
+  return cur ? cur.id : null;
+}
+
+/**
+ * The leaf to display. A deleted leaf falls back to its nearest live
+ * ancestor (deleting the last answer shows the question again); an
+ * unknown or missing leaf falls back to the newest branch.
+ */
+export function resolveLeaf(tree, leafId) {
+  const row = leafId == null ? null : tree.byId.get(key(leafId));
+  if (!row) return newestLeafUnder(tree);
+  if (!row.deleted_at) return row.id;
+
+  let pid = row.parent_id;
+  for (let hops = 0; pid != null && hops <= tree.byId.size; hops++) {
+    const p = tree.byId.get(key(pid));
+    if (!p) break;
+    if (!p.deleted_at) return p.id;
+    pid = p.parent_id;
+  }
+  return newestLeafUnder(tree);
+}
+
+/** Live messages from the root down to `leafId`, in order. */
+export function pathTo(tree, leafId) {
+  const path = [];
+  let id = leafId == null ? ROOT : key(leafId);
+  while (id !== ROOT && path.length <= tree.byId.size) {
+    const row = tree.byId.get(id);
+    if (!row || row.deleted_at) break;
+    path.push(row);
+    id = tree.liveParent.get(id) ?? ROOT;
+  }
+  return path.reverse();
+}
+
+/** All live alternatives at the position of `id`, including itself. */
+export function siblingsOf(tree, id) {
+  const pid = tree.liveParent.get(key(id));
+  return pid ? tree.children.get(pid) ?? [] : [];
+}
+
+/** Live continuations of `id`, oldest → newest. */
+export function childrenOf(tree, id) {
+  return tree.children.get(key(id)) ?? [];
+}
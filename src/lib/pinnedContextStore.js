@@ -0,0 +1,96 @@
+// src/lib/pinnedContextStore.js
+import { get, set, update, del } from 'idb-keyval';
+import { PINNED_CONTEXT_DEFAULT_POLICY } from '../config.js';
+
+/*
+  Per-chat "pinned context": the files staged in a task, kept across
+  sends and reloads, plus how they travel with each turn and which turns
+  carried them.
+    files    – staged file objects (see codeImporter/state.js)
+    policy   – 'every' | 'changed' | 'delta'  (see codeImporter/contextPolicy.js)
+    carriers – one per answered send, oldest first:
+      messageId  – the user turn that carried the files
+      sent       – { [fileKey]: checksum } of the files as of that turn
+      sentTexts  – { [fileKey]: text } of the same ('delta' only), for diffs
+      snapshotId – the turn whose context-cache snapshot (contextFilesStore)
+                   this turn builds on, or null when it needs none
+  A branch has seen exactly what the carriers on its path carried, so
+  forks, edits and deleted turns don't count as sent.
+*/
+
+const keyFor = (chatId) => `konzuko-pinned-context:${chatId}`;
+
+// older carriers only matter for branches far back; those resend in full
+const MAX_CARRIERS = 10;
+
+const EMPTY = { files: [], policy: PINNED_CONTEXT_DEFAULT_POLICY, carriers: [] };
+
+/** @returns {Promise<{ files: object[], policy: string, carriers: object[] }>} */
+export async function getPinnedContext(chatId) {
+  if (!chatId) return { ...EMPTY };
+  try {
+    return { ...EMPTY, ...(await get(keyFor(chatId))) };
+  } catch (err) {
+    console.warn('[pinnedContextStore] read failed:', err);
+    return { ...EMPTY };
+  }
+}
+
+function patch(chatId, changes) {
+  if (!chatId) return Promise.resolve();
+  return update(keyFor(chatId), (entry) => ({ ...EMPTY, ...entry, ...changes }))
+    .catch(err => console.warn('[pinnedContextStore] write failed:', err));
+}
+
+/* Per-send flags are not part of the pinned copy. With nothing staged
+   the file copies and send bookkeeping go; only a chosen policy stays. */
+export async function savePinnedFiles(chatId, files) {
+  if (files.length) return patch(chatId, { files: files.map(({ changed, ...f }) => f) });
+  const { policy } = await getPinnedContext(chatId);
+  if (policy === PINNED_CONTEXT_DEFAULT_POLICY) return clearPinnedContext(chatId);
+  return patch(chatId, { ...EMPTY, policy });
+}
+
+export const setPinnedPolicy = (chatId, policy) => patch(chatId, { policy });
+
+export function markPinnedSent(chatId, carrier) {
+  if (!chatId) return Promise.resolve();
+  return update(keyFor(chatId), (entry) => {
+    const next = { ...EMPTY, ...entry };
+    next.carriers = [...(next.carriers ?? []), carrier].slice(-MAX_CARRIERS);
+    return next;
+  }).catch(err => console.warn('[pinnedContextStore] write failed:', err));
+}
+
+/** Newest carrier on `path` (the branch, oldest first), or null. */
+export function carrierOnPath(entry, path) {
+  const ids = new Set(path.map(m => m.id));
+  const carriers = entry?.carriers ?? [];
+  for (let i = carriers.length - 1; i >= 0; i--) {
+    if (ids.has(carriers[i].messageId)) return carriers[i];
+  }
+  return null;
+}
+
+/**
+ * What the branch has already seen, for planContextSend: its newest
+ * carrier, unless that relied on a cache snapshot that has since been
+ * replaced or dropped (`snapshotId` – the stored snapshot's turn).
+ */
+export function sentOnPath(entry, path, snapshotId) {
+  const carrier = carrierOnPath(entry, path);
+  if (!carrier) return null;
+  if (carrier.snapshotId && carrier.snapshotId !== snapshotId) return null;
+  return carrier;
+}
+
+export function clearPinnedContext(chatId) {
+  return del(keyFor(chatId)).catch(() => {});
+}
+
+/** Puts back an entry read before clearPinnedContext (undoing a task delete). */
+export function restorePinnedContext(chatId, entry) {
+  if (!chatId || !entry) return Promise.resolve();
+  return set(keyFor(chatId), entry)
+    .catch(err => console.warn('[pinnedContextStore] restore failed:', err));
+}
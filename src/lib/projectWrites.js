@@ -0,0 +1,76 @@
+// src/lib/projectWrites.js
+/*
+  Writes code blocks from an answer back into the project folder.
+
+  prepareFileWrites(targets) → { root, items } reads what is on disk now so
+  the UI can show a diff; commitFileWrites(root, items) writes the selected
+  ones. Nothing is written without a preview first.
+*/
+import { loadWritableRoot, readRootFile, writeRootFile } from './fsRoot.js';
+import { normalizeTargetPath } from './codeTargets.js';
+import { diffLines, diffStats } from './lineDiff.js';
+
+/* keep the file's own conventions: CRLF stays CRLF, and a file that
+   ended with a newline still does (fences drop the last one) */
+function matchFileStyle(newText, oldText) {
+  let text = newText.replace(/\r\n?/g, '\n');
+  if (oldText == null || oldText.endsWith('\n') || oldText.endsWith('\r')) {
+    if (!text.endsWith('\n')) text += '\n';
+  }
+  return oldText?.includes('\r\n') ? text.replace(/\n/g, '\r\n') : text;
+}
+
+/**
+ * Asks for readwrite access (picking the folder if none is stored) and
+ * diffs every target against disk. Must be called from a click handler.
+ * Later blocks for the same path win, as they would when pasting by hand.
+ */
+export async function prepareFileWrites(targets) {
+  const root = await loadWritableRoot();
+  if (!root) throw new Error('No project folder with write access.');
+
+  const byPath = new Map();
+  for (const t of targets) {
+    const path = normalizeTargetPath(t.path, root.name);
+    if (!path) {
+      byPath.set(t.path, { path: t.path, status: 'invalid', selected: false });
+      continue;
+    }
+    byPath.set(path, { path, code: t.code });
+  }
+
+  const items = [];
+  for (const item of byPath.values()) {
+    if (item.status === 'invalid') { items.push(item); continue; }
+    try {
+      const oldText = await readRootFile(root, item.path);
+      const newText = matchFileStyle(item.code, oldText);
+      const rows = diffLines(oldText ?? '', newText);
+      const stats = diffStats(rows);
+      // line-ending-only differences count as unchanged
+      const status = oldText == null ? 'new'
+        : stats.added || stats.removed ? 'changed'
+        : 'unchanged';
+      items.push({ path: item.path, oldText, newText, rows, stats, status, selected: status !== 'unchanged' });
+    } catch (err) {
+      items.push({ path: item.path, status: 'error', error: err.message, selected: false });
+    }
+  }
+  return { root, items };
+}
+
+/** Writes the selected items in order; one failure doesn't stop the rest. */
+export async function commitFileWrites(root, items) {
+  const written = [];
+  const failed = [];
+  for (const item of items) {
+    if (!item.selected || item.newText == null) continue;
+    try {
+      await writeRootFile(root, item.path, item.newText);
+      written.push(item.path);
+    } catch (err) {
+      failed.push({ path: item.path, error: err.message });
+    }
+  }
+  return { written, failed };
+}
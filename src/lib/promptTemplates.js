@@ -0,0 +1,154 @@
+// src/lib/promptTemplates.js
+/*
+  Custom modes for the prompt builder.
+
+  A template is { id, name, fields, template, include_files } as stored in
+  prompt_templates. `fields` are the inputs shown for the mode
+  ([{ key, label, placeholder, rows, required }]) and `template` is the
+  prompt text, where {{key}} is replaced by that field's value and
+  {{date}} by today's date. A line whose placeholders all come out empty
+  is dropped, so optional fields don't leave "LABEL:" lines behind.
+
+  Templates are shared as JSON: { format: 'konzuko-prompt-templates',
+  version: 1, templates: [...] }. A bare template or array also imports.
+*/
+
+export const BUILTIN_MODES = ['DEVELOP', 'CODE CHECK', 'COMMIT'];
+
+export const TEMPLATE_EXPORT_FORMAT = 'konzuko-prompt-templates';
+export const TEMPLATE_EXPORT_VERSION = 1;
+
+const MAX_FIELDS = 12;
+const MAX_TEMPLATE_CHARS = 20_000;
+const FIELD_KEY = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+/* ─── modes ─── */
+const MODE_PREFIX = 'template:';
+
+export const templateMode = (template) => `${MODE_PREFIX}${template.id}`;
+export const isTemplateMode = (mode) => typeof mode === 'string' && mode.startsWith(MODE_PREFIX);
+
+/* ─── rendering ─── */
+export function renderTemplate(template, values = {}) {
+  const lookup = (key) => {
+    if (key === 'date') return new Date().toISOString().slice(0, 10);
+    return String(values[key] ?? '').trim();
+  };
+  return String(template.template ?? '')
+    .split('\n')
+    .flatMap((line) => {
+      const keys = [...line.matchAll(PLACEHOLDER)].map(m => m[1]);
+      if (keys.length && keys.every(k => !lookup(k))) return [];
+      return [line.replace(PLACEHOLDER, (_, k) => lookup(k))];
+    })
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** Labels of required fields that are still empty. */
+export function missingRequiredFields(template, values = {}) {
+  return (template?.fields ?? [])
+    .filter(f => f.required && !String(values[f.key] ?? '').trim())
+    .map(f => f.label || f.key);
+}
+
+/* ─── validation ─── */
+function normalizeField(raw, i) {
+  if (!raw || typeof raw !== 'object') throw new PromptTemplateError(`Field ${i + 1} is not an object.`);
+  const key = String(raw.key ?? '').trim();
+  if (!FIELD_KEY.test(key)) {
+    throw new PromptTemplateError(`Field ${i + 1}: key "${key}" must start with a letter and use only letters, digits and _.`);
+  }
+  if (key === 'date') throw new PromptTemplateError('Field key "date" is reserved.');
+  const rows = Number(raw.rows);
+  return {
+    key,
+    label: String(raw.label ?? key).trim().slice(0, 60) || key,
+    placeholder: String(raw.placeholder ?? '').slice(0, 200),
+    rows: Number.isInteger(rows) && rows >= 1 && rows <= 12 ? rows : 2,
+    required: !!raw.required,
+  };
+}
+
+/**
+ * Checks a template from the editor or an import and returns the columns
+ * to store: { name, fields, template, include_files }.
+ */
+export function normalizeTemplate(raw) {
+  if (!raw || typeof raw !== 'object') throw new PromptTemplateError('Template is not an object.');
+  const name = String(raw.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name || name.length > 40) throw new PromptTemplateError('Name must be 1–40 characters.');
+  if (BUILTIN_MODES.includes(name.toUpperCase())) {
+    throw new PromptTemplateError(`"${name}" is a built-in mode.`);
+  }
+
+  const fields = (Array.isArray(raw.fields) ? raw.fields : []).map(normalizeField);
+  if (fields.length > MAX_FIELDS) throw new PromptTemplateError(`At most ${MAX_FIELDS} fields.`);
+  const seen = new Set();
+  for (const f of fields) {
+    if (seen.has(f.key)) throw new PromptTemplateError(`Field key "${f.key}" is used twice.`);
+    seen.add(f.key);
+  }
+
+  const template = String(raw.template ?? '');
+  if (!template.trim()) throw new PromptTemplateError('Template text is empty.');
+  if (template.length > MAX_TEMPLATE_CHARS) {
+    throw new PromptTemplateError(`Template text is over ${MAX_TEMPLATE_CHARS.toLocaleString()} characters.`);
+  }
+  const unknown = [...template.matchAll(PLACEHOLDER)]
+    .map(m => m[1])
+    .filter(k => k !== 'date' && !seen.has(k));
+  if (unknown.length) {
+    throw new PromptTemplateError(`Unknown placeholder(s): ${[...new Set(unknown)].map(k => `{{${k}}}`).join(', ')}`);
+  }
+
+  return { name, fields, template, include_files: !!(raw.include_files ?? raw.includeFiles) };
+}
+
+/* ─── sharing ─── */
+export function templatesToJson(templates) {
+  return JSON.stringify({
+    format: TEMPLATE_EXPORT_FORMAT,
+    version: TEMPLATE_EXPORT_VERSION,
+    templates: templates.map(({ name, fields, template, include_files }) => ({ name, fields, template, include_files })),
+  }, null, 2);
+}
+
+/** Parsed JSON → normalized templates; throws PromptTemplateError. */
+export function parseTemplatesJson(doc) {
+  let list;
+  if (Array.isArray(doc)) list = doc;
+  else if (doc?.format === TEMPLATE_EXPORT_FORMAT) {
+    if (doc.version > TEMPLATE_EXPORT_VERSION) {
+      throw new PromptTemplateError(`File is from a newer version (${doc.version}).`);
+    }
+    list = doc.templates;
+  } else if (doc && typeof doc === 'object' && 'template' in doc) list = [doc];
+
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new PromptTemplateError('No prompt templates found in this file.');
+  }
+  return list.map((t, i) => {
+    try { return normalizeTemplate(t); }
+    catch (err) { throw new PromptTemplateError(`Template ${i + 1}: ${err.message}`); }
+  });
+}
+
+/** `name`, or `name (2)`, `name (3)`… if a template already uses it. */
+export function uniqueTemplateName(name, existing) {
+  const taken = new Set(existing.map(t => t.name.toUpperCase()));
+  if (!taken.has(name.toUpperCase())) return name;
+  for (let n = 2; ; n++) {
+    const candidate = `${name.slice(0, 34)} (${n})`;
+    if (!taken.has(candidate.toUpperCase())) return candidate;
+  }
+}
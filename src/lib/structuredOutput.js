@@ -0,0 +1,254 @@
+// src/lib/structuredOutput.js
+/*
+  Structured (JSON) output. Schemas use the subset Gemini accepts
+  (aidocs/structuredOutput-gemini.md): type, format, description,
+  nullable, enum, properties, required, propertyOrdering, items,
+  minItems/maxItems, minimum/maximum and anyOf. Types are written in
+  lower case here and converted per provider when a request is sent.
+
+  The schema a reply was requested with is stored on its message
+  (messages.response_schema) so the answer can be validated and rendered
+  as data later. Stored schemas are tagged with the kind of request –
+  'json' (the picker), 'audit' (CODE CHECK), 'commit' (COMMIT) – so a
+  regenerated answer is requested and recorded the same way; the tag
+  never reaches a provider.
+*/
+
+const TYPES = ['string', 'integer', 'number', 'boolean', 'array', 'object'];
+const MAX_DEPTH = 8;
+const MAX_SCHEMA_CHARS = 20_000;
+
+const KIND_KEY = 'x-konzuko-kind';
+
+export const tagSchema = (schema, kind) => (schema ? { ...schema, [KIND_KEY]: kind } : schema);
+
+/** 'json' | 'audit' | 'commit' for a stored schema; null without one. */
+export const schemaKind = (schema) => (schema ? schema[KIND_KEY] ?? 'json' : null);
+
+const untagged = (schema) => {
+  const { [KIND_KEY]: _kind, ...rest } = schema;
+  return rest;
+};
+
+export class StructuredOutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StructuredOutputError';
+  }
+}
+
+/* ─── presets ─── */
+export const AUDIT_FINDINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary : { type: 'string' },
+    findings: {
+      type : 'array',
+      items: {
+        type: 'object',
+        properties: {
+          severity   : { type: 'string', enum: ['critical', 'high', 'medium', 'low', 'info'] },
+          category   : { type: 'string', description: 'e.g. bug, security, performance, style' },
+          file       : { type: 'string', description: 'path of the affected file' },
+          line       : { type: 'integer', nullable: true, description: 'first affected line, if known' },
+          description: { type: 'string' },
+          fix        : { type: 'string', description: 'concrete suggested fix' },
+        },
+        required: ['severity', 'category', 'file', 'description', 'fix'],
+        propertyOrdering: ['severity', 'category', 'file', 'line', 'description', 'fix'],
+      },
+    },
+  },
+  required: ['summary', 'findings'],
+  propertyOrdering: ['summary', 'findings'],
+};
+
+export const FILE_EDITS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    edits  : {
+      type : 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path   : { type: 'string', description: 'project-relative file path' },
+          note   : { type: 'string', nullable: true, description: 'what changed and why' },
+          content: { type: 'string', description: 'the complete new file content' },
+        },
+        required: ['path', 'content'],
+        propertyOrdering: ['path', 'note', 'content'],
+      },
+    },
+  },
+  required: ['summary', 'edits'],
+  propertyOrdering: ['summary', 'edits'],
+};
+
+export const SCHEMA_PRESETS = [
+  { id: 'file-edits',     label: 'File edits (path + content)', schema: FILE_EDITS_SCHEMA },
+  { id: 'audit-findings', label: 'Audit findings (severity…)',  schema: AUDIT_FINDINGS_SCHEMA },
+];
+
+export const presetSchema = (id) => SCHEMA_PRESETS.find(p => p.id === id)?.schema ?? null;
+
+/** [{ path, code, lang }] for ApplyFilesPanel, when the value is a file-edits answer. */
+export function fileEditsOf(value) {
+  if (!Array.isArray(value?.edits)) return [];
+  return value.edits
+    .filter(e => typeof e?.path === 'string' && typeof e?.content === 'string')
+    .map(e => ({ path: e.path, code: e.content, lang: '' }));
+}
+
+/* ─── schema checks ─── */
+function checkNode(node, where, depth) {
+  if (depth > MAX_DEPTH) throw new StructuredOutputError(`${where}: nested deeper than ${MAX_DEPTH} levels.`);
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new StructuredOutputError(`${where}: a schema must be an object.`);
+  }
+  if (Array.isArray(node.anyOf)) {
+    node.anyOf.forEach((s, i) => checkNode(s, `${where}.anyOf[${i}]`, depth + 1));
+    return;
+  }
+  const type = String(node.type ?? '').toLowerCase();
+  if (!TYPES.includes(type)) {
+    throw new StructuredOutputError(`${where}: "type" must be one of ${TYPES.join(', ')}.`);
+  }
+  if (node.enum && !(Array.isArray(node.enum) && node.enum.every(v => typeof v === 'string'))) {
+    throw new StructuredOutputError(`${where}: "enum" must be a list of strings.`);
+  }
+  if (type === 'array') {
+    if (!node.items) throw new StructuredOutputError(`${where}: arrays need "items".`);
+    checkNode(node.items, `${where}.items`, depth + 1);
+  }
+  if (type === 'object') {
+    const props = node.properties ?? {};
+    if (typeof props !== 'object' || Array.isArray(props) || !Object.keys(props).length) {
+      throw new StructuredOutputError(`${where}: objects need at least one entry in "properties".`);
+    }
+    for (const [key, sub] of Object.entries(props)) checkNode(sub, `${where}.${key}`, depth + 1);
+    const missing = (node.required ?? []).filter(k => !(k in props));
+    if (missing.length) {
+      throw new StructuredOutputError(`${where}: "required" names unknown properties: ${missing.join(', ')}.`);
+    }
+  }
+}
+
+/** Editor text → schema object; throws StructuredOutputError. */
+export function parseSchemaText(text) {
+  const src = String(text ?? '').trim();
+  if (!src) throw new StructuredOutputError('Schema is empty.');
+  if (src.length > MAX_SCHEMA_CHARS) {
+    throw new StructuredOutputError(`Schema is over ${MAX_SCHEMA_CHARS.toLocaleString()} characters.`);
+  }
+  let schema;
+  try {
+    schema = JSON.parse(src);
+  } catch (err) {
+    throw new StructuredOutputError(`Schema is not valid JSON: ${err.message}`);
+  }
+  checkNode(schema, '$', 0);
+  return untagged(schema);
+}
+
+/* ─── per-provider request shapes ─── */
+export function toGeminiSchema(node) {
+  if (!node || typeof node !== 'object') return node;
+  const out = untagged(node);
+  if (out.type) out.type = String(out.type).toUpperCase();
+  if (out.items) out.items = toGeminiSchema(out.items);
+  if (out.anyOf) out.anyOf = out.anyOf.map(toGeminiSchema);
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([k, v]) => [k, toGeminiSchema(v)])
+    );
+  }
+  return out;
+}
+
+/* plain JSON Schema for OpenAI-compatible `response_format` */
+export function toJsonSchema(node) {
+  if (!node || typeof node !== 'object') return node;
+  const { propertyOrdering, nullable, ...rest } = untagged(node);
+  const out = { ...rest };
+  if (out.type) {
+    const type = String(out.type).toLowerCase();
+    out.type = nullable ? [type, 'null'] : type;
+  }
+  if (out.items) out.items = toJsonSchema(out.items);
+  if (out.anyOf) out.anyOf = out.anyOf.map(toJsonSchema);
+  if (out.properties) {
+    out.properties = Object.fromEntries(
+      Object.entries(out.properties).map(([k, v]) => [k, toJsonSchema(v)])
+    );
+  }
+  return out;
+}
+
+/* ─── answers ─── */
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+function validateNode(value, node, path, errors) {
+  if (errors.length >= 20) return;
+  if (Array.isArray(node.anyOf)) {
+    const ok = node.anyOf.some(s => { const e = []; validateNode(value, s, path, e); return !e.length; });
+    if (!ok) errors.push({ path, message: 'matches none of the allowed shapes' });
+    return;
+  }
+  if (value === null) {
+    if (!node.nullable) errors.push({ path, message: 'is null' });
+    return;
+  }
+  const type = String(node.type).toLowerCase();
+  const actual = typeOf(value);
+  const fits = type === 'integer' ? Number.isInteger(value)
+    : type === 'number' ? actual === 'number'
+    : actual === type;
+  if (!fits) {
+    errors.push({ path, message: `expected ${type}, got ${actual}` });
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push({ path, message: `"${value}" is not one of ${node.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (node.minimum != null && value < node.minimum) errors.push({ path, message: `is below ${node.minimum}` });
+    if (node.maximum != null && value > node.maximum) errors.push({ path, message: `is above ${node.maximum}` });
+  }
+  if (type === 'array') {
+    if (node.minItems != null && value.length < node.minItems) errors.push({ path, message: `has fewer than ${node.minItems} items` });
+    if (node.maxItems != null && value.length > node.maxItems) errors.push({ path, message: `has more than ${node.maxItems} items` });
+    value.forEach((v, i) => validateNode(v, node.items, `${path}[${i}]`, errors));
+  }
+  if (type === 'object') {
+    for (const key of node.required ?? []) {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is missing' });
+    }
+    for (const [key, sub] of Object.entries(node.properties ?? {})) {
+      if (key in value) validateNode(value[key], sub, `${path}.${key}`, errors);
+    }
+  }
+}
+
+/** @returns {{ path: string, message: string }[]} – empty when `value` fits */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Reply text → { value, errors }. `errors` holds the parse failure or the
+ * schema mismatches; `value` is undefined when the text isn't JSON.
+ */
+export function parseStructuredReply(text, schema) {
+  // some OpenAI-compatible servers still wrap the JSON in a fence
+  const src = String(text ?? '').trim().replace(/^```(?:json)?\s*\n([\s\S]*?)\n```$/, '$1');
+  let value;
+  try {
+    value = JSON.parse(src);
+  } catch (err) {
+    return { value: undefined, errors: [{ path: '$', message: `not valid JSON (${err.message})` }] };
+  }
+  return { value, errors: schema ? validateAgainstSchema(value, schema) : [] };
+}
@@ -0,0 +1,43 @@
+// src/lib/systemPrompt.js
+/*
+  Which system prompt a turn is sent with. Three scopes, most specific
+  first:
+    1. the task's override       (system_prompts.chat_id = chat)
+    2. the account default       (system_prompts.chat_id = null)
+    3. the bundled system-prompt.md
+  Each scope's newest version wins; a version with content null is a
+  "reset" and hands over to the next scope.
+*/
+import BUNDLED_SYSTEM_PROMPT from '../system-prompt.md?raw';
+
+export const DEFAULT_SYSTEM_PROMPT = BUNDLED_SYSTEM_PROMPT;
+
+export const SYSTEM_PROMPT_SOURCES = {
+  chat   : 'task override',
+  account: 'account default',
+  default: 'built-in',
+};
+
+const activeVersion = (versions) => {
+  const latest = versions?.[0];
+  return latest && latest.content != null ? latest : null;
+};
+
+/**
+ * @param {object[]} accountVersions – newest first
+ * @param {object[]} chatVersions    – newest first
+ * @returns {{ id: string|null, content: string, source: 'chat'|'account'|'default', version?: number }}
+ */
+export function resolveSystemPrompt(accountVersions, chatVersions) {
+  const chat = activeVersion(chatVersions);
+  if (chat) return { id: chat.id, content: chat.content, source: 'chat', version: chat.version };
+  const account = activeVersion(accountVersions);
+  if (account) return { id: account.id, content: account.content, source: 'account', version: account.version };
+  return { id: null, content: DEFAULT_SYSTEM_PROMPT, source: 'default' };
+}
+
+/** Short label for a stored version row, e.g. "task override v3". */
+export function describeSystemPrompt(row) {
+  if (!row) return SYSTEM_PROMPT_SOURCES.default;
+  return `${SYSTEM_PROMPT_SOURCES[row.chat_id ? 'chat' : 'account']} v${row.version}`;
+}
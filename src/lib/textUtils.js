@@ -3,6 +3,7 @@
    Provides:
      • asciiTree()  – nested file paths → ASCII diagram
      • dedupe()     – remove duplicates by name|size|lastModified
+     • fenceFor()   – code fence longer than any backtick run in a text
 ---------------------------------------------------------------------------*/
 
 export function asciiTree(paths = []) {
@@ -41,4 +42,13 @@ export function dedupe(files = []) {
     seen.add(key);
     return true;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Backtick fence that can't be closed early by `text`: one longer than
+ * its longest run of backticks, and at least three.
+ */
+export function fenceFor(text = '') {
+  const longest = Math.max(0, ...(String(text).match(/`+/g) ?? []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
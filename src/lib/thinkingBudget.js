@@ -0,0 +1,25 @@
+// src/lib/thinkingBudget.js
+/*
+  Gemini thinking budgets per model (see THINKING_LIMITS). A stored budget
+  follows the chats.thinking_budget convention: -1 dynamic, 0 off, N fixed.
+*/
+import {
+  THINKING_LIMITS,
+  THINKING_LIMITS_DEFAULT,
+  THINKING_BUDGET_DYNAMIC,
+} from '../config.js';
+
+/** { min, max, canDisable } for a (bare, Gemini) model id. */
+export function thinkingLimitsFor(model) {
+  const { pattern: _pattern, ...limits } =
+    THINKING_LIMITS.find(l => l.pattern.test(model ?? '')) ?? THINKING_LIMITS_DEFAULT;
+  return limits;
+}
+
+/** `budget` moved into what `model` accepts; off becomes dynamic where it can't be turned off. */
+export function clampThinkingBudget(budget, model) {
+  const { min, max, canDisable } = thinkingLimitsFor(model);
+  if (budget < 0) return THINKING_BUDGET_DYNAMIC;
+  if (budget === 0) return canDisable ? 0 : THINKING_BUDGET_DYNAMIC;
+  return Math.min(Math.max(budget, min), max);
+}
@@ -3,17 +3,20 @@
    tokenWorkerClient  – Promise-based RPC wrapper for the token worker
 -------------------------------------------------------------------*/
 import tokenWorker, { allocId } from './tokenWorkerSingleton.js';
+import { parseModelId } from '../api/llmApi.js';
+
+const CHARS_PER_TOKEN_ESTIMATE = 4;
 
 const pending = new Map();      // id → { resolve, reject }
 
 /* Global reply handler – routes by id */
 tokenWorker.addEventListener('message', e => {
-  const { id, total, error } = e.data;
+  const { id, total, totals, error } = e.data;
   const p = pending.get(id);
   if (!p) return;               // unknown / timed-out
   pending.delete(id);
   if (error) p.reject(new Error(error));
-  else       p.resolve(total);
+  else       p.resolve(totals ?? total);
 });
 
 /**
@@ -35,7 +38,10 @@ export function countTokensWithGemini(model, items) {
   const id = allocId();
   // API key is no longer passed with each message
   tokenWorker.postMessage({ type: 'COUNT', id, model, items });
+  return awaitReply(id);
+}
 
+function awaitReply(id) {
   return new Promise((resolve, reject) => {
     /* 60-second safety timeout */
     const t = setTimeout(() => {
@@ -52,3 +58,47 @@ export function countTokensWithGemini(model, items) {
     });
   });
 }
+
+/**
+ * Rough count for providers without a token-count endpoint we can call
+ * from the browser (OpenAI-compatible, local). Text only; PDFs count 0.
+ * @param {Array<{type: string, value?: string}>} items
+ * @returns {number}
+ */
+export function estimateTokens(items = []) {
+  const chars = items.reduce(
+    (n, item) => n + (item.type === 'text' ? String(item.value ?? '').length : 0),
+    0
+  );
+  return Math.ceil(chars / CHARS_PER_TOKEN_ESTIMATE);
+}
+
+/**
+ * Provider-aware counter: exact via the Gemini worker for Gemini models,
+ * estimateTokens() for everything else.
+ * @param {string} model - Stored model id (maybe provider-prefixed).
+ * @param {Array} items - Same shape as countTokensWithGemini.
+ * @returns {Promise<number>}
+ */
+export function countTokens(model, items) {
+  const { provider, model: providerModel } = parseModelId(model);
+  if (provider === 'gemini') return countTokensWithGemini(providerModel, items);
+  return Promise.resolve(estimateTokens(items));
+}
+
+/**
+ * Separate counts for each text in one worker round-trip (per-file token
+ * costs in the importer). Estimated locally for non-Gemini models.
+ * @param {string} model - Stored model id (maybe provider-prefixed).
+ * @param {string[]} texts
+ * @returns {Promise<number[]>} counts in input order
+ */
+export function countTokensBatch(model, texts) {
+  const { provider, model: providerModel } = parseModelId(model);
+  if (provider !== 'gemini') {
+    return Promise.resolve(texts.map(value => estimateTokens([{ type: 'text', value }])));
+  }
+  const id = allocId();
+  tokenWorker.postMessage({ type: 'COUNT_BATCH', id, model: providerModel, texts });
+  return awaitReply(id);
+}
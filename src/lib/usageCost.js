@@ -0,0 +1,58 @@
+// src/lib/usageCost.js
+import { DEFAULT_MODEL_PRICES } from '../config.js';
+
+/*
+  Cost estimates from stored per-turn usage.
+  A stored usage is makeUsage() output plus the `model` id it ran on;
+  title calls also carry kind = 'title' and don't count as turns.
+  Prices are USD per 1M tokens; unknown models cost 0 and are flagged.
+*/
+
+const PER_TOKEN = 1 / 1_000_000;
+
+function rateFor(price, promptTokens) {
+  const lc = price.longContext;
+  return lc && promptTokens > lc.threshold ? { ...price, ...lc } : price;
+}
+
+/** @returns {number|null} USD, or null when the model has no price entry */
+export function costOfTurn(usage, priceTable = DEFAULT_MODEL_PRICES) {
+  const price = priceTable[usage?.model];
+  if (!price) return null;
+  const r = rateFor(price, usage.promptTokens);
+  const cached = Math.min(usage.cachedTokens, usage.promptTokens);
+  return (
+    (usage.promptTokens - cached) * r.input +
+    cached * (r.cached ?? r.input) +
+    (usage.candidateTokens + usage.thinkingTokens) * r.output
+  ) * PER_TOKEN;
+}
+
+/**
+ * Totals over any list of stored usages.
+ * @returns {{ turns, promptTokens, candidateTokens, cachedTokens,
+ *             thinkingTokens, cost, unpricedModels: string[] }}
+ */
+export function summarizeUsage(usages, priceTable = DEFAULT_MODEL_PRICES) {
+  const sum = {
+    turns: 0, promptTokens: 0, candidateTokens: 0,
+    cachedTokens: 0, thinkingTokens: 0, cost: 0,
+  };
+  const unpriced = new Set();
+
+  for (const u of usages) {
+    if (!u) continue;
+    if (u.kind !== 'title') sum.turns += 1;
+    sum.promptTokens    += u.promptTokens    ?? 0;
+    sum.candidateTokens += u.candidateTokens ?? 0;
+    sum.cachedTokens    += u.cachedTokens    ?? 0;
+    sum.thinkingTokens  += u.thinkingTokens  ?? 0;
+    const c = costOfTurn(u, priceTable);
+    if (c == null) unpriced.add(u.model ?? 'unknown');
+    else sum.cost += c;
+  }
+  return { ...sum, unpricedModels: [...unpriced] };
+}
+
+export const formatUsd = (n) =>
+  `$${n < 0.01 && n > 0 ? n.toFixed(4) : n.toFixed(2)}`;
@@ -18,7 +18,7 @@ self.onmessage = async (e) => {
     return;
   }
 
-  if (type !== 'COUNT') {
+  if (type !== 'COUNT' && type !== 'COUNT_BATCH') {
     // Ignore unknown message types
     return;
   }
@@ -28,6 +28,11 @@ self.onmessage = async (e) => {
     return;
   }
 
+  if (type === 'COUNT_BATCH') {
+    countBatch(id, model, e.data.texts || []);
+    return;
+  }
+
   try {
     const parts = [];
     if (items && items.length > 0) {
@@ -60,6 +65,33 @@ self.onmessage = async (e) => {
   }
 };
 
+/* one count per text (per staged file), a few requests in flight at a time;
+   replies { id, totals } in input order */
+const BATCH_CONCURRENCY = 4;
+
+async function countBatch(id, model, texts) {
+  const totals = new Array(texts.length).fill(0);
+  let next = 0;
+  const run = async () => {
+    while (next < texts.length) {
+      const i = next++;
+      if (!texts[i]) continue;
+      const result = await genAI.models.countTokens({
+        model,
+        contents: [{ role: "user", parts: [{ text: texts[i] }] }],
+      });
+      totals[i] = result.totalTokens ?? 0;
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, texts.length) }, run));
+    self.postMessage({ id, totals });
+  } catch (err) {
+    console.error('[Worker] Error during batch token counting:', err.message);
+    self.postMessage({ id, total: 0, error: `Worker error: ${err.message}` });
+  }
+}
+
 self.addEventListener('error', e => {
   console.error('[Worker] Unhandled script error:', e.message, e.filename, e.lineno);
   self.postMessage({ 
@@ -10,6 +10,13 @@ const ANON_KEY   = Deno.env.get('SUPABASE_ANON_KEY')!;
 
 const supabaseAdmin: SupabaseClient = createClient(ADMIN_URL, SRV_ROLE);
 
+/* accepted key shapes per provider (empty string always clears) */
+const KEY_FORMATS: Record<string, RegExp> = {
+  gemini: /^[A-Za-z0-9_\-]{30,60}$/,
+  openai: /^[A-Za-z0-9_\-.]{20,200}$/,
+  local : /^[\x21-\x7E]{1,200}$/,
+};
+
 function json (body: unknown, status = 200) {
   return new Response(JSON.stringify(body), {
     status,
@@ -48,40 +55,46 @@ serve(async (req: Request): Promise<Response> => {
   }
 
   try {
-    /* ───────── GET  – retrieve key ───────── */
+    /* ───────── GET  – retrieve keys ───────── */
     if (req.method === 'GET') {
-      const { data, error } = await supabaseAdmin.rpc('get_user_api_key', {
+      const { data, error } = await supabaseAdmin.rpc('get_user_api_keys', {
         p_user_id: user.id,
       });
 
       /* Gracefully handle missing RPC (e.g. migration not run yet) */
       if (error?.code === '42883') {
         // undefined_function → treat as “no key set”
-        return json({ apiKey: '' });
+        return json({ apiKey: '', keys: {} });
       }
       if (error) throw error;
 
-      return json({ apiKey: data ?? '' });
+      const keys: Record<string, string> = {};
+      for (const row of (data ?? []) as { provider: string; api_key: string }[]) {
+        keys[row.provider] = row.api_key ?? '';
+      }
+      return json({ apiKey: keys.gemini ?? '', keys });
     }
 
     /* ───────── POST – save / clear key ───────── */
     if (req.method === 'POST') {
-      const { apiKey = '' } = await req.json().catch(() => ({}));
+      const { apiKey = '', provider = 'gemini' } = await req.json().catch(() => ({}));
       if (typeof apiKey !== 'string') {
         return json({ error: '`apiKey` must be a string' }, 400);
       }
+      const format = KEY_FORMATS[provider as string];
+      if (!format) {
+        return json({ error: `Unknown provider "${provider}"` }, 400);
+      }
 
       const trimmed = apiKey.trim();
-      if (
-        trimmed !== '' &&
-        !/^[A-Za-z0-9_\-]{30,60}$/.test(trimmed)
-      ) {
+      if (trimmed !== '' && !format.test(trimmed)) {
         return json({ error: 'Invalid API-key format' }, 400);
       }
 
       const { error } = await supabaseAdmin.rpc('set_user_api_key', {
-        p_user_id: user.id,
-        p_api_key: trimmed,
+        p_user_id : user.id,
+        p_api_key : trimmed,
+        p_provider: provider,
       });
 
       // --- HIGH SEVERITY FIX: REMOVED INSECURE FALLBACK ---
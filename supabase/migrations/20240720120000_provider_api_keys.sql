@@ -0,0 +1,112 @@
+-- 20240720120000_provider_api_keys.sql
+-- One encrypted key per (user, provider):
+-- • Adds user_api_keys.provider (existing rows become 'gemini')
+-- • Primary key → (user_id, provider)
+-- • Re-creates get_user_api_key / set_user_api_key with p_provider
+-- • Adds get_user_api_keys for the settings screen
+
+/*─────────────────────────────────────────────*
+ * 1) Column + primary key                     *
+ *─────────────────────────────────────────────*/
+alter table public.user_api_keys
+  add column if not exists provider text not null default 'gemini';
+
+alter table public.user_api_keys
+  drop constraint if exists user_api_keys_pkey;
+
+alter table public.user_api_keys
+  add constraint user_api_keys_pkey primary key (user_id, provider);
+
+alter table public.user_api_keys
+  drop constraint if exists user_api_keys_provider_check;
+
+alter table public.user_api_keys
+  add constraint user_api_keys_provider_check
+  check (provider in ('gemini', 'openai', 'local'));
+
+/*─────────────────────────────────────────────*
+ * 2) Helper functions  (SECURITY DEFINER)     *
+ *─────────────────────────────────────────────*/
+drop function if exists set_user_api_key(uuid, text);
+drop function if exists get_user_api_key(uuid);
+
+create or replace function set_user_api_key(
+  p_user_id  uuid,
+  p_api_key  text,
+  p_provider text default 'gemini'
+) returns void
+language plpgsql
+security definer as $$
+declare
+  v_secret text := (
+    select secret from vault.secrets where name = 'encryption_key'
+  );
+begin
+  if v_secret is null then
+    raise exception 'Vault secret "encryption_key" not found';
+  end if;
+
+  insert into public.user_api_keys (user_id, provider, api_key)
+  values (
+    p_user_id,
+    p_provider,
+    extensions.pgp_sym_encrypt(p_api_key, v_secret)
+  )
+  on conflict (user_id, provider)
+  do update
+    set api_key = excluded.api_key;
+end;
+$$;
+
+create or replace function get_user_api_key(
+  p_user_id  uuid,
+  p_provider text default 'gemini'
+) returns text
+language plpgsql
+security definer as $$
+declare
+  v_secret text := (
+    select secret from vault.secrets where name = 'encryption_key'
+  );
+  v_key text;
+begin
+  if v_secret is null then
+    raise exception 'Vault secret "encryption_key" not found';
+  end if;
+
+  select extensions.pgp_sym_decrypt(api_key, v_secret)
+    into v_key
+    from public.user_api_keys
+   where user_id  = p_user_id
+     and provider = p_provider;
+
+  return coalesce(v_key, '');
+end;
+$$;
+
+create or replace function get_user_api_keys(
+  p_user_id uuid
+) returns table (provider text, api_key text)
+language plpgsql
+security definer as $$
+declare
+  v_secret text := (
+    select secret from vault.secrets where name = 'encryption_key'
+  );
+begin
+  if v_secret is null then
+    raise exception 'Vault secret "encryption_key" not found';
+  end if;
+
+  return query
+    select k.provider,
+           extensions.pgp_sym_decrypt(k.api_key, v_secret)
+      from public.user_api_keys k
+     where k.user_id = p_user_id;
+end;
+$$;
+
+-- only the service role (edge functions) may call these
+revoke execute on function set_user_api_key(uuid, text, text)  from public, anon, authenticated;
+revoke execute on function get_user_api_key(uuid, text)        from public, anon, authenticated;
+revoke execute on function get_user_api_keys(uuid)             from public, anon, authenticated;
@@ -0,0 +1,19 @@
+-- 20240721120000_thinking_settings.sql
+-- Gemini thinking, per chat + per answer:
+-- • chats.thinking_budget   null/-1 = dynamic, 0 = off, N = fixed tokens
+-- • chats.include_thoughts  request thought summaries
+-- • messages.thoughts       summaries, kept out of `content`
+
+alter table public.chats
+  add column if not exists thinking_budget  integer,
+  add column if not exists include_thoughts boolean not null default false;
+
+alter table public.chats
+  drop constraint if exists chats_thinking_budget_check;
+
+alter table public.chats
+  add constraint chats_thinking_budget_check
+  check (thinking_budget is null or thinking_budget between -1 and 24576);
+
+alter table public.messages
+  add column if not exists thoughts text;
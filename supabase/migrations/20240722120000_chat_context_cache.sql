@@ -0,0 +1,10 @@
+-- 20240722120000_chat_context_cache.sql
+-- Gemini explicit context cache per chat (staged files + system prompt):
+-- • context_cache_name        cachedContents/… resource name
+-- • context_cache_key         model + prompt + files checksum it was built from
+-- • context_cache_expires_at  last known expireTime (TTL is refreshed on use)
+
+alter table public.chats
+  add column if not exists context_cache_name       text,
+  add column if not exists context_cache_key        text,
+  add column if not exists context_cache_expires_at timestamptz;
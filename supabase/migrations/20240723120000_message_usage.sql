@@ -0,0 +1,12 @@
+-- 20240723120000_message_usage.sql
+-- Per-turn token usage on assistant messages:
+--   { promptTokens, candidateTokens, cachedTokens, thinkingTokens, model }
+-- Cost is derived client-side from a price table, so it isn't stored.
+
+alter table public.messages
+  add column if not exists usage jsonb;
+
+-- monthly summaries scan assistant rows by date
+create index if not exists messages_usage_created_at_idx
+  on public.messages (created_at)
+  where usage is not null and deleted_at is null;
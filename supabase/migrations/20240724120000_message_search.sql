@@ -0,0 +1,87 @@
+-- 20240724120000_message_search.sql
+-- Full-text search over message text blocks:
+-- • message_search_text(content)  text blocks of a content array, joined
+-- • messages.search_tsv           generated tsvector + GIN index
+-- • search_messages(query, limit) ranked hits with highlighted snippets,
+--   scoped to the caller's non-deleted chats and messages
+
+/*─────────────────────────────────────────────*
+ * 1) Text extraction                          *
+ *─────────────────────────────────────────────*/
+create or replace function public.message_search_text(p_content jsonb)
+returns text
+language sql
+immutable
+parallel safe as $$
+  select case jsonb_typeof(p_content)
+    when 'string' then p_content #>> '{}'
+    when 'array'  then (
+      select coalesce(string_agg(b ->> 'text', E'\n'), '')
+        from jsonb_array_elements(p_content) b
+       where b ->> 'type' = 'text'
+    )
+    else ''
+  end;
+$$;
+
+/*─────────────────────────────────────────────*
+ * 2) Index                                    *
+ *─────────────────────────────────────────────*/
+-- 'simple' keeps identifiers like useChat / fetch_chats intact (no stemming)
+alter table public.messages
+  add column if not exists search_tsv tsvector
+  generated always as (
+    to_tsvector('simple', public.message_search_text(content))
+  ) stored;
+
+create index if not exists messages_search_tsv_idx
+  on public.messages using gin (search_tsv);
+
+/*─────────────────────────────────────────────*
+ * 3) Search RPC  (SECURITY INVOKER → RLS)     *
+ *─────────────────────────────────────────────*/
+-- Snippet matches are wrapped in chr(2)…chr(3) so the client can mark them
+-- up without ever treating message text as HTML.
+create or replace function public.search_messages(
+  p_query text,
+  p_limit int default 50
+) returns table (
+  message_id public.messages.id%TYPE,
+  chat_id    public.messages.chat_id%TYPE,
+  chat_title public.chats.title%TYPE,
+  role       public.messages.role%TYPE,
+  created_at timestamptz,
+  snippet    text,
+  rank       real
+)
+language sql
+stable
+security invoker as $$
+  with q as (
+    select websearch_to_tsquery('simple', p_query) as tsq
+  )
+  select m.id,
+         m.chat_id,
+         c.title,
+         m.role,
+         m.created_at,
+         ts_headline(
+           'simple',
+           public.message_search_text(m.content),
+           q.tsq,
+           'StartSel=' || chr(2) || ', StopSel=' || chr(3) ||
+           ', MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "'
+         ),
+         ts_rank(m.search_tsv, q.tsq)
+    from public.messages m
+    join public.chats c on c.id = m.chat_id
+    cross join q
+   where c.user_id    = auth.uid()
+     and c.deleted_at is null
+     and m.deleted_at is null
+     and m.search_tsv @@ q.tsq
+   order by ts_rank(m.search_tsv, q.tsq) desc, m.created_at desc
+   limit least(greatest(coalesce(p_limit, 50), 1), 200);
+$$;
+
+grant execute on function public.search_messages(text, int) to authenticated;
@@ -0,0 +1,47 @@
+-- 20240725120000_message_branches.sql
+-- Conversation branches instead of destructive forks:
+-- • messages.parent_id    previous turn on the same branch (null = first turn)
+-- • chats.active_leaf_id  last message of the branch currently shown
+-- Editing an earlier message adds a sibling under the same parent; nothing
+-- is archived, so the undo-fork edge function is gone.
+
+/*─────────────────────────────────────────────*
+ * 1) Columns  (typed after messages.id)       *
+ *─────────────────────────────────────────────*/
+do $$
+declare
+  id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+    into id_type
+    from pg_attribute a
+   where a.attrelid = 'public.messages'::regclass
+     and a.attname  = 'id';
+
+  execute format(
+    'alter table public.messages add column if not exists parent_id %s
+       references public.messages(id) on delete set null', id_type);
+  execute format(
+    'alter table public.chats add column if not exists active_leaf_id %s
+       references public.messages(id) on delete set null', id_type);
+end $$;
+
+/*─────────────────────────────────────────────*
+ * 2) Backfill – existing chats are one branch *
+ *─────────────────────────────────────────────*/
+-- Archived rows are chained too: they keep their place in the tree and
+-- only the live ones are shown.
+with ordered as (
+  select id,
+         lag(id) over (partition by chat_id order by created_at, id) as prev_id
+    from public.messages
+)
+update public.messages m
+   set parent_id = o.prev_id
+  from ordered o
+ where m.id = o.id
+   and m.parent_id is null
+   and o.prev_id is not null;
+
+create index if not exists messages_parent_id_idx
+  on public.messages (parent_id);
@@ -0,0 +1,40 @@
+-- 20240726120000_prompt_templates.sql
+-- User-defined modes for the prompt builder (WRITE TESTS, SECURITY REVIEW…):
+-- • prompt_templates.name           mode button label, unique per user
+-- • prompt_templates.fields         [{ key, label, placeholder, rows, required }]
+-- • prompt_templates.template       prompt text with {{key}} placeholders
+-- • prompt_templates.include_files  show the codebase importer and append staged files
+
+/*─────────────────────────────────────────────*
+ * 1) Table                                    *
+ *─────────────────────────────────────────────*/
+create table if not exists public.prompt_templates (
+  id            uuid primary key default gen_random_uuid(),
+  user_id       uuid not null references auth.users(id) on delete cascade,
+  name          text not null,
+  fields        jsonb not null default '[]'::jsonb,
+  template      text not null default '',
+  include_files boolean not null default false,
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  constraint prompt_templates_name_check
+    check (char_length(btrim(name)) between 1 and 40),
+  constraint prompt_templates_fields_check
+    check (jsonb_typeof(fields) = 'array')
+);
+
+create unique index if not exists prompt_templates_user_name_idx
+  on public.prompt_templates (user_id, upper(btrim(name)));
+
+/*─────────────────────────────────────────────*
+ * 2) Row level security                       *
+ *─────────────────────────────────────────────*/
+alter table public.prompt_templates enable row level security;
+
+drop policy if exists "Users manage their own prompt templates" on public.prompt_templates;
+create policy "Users manage their own prompt templates"
+  on public.prompt_templates for all
+  using ( auth.uid() = user_id )
+  with check ( auth.uid() = user_id );
+
+grant select, insert, update, delete on public.prompt_templates to authenticated;
@@ -0,0 +1,68 @@
+-- 20240727120000_system_prompts.sql
+-- Editable, versioned system prompts:
+-- • system_prompts.chat_id       null = account default, else that task's override
+-- • system_prompts.version       1, 2, 3… per (user, chat_id) scope
+-- • system_prompts.content       null = "reset" – fall back to the next scope
+--                                (task → account → bundled system-prompt.md)
+-- • messages.system_prompt_id    version that produced an assistant answer
+--                                (null = bundled default)
+
+/*─────────────────────────────────────────────*
+ * 1) Table  (chat_id typed after chats.id)    *
+ *─────────────────────────────────────────────*/
+do $$
+declare
+  chat_id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+    into chat_id_type
+    from pg_attribute a
+   where a.attrelid = 'public.chats'::regclass
+     and a.attname  = 'id';
+
+  execute format($f$
+    create table if not exists public.system_prompts (
+      id         uuid primary key default gen_random_uuid(),
+      user_id    uuid not null references auth.users(id) on delete cascade,
+      chat_id    %s references public.chats(id) on delete cascade,
+      version    integer not null check (version > 0),
+      content    text,
+      created_at timestamptz not null default now(),
+      constraint system_prompts_content_check
+        check (content is null or char_length(content) <= 100000)
+    )$f$, chat_id_type);
+end $$;
+
+create unique index if not exists system_prompts_scope_version_idx
+  on public.system_prompts (user_id, coalesce(chat_id::text, ''), version);
+
+/*─────────────────────────────────────────────*
+ * 2) Answer → prompt version                  *
+ *─────────────────────────────────────────────*/
+alter table public.messages
+  add column if not exists system_prompt_id uuid
+    references public.system_prompts(id) on delete set null;
+
+/*─────────────────────────────────────────────*
+ * 3) Row level security                       *
+ *─────────────────────────────────────────────*/
+alter table public.system_prompts enable row level security;
+
+-- versions are append-only: no update policy
+drop policy if exists "Users read their own system prompts" on public.system_prompts;
+create policy "Users read their own system prompts"
+  on public.system_prompts for select
+  using ( auth.uid() = user_id );
+
+drop policy if exists "Users add their own system prompts" on public.system_prompts;
+create policy "Users add their own system prompts"
+  on public.system_prompts for insert
+  with check (
+    auth.uid() = user_id
+    and (chat_id is null or exists (
+      select 1 from public.chats c
+       where c.id = chat_id and c.user_id = auth.uid()
+    ))
+  );
+
+grant select, insert on public.system_prompts to authenticated;
@@ -0,0 +1,17 @@
+-- 20240728120000_message_response_schema.sql
+-- Structured (JSON) output:
+-- • messages.response_schema  schema an assistant answer was requested with
+--                             (null = ordinary text answer); the client
+--                             validates and renders the answer against it
+
+/*─────────────────────────────────────────────*
+ * 1) Column                                   *
+ *─────────────────────────────────────────────*/
+alter table public.messages
+  add column if not exists response_schema jsonb;
+
+alter table public.messages
+  drop constraint if exists messages_response_schema_check;
+alter table public.messages
+  add constraint messages_response_schema_check
+    check (response_schema is null or jsonb_typeof(response_schema) = 'object');
@@ -0,0 +1,62 @@
+-- 20240729120000_code_audits.sql
+-- Machine-readable CODE CHECK runs, one row per audit answer:
+-- • code_audits.summary   the audit's one-paragraph verdict
+-- • code_audits.findings  [{ severity, category, file, line, description, fix }]
+-- Successive audits of a task are compared client-side to show which
+-- findings were resolved, which are new and which persist.
+
+/*─────────────────────────────────────────────*
+ * 1) Table  (typed after chats.id/messages.id) *
+ *─────────────────────────────────────────────*/
+do $$
+declare
+  chat_id_type    text;
+  message_id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+    into chat_id_type
+    from pg_attribute a
+   where a.attrelid = 'public.chats'::regclass
+     and a.attname  = 'id';
+  select format_type(a.atttypid, a.atttypmod)
+    into message_id_type
+    from pg_attribute a
+   where a.attrelid = 'public.messages'::regclass
+     and a.attname  = 'id';
+
+  execute format($f$
+    create table if not exists public.code_audits (
+      id         uuid primary key default gen_random_uuid(),
+      chat_id    %s not null references public.chats(id) on delete cascade,
+      message_id %s not null references public.messages(id) on delete cascade,
+      summary    text not null default '',
+      findings   jsonb not null default '[]'::jsonb,
+      created_at timestamptz not null default now(),
+      constraint code_audits_findings_check
+        check (jsonb_typeof(findings) = 'array')
+    )$f$, chat_id_type, message_id_type);
+end $$;
+
+create index if not exists code_audits_chat_created_idx
+  on public.code_audits (chat_id, created_at);
+create unique index if not exists code_audits_message_idx
+  on public.code_audits (message_id);
+
+/*─────────────────────────────────────────────*
+ * 2) Row level security  (via the chat owner) *
+ *─────────────────────────────────────────────*/
+alter table public.code_audits enable row level security;
+
+drop policy if exists "Users manage their own code audits" on public.code_audits;
+create policy "Users manage their own code audits"
+  on public.code_audits for all
+  using ( exists (
+    select 1 from public.chats c
+     where c.id = chat_id and c.user_id = auth.uid()
+  ))
+  with check ( exists (
+    select 1 from public.chats c
+     where c.id = chat_id and c.user_id = auth.uid()
+  ));
+
+grant select, insert, delete on public.code_audits to authenticated;
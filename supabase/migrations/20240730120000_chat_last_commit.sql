@@ -0,0 +1,23 @@
+-- 20240730120000_chat_last_commit.sql
+-- COMMIT mode bookkeeping:
+-- • chats.last_commit_message_id  COMMIT answer the user last committed with;
+--                                 the next COMMIT request only describes
+--                                 the turns after it
+
+/*─────────────────────────────────────────────*
+ * 1) Column  (typed after messages.id)        *
+ *─────────────────────────────────────────────*/
+do $$
+declare
+  id_type text;
+begin
+  select format_type(a.atttypid, a.atttypmod)
+    into id_type
+    from pg_attribute a
+   where a.attrelid = 'public.messages'::regclass
+     and a.attname  = 'id';
+
+  execute format(
+    'alter table public.chats add column if not exists last_commit_message_id %s
+       references public.messages(id) on delete set null', id_type);
+end $$;
@@ -0,0 +1,12 @@
+-- 20240731120000_chat_title_usage.sql
+-- Automatic task titles:
+-- • chats.title_usage  token usage of the call that named the task (same
+--                      shape as messages.usage, plus kind = 'title' and
+--                      `at`, when the call was made); it counts towards
+--                      the task's usage and the month of `at`
+
+/*─────────────────────────────────────────────*
+ * 1) Column                                   *
+ *─────────────────────────────────────────────*/
+alter table public.chats
+  add column if not exists title_usage jsonb;